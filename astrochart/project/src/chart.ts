@@ -1,6 +1,8 @@
 import default_settings from './settings' 
 import type { Settings } from './settings'
 import Radix from './radix'
+import Dial from './dial'
+import type { DialData } from './dial'
 import type { AstroData } from './radix'
 import SVG from './svg'
 import { getPointPosition } from './utils'
@@ -68,6 +70,28 @@ class Chart {
     return radix
   }
 
+  /**
+ * Display a dial (Uranian astrology) instead of the zodiac
+ *
+ * @param {Object} data
+ * @param {int} modulus - 360, 90 or 45
+ * @example
+ *  {
+ *    "planets":{"Moon":[0], "Sun":[30],  ... }
+ *  }
+ *
+ * @return {Dial} dial
+ */
+  dial (data: DialData, modulus = 90): Dial {
+    const dial = new Dial(this.paper, this.cx, this.cy, this.radius, data, this.settings, modulus)
+
+    dial.drawBg()
+    dial.drawScale()
+    dial.drawPoints()
+
+    return dial
+  }
+
   /**
    * Scale chart
    *
@@ -0,0 +1,66 @@
+import Dial from './dial'
+import Chart from './chart'
+import SVG from './svg'
+import default_settings from './settings'
+
+describe('Dial', () => {
+  const data = {
+    planets: {
+      Sun: [10],
+      Moon: [100],
+      Mars: [55]
+    }
+  }
+
+  it('should fold the longitudes into the modulus', () => {
+    document.body.innerHTML = '<div id="chart"></div>'
+    const paper = new SVG('chart', 500, 500, default_settings)
+    const dial = new Dial(paper, 250, 250, 200, data, default_settings, 90)
+
+    expect(dial.toAngle(10)).toBe(40)
+    expect(dial.toAngle(100)).toBe(40)
+    expect(dial.toAngle(-80)).toBe(40)
+    expect(new Dial(paper, 250, 250, 200, data, default_settings, 45).toAngle(55)).toBe(80)
+    expect(new Dial(paper, 250, 250, 200, data, default_settings, 360).toAngle(55)).toBe(55)
+  })
+
+  it('should throw for an unknown modulus', () => {
+    document.body.innerHTML = '<div id="chart"></div>'
+    const paper = new SVG('chart', 500, 500, default_settings)
+
+    expect(() => new Dial(paper, 250, 250, 200, data, default_settings, 30)).toThrow('Dial modulus')
+  })
+
+  it('should draw the scale of the modulus instead of the signs', () => {
+    document.body.innerHTML = ''
+    const chart = new Chart('chart', 500, 500)
+    chart.dial(data, 90)
+
+    expect(document.getElementById('chart-astrology-radix-signs')).toBeNull()
+    expect(document.querySelectorAll('#chart-astrology-dial-scale > line').length).toBe(90)
+    expect(document.querySelectorAll('#chart-astrology-dial-scale > text').length).toBe(18)
+    expect(document.getElementById('chart-astrology-dial-scale-45')?.textContent).toBe('45')
+  })
+
+  it('should place the points with the radix collision code', () => {
+    document.body.innerHTML = ''
+    const chart = new Chart('chart', 500, 500)
+    const dial = chart.dial(data, 90)
+
+    // Sun and Moon are on the same place of the 90° dial
+    expect(dial.locatedPoints.length).toBe(3)
+    const sun = dial.locatedPoints.find((point) => point.name === 'Sun')
+    const moon = dial.locatedPoints.find((point) => point.name === 'Moon')
+    expect(sun?.angle).not.toBe(moon?.angle)
+    expect(document.getElementById('chart-astrology-dial-planets-Moon')).not.toBeNull()
+  })
+
+  it('should draw the pointer', () => {
+    document.body.innerHTML = ''
+    const chart = new Chart('chart', 500, 500)
+    chart.dial(data, 90).drawPointer(10)
+
+    const pointer = document.querySelector('#chart-astrology-dial-pointer > line')
+    expect(pointer?.getAttribute('stroke')).toBe(default_settings.DIAL_POINTER_COLOR)
+  })
+})
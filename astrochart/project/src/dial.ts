@@ -0,0 +1,203 @@
+import { validate, getEmptyWrapper, getPointPosition, getDescriptionPosition, assemble } from './utils'
+import type { AstroData, LocatedPoint, Points } from './radix'
+import type SVG from './svg'
+import type { Settings } from './settings'
+
+// Moduli of the dials: 90° puts the hard aspects in conjunction, 45° adds the semisquares
+export const DIAL_MODULI = [360, 90, 45]
+
+export interface DialData {
+  planets: Points
+}
+
+// [minor, major] tick step of the scale, in degrees of the dial
+const SCALE_STEPS: Record<number, number[]> = {
+  360: [5, 30],
+  90: [1, 5],
+  45: [0.5, 5]
+}
+
+/**
+   * Dial charts (Uranian astrology).
+   *
+   * The zodiac ring is replaced by a scale of the modulus, read from 0° at the top
+   * counterclockwise; every longitude is folded into the modulus. The points are
+   * placed as on the radix.
+   *
+   * @class
+   * @public
+   * @constructor
+   * @param {SVG} paper
+   * @param {int} cx
+   * @param {int} cy
+   * @param {int} radius
+   * @param {Object} data, {"planets":{"Sun":[0], ...}}
+   * @param {Object} settings
+   * @param {int} modulus - 360, 90 or 45
+   */
+class Dial {
+  settings: Settings
+  data: DialData
+  paper: SVG
+  cx: number
+  cy: number
+  radius: number
+  modulus: number
+  scaleRadius: number
+  pointRadius: number
+  locatedPoints: LocatedPoint[]
+  shift: number
+  universe: Element
+  constructor (paper: SVG, cx: number, cy: number, radius: number, data: DialData, settings: Settings, modulus = 90) {
+    // a dial has no cusps
+    const status = validate(data as AstroData)
+    if (status.hasError) {
+      throw new Error(status.messages.join(' | '))
+    }
+    if (!DIAL_MODULI.includes(modulus)) {
+      throw new Error('Dial modulus has to be one of: ' + DIAL_MODULI.join(', ') + '.')
+    }
+
+    this.settings = settings
+    this.data = data
+    this.paper = paper
+    this.cx = cx
+    this.cy = cy
+    this.radius = radius
+    this.modulus = modulus
+    this.scaleRadius = this.radius - this.radius / this.settings.INNER_CIRCLE_RADIUS_RATIO
+    this.pointRadius = this.scaleRadius - (this.settings.PADDING * this.settings.SYMBOL_SCALE + this.settings.COLLISION_RADIUS * this.settings.SYMBOL_SCALE)
+    this.locatedPoints = []
+
+    // 0° of the dial at the top
+    this.shift = this.settings.SHIFT_IN_DEGREES + 90
+
+    this.universe = document.createElementNS(this.paper.root.namespaceURI, 'g')
+    this.universe.setAttribute('id', this.paper.root.id + '-' + this.settings.ID_DIAL)
+    this.paper.root.appendChild(this.universe)
+  }
+
+  /**
+   * Position of a longitude on the dial, in degrees of the circle.
+   *
+   * @param {double} longitude
+   * @return {double} angle
+   */
+  toAngle (longitude: number): number {
+    const folded = ((longitude % this.modulus) + this.modulus) % this.modulus
+    return folded * 360 / this.modulus
+  }
+
+  /**
+   * Draw background and the outer circle
+   */
+  drawBg (): void {
+    const wrapper = getEmptyWrapper(this.universe, this.paper.root.id + '-' + this.settings.ID_DIAL + '-' + this.settings.ID_BG, this.paper.root.id)
+
+    const circle = this.paper.circle(this.cx, this.cy, this.radius)
+    circle.setAttribute('fill', this.settings.STROKE_ONLY ? 'none' : this.settings.COLOR_BACKGROUND)
+    circle.setAttribute('stroke', this.settings.CIRCLE_COLOR)
+    circle.setAttribute('stroke-width', (this.settings.CIRCLE_STRONG * this.settings.SYMBOL_SCALE).toString())
+    wrapper.appendChild(circle)
+  }
+
+  /**
+   * Draw the scale of the modulus instead of the zodiac ring
+   */
+  drawScale (): void {
+    const wrapper = getEmptyWrapper(this.universe, this.paper.root.id + '-' + this.settings.ID_DIAL + '-' + this.settings.ID_DIAL_SCALE, this.paper.root.id)
+    const [minor, major] = SCALE_STEPS[this.modulus]
+    const tickLength = this.radius / this.settings.INNER_CIRCLE_RADIUS_RATIO
+
+    const circle = this.paper.circle(this.cx, this.cy, this.scaleRadius)
+    circle.setAttribute('stroke', this.settings.CIRCLE_COLOR)
+    circle.setAttribute('stroke-width', (this.settings.CUSPS_STROKE * this.settings.SYMBOL_SCALE).toString())
+    wrapper.appendChild(circle)
+
+    for (let degree = 0; degree < this.modulus; degree += minor) {
+      const isMajor = degree % major === 0
+      const angle = this.toAngle(degree) + this.shift
+      const start = getPointPosition(this.cx, this.cy, this.scaleRadius, angle, this.settings)
+      const end = getPointPosition(this.cx, this.cy, this.scaleRadius + (isMajor ? tickLength / 2 : tickLength / 4), angle, this.settings)
+      const tick = this.paper.line(start.x, start.y, end.x, end.y)
+      tick.setAttribute('stroke', this.settings.CIRCLE_COLOR)
+      tick.setAttribute('stroke-width', (this.settings.CUSPS_STROKE * this.settings.SYMBOL_SCALE).toString())
+      wrapper.appendChild(tick)
+
+      if (isMajor) {
+        const position = getPointPosition(this.cx, this.cy, this.scaleRadius + tickLength * 3 / 4, angle, this.settings)
+        const text = this.paper.text(degree.toString(), position.x, position.y, this.settings.POINTS_TEXT_SIZE.toString(), this.settings.SIGNS_COLOR)
+        text.setAttribute('text-anchor', 'middle')
+        text.setAttribute('id', this.paper.root.id + '-' + this.settings.ID_DIAL + '-' + this.settings.ID_DIAL_SCALE + '-' + degree)
+        wrapper.appendChild(text)
+      }
+    }
+  }
+
+  /**
+   * Draw points
+   */
+  drawPoints (): void {
+    const wrapper = getEmptyWrapper(this.universe, this.paper.root.id + '-' + this.settings.ID_DIAL + '-' + this.settings.ID_POINTS, this.paper.root.id)
+
+    this.locatedPoints = []
+    for (const planet in this.data.planets) {
+      if (this.data.planets.hasOwnProperty(planet)) {
+        const angle = this.toAngle(this.data.planets[planet][0]) + this.shift
+        const position = getPointPosition(this.cx, this.cy, this.pointRadius, angle, this.settings)
+        const point = { name: planet, x: position.x, y: position.y, r: this.settings.COLLISION_RADIUS * this.settings.SYMBOL_SCALE, angle, pointer: angle }
+        this.locatedPoints = assemble(this.locatedPoints, point, { cx: this.cx, cy: this.cy, r: this.pointRadius }, this.settings)
+      }
+    }
+
+    this.locatedPoints.forEach(function (point: LocatedPoint) {
+      const pointer = this.toAngle(this.data.planets[point.name][0]) + this.shift
+
+      // draw pointer to the scale
+      const startPosition = getPointPosition(this.cx, this.cy, this.scaleRadius, pointer, this.settings)
+      const endPosition = getPointPosition(this.cx, this.cy, this.pointRadius + this.settings.COLLISION_RADIUS * this.settings.SYMBOL_SCALE, point.angle, this.settings)
+      const line = this.paper.line(startPosition.x, startPosition.y, endPosition.x, endPosition.y)
+      line.setAttribute('stroke', this.settings.LINE_COLOR)
+      line.setAttribute('stroke-width', (0.5 * this.settings.CUSPS_STROKE * this.settings.SYMBOL_SCALE).toString())
+      wrapper.appendChild(line)
+
+      // draw symbol
+      const symbol = this.paper.getSymbol(point.name, point.x, point.y)
+      symbol.setAttribute('id', this.paper.root.id + '-' + this.settings.ID_DIAL + '-' + this.settings.ID_POINTS + '-' + point.name)
+      wrapper.appendChild(symbol)
+
+      // degree on the dial
+      const folded = this.toAngle(this.data.planets[point.name][0]) * this.modulus / 360
+      getDescriptionPosition(point, [Math.floor(folded).toString()], this.settings).forEach(function (dsc) {
+        wrapper.appendChild(this.paper.text(dsc.text, dsc.x, dsc.y, this.settings.POINTS_TEXT_SIZE.toString(), this.settings.SIGNS_COLOR))
+      }, this)
+    }, this)
+  }
+
+  /**
+   * Draw the pointer of the dial from the center to the scale
+   *
+   * @param {double} longitude
+   * @return {Dial} dial
+   */
+  drawPointer (longitude: number): Dial {
+    const wrapper = getEmptyWrapper(this.universe, this.paper.root.id + '-' + this.settings.ID_DIAL + '-' + this.settings.ID_DIAL_POINTER, this.paper.root.id)
+    const angle = this.toAngle(longitude) + this.shift
+
+    // the pointer and its other end (the opposite point of the dial)
+    const end = getPointPosition(this.cx, this.cy, this.scaleRadius, angle, this.settings)
+    const back = getPointPosition(this.cx, this.cy, this.scaleRadius / 4, angle + 180, this.settings)
+    const pointer = this.paper.line(back.x, back.y, end.x, end.y)
+    pointer.setAttribute('stroke', this.settings.DIAL_POINTER_COLOR)
+    pointer.setAttribute('stroke-width', (this.settings.CIRCLE_STRONG * this.settings.SYMBOL_SCALE).toString())
+    wrapper.appendChild(pointer)
+
+    const hub = this.paper.circle(this.cx, this.cy, this.settings.CIRCLE_STRONG * 2 * this.settings.SYMBOL_SCALE)
+    hub.setAttribute('fill', this.settings.DIAL_POINTER_COLOR)
+    wrapper.appendChild(hub)
+
+    return this
+  }
+}
+
+export default Dial
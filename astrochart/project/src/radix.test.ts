@@ -39,4 +39,46 @@ describe('Radix', () => {
     const aspectLines = document.querySelectorAll('#chart-astrology-aspects > line');
     expect(aspectLines[0].getAttribute('stroke')).toBe('purple');
   });
+
+  it('should add points of interest to the aspects without drawing them', () => {
+    document.body.innerHTML = '<div id="chart"></div>';
+    const settings = default_settings;
+    const paper = new SVG('chart', 500, 500, settings);
+    const radix = new Radix(paper, 500, 500, 500, data, settings);
+    radix.addPointsOfInterest({ Regulus: [180] });
+
+    expect(radix.toPoints.Regulus).toEqual([180]);
+    expect(document.getElementById('chart-astrology-radix-points-of-interest')).toBeNull();
+  });
+
+  it('should draw marked points of interest on the outer ring', () => {
+    document.body.innerHTML = '<div id="chart"></div>';
+    const settings = default_settings;
+    const paper = new SVG('chart', 500, 500, settings);
+    const radix = new Radix(paper, 500, 500, 500, data, settings);
+    radix.addPointsOfInterest({ Regulus: [149.6] }, true);
+    radix.addPointsOfInterest({ Spica: [203.6] }, true);
+
+    const markers = document.querySelectorAll('#chart-astrology-radix-points-of-interest > line');
+    expect(markers.length).toBe(2);
+    expect(markers[0].getAttribute('stroke')).toBe(default_settings.POINTS_OF_INTEREST_COLOR);
+
+    const label = document.getElementById('chart-astrology-radix-points-of-interest-Spica');
+    expect(label?.textContent).toBe('Spica');
+  });
+
+  it('should draw hollow markers without adding them to the aspects', () => {
+    document.body.innerHTML = '<div id="chart"></div>';
+    const settings = default_settings;
+    const paper = new SVG('chart', 500, 500, settings);
+    const radix = new Radix(paper, 500, 500, 500, data, settings);
+    radix.addHollowMarkers({ 'Sun-antiscion': [95.2], 'Sun-contra-antiscion': [275.2] });
+
+    const markers = document.querySelectorAll('#chart-astrology-radix-hollow-markers > circle');
+    expect(markers.length).toBe(2);
+    expect(markers[0].getAttribute('fill')).toBe('none');
+    expect(markers[0].getAttribute('stroke')).toBe(default_settings.HOLLOW_MARKERS_COLOR);
+    expect(document.getElementById('chart-astrology-radix-hollow-markers-Sun-antiscion')).not.toBeNull();
+    expect(radix.toPoints['Sun-antiscion']).toBeUndefined();
+  });
 });
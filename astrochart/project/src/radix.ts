@@ -53,6 +53,7 @@ class Radix {
   rulerRadius: number;
   pointRadius: number;
   toPoints: Points;
+  markedPoints: Points;
   shift: number;
   universe: Element;
   context: this;
@@ -92,6 +93,7 @@ class Radix {
     // @see aspects()
     // @see setPointsOfInterest()
     this.toPoints = JSON.parse(JSON.stringify(this.data.planets)); // Clone object
+    this.markedPoints = {};
 
     this.shift = 0;
     if (this.data.cusps && this.data.cusps[0]) {
@@ -740,12 +742,152 @@ class Radix {
   /**
    * Add points of interest for aspects calculation
    * @param {Obect} points, {"As":[0],"Ic":[90],"Ds":[180],"Mc":[270]}
+   * @param {boolean} draw, mark the points on the outer ring
    * @see (this.settings.AspectCalculator( toPoints) )
+   * @see drawPointsOfInterest()
    */
-  addPointsOfInterest(points: Points): Radix {
+  addPointsOfInterest(points: Points, draw = false): Radix {
     for (const point in points) {
       if (points.hasOwnProperty(point)) {
         this.toPoints[point] = points[point];
+        if (draw) {
+          this.markedPoints[point] = points[point];
+        }
+      }
+    }
+
+    if (draw) {
+      this.drawPointsOfInterest();
+    }
+
+    return this.context;
+  }
+
+  /**
+   * Draw the marked points of interest (fixed stars, ...) as ticks with
+   * their names outside the signs ring.
+   */
+  drawPointsOfInterest(): void {
+    const wrapper = getEmptyWrapper(
+      this.universe,
+      this.paper.root.id +
+        "-" +
+        this.settings.ID_RADIX +
+        "-" +
+        this.settings.ID_POINTS_OF_INTEREST,
+      this.paper.root.id,
+    );
+
+    const markerRadius = this.radius + this.rulerRadius;
+    for (const point in this.markedPoints) {
+      if (this.markedPoints.hasOwnProperty(point)) {
+        const angle = this.markedPoints[point][0] + this.shift;
+        const start = getPointPosition(
+          this.cx,
+          this.cy,
+          this.radius,
+          angle,
+          this.settings,
+        );
+        const end = getPointPosition(
+          this.cx,
+          this.cy,
+          markerRadius,
+          angle,
+          this.settings,
+        );
+        const line = this.paper.line(start.x, start.y, end.x, end.y);
+        line.setAttribute("stroke", this.settings.POINTS_OF_INTEREST_COLOR);
+        line.setAttribute(
+          "stroke-width",
+          (this.settings.CUSPS_STROKE * this.settings.SYMBOL_SCALE).toString(),
+        );
+        wrapper.appendChild(line);
+
+        // the name runs away from the chart on both sides
+        const position = getPointPosition(
+          this.cx,
+          this.cy,
+          markerRadius + this.settings.POINTS_OF_INTEREST_TEXT_SIZE / 2,
+          angle,
+          this.settings,
+        );
+        const text = this.paper.text(
+          point,
+          position.x,
+          position.y,
+          this.settings.POINTS_OF_INTEREST_TEXT_SIZE.toString(),
+          this.settings.POINTS_OF_INTEREST_COLOR,
+        );
+        text.setAttribute(
+          "text-anchor",
+          position.x < this.cx ? "end" : "start",
+        );
+        text.setAttribute(
+          "id",
+          this.paper.root.id +
+            "-" +
+            this.settings.ID_RADIX +
+            "-" +
+            this.settings.ID_POINTS_OF_INTEREST +
+            "-" +
+            point,
+        );
+        wrapper.appendChild(text);
+      }
+    }
+  }
+
+  /**
+   * Draw hollow markers on the ruler ring (antiscia, ...). They are not
+   * symbols and do not take part in the aspects.
+   * @param {Object} points, {"Sun-antiscion":[95.2]}
+   */
+  addHollowMarkers(points: Points): Radix {
+    const wrapper = getEmptyWrapper(
+      this.universe,
+      this.paper.root.id +
+        "-" +
+        this.settings.ID_RADIX +
+        "-" +
+        this.settings.ID_HOLLOW_MARKERS,
+      this.paper.root.id,
+    );
+
+    const markerRadius =
+      this.radius -
+      (this.radius / this.settings.INNER_CIRCLE_RADIUS_RATIO +
+        this.rulerRadius / 2);
+    for (const point in points) {
+      if (points.hasOwnProperty(point)) {
+        const position = getPointPosition(
+          this.cx,
+          this.cy,
+          markerRadius,
+          points[point][0] + this.shift,
+          this.settings,
+        );
+        const circle = this.paper.circle(
+          position.x,
+          position.y,
+          this.settings.HOLLOW_MARKERS_RADIUS * this.settings.SYMBOL_SCALE,
+        );
+        circle.setAttribute("stroke", this.settings.HOLLOW_MARKERS_COLOR);
+        circle.setAttribute(
+          "stroke-width",
+          (this.settings.CUSPS_STROKE * this.settings.SYMBOL_SCALE).toString(),
+        );
+        circle.setAttribute(
+          "id",
+          this.paper.root.id +
+            "-" +
+            this.settings.ID_RADIX +
+            "-" +
+            this.settings.ID_HOLLOW_MARKERS +
+            "-" +
+            point,
+        );
+        wrapper.appendChild(circle);
       }
     }
 
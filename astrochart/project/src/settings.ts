@@ -33,6 +33,11 @@ export interface Settings {
   ID_CUSPS: string;
   ID_RULER: string;
   ID_BG: string;
+  ID_POINTS_OF_INTEREST: string;
+  ID_HOLLOW_MARKERS: string;
+  ID_DIAL: string;
+  ID_DIAL_SCALE: string;
+  ID_DIAL_POINTER: string;
   CIRCLE_COLOR: string;
   CIRCLE_STRONG: number;
   LINE_COLOR: string;
@@ -54,6 +59,10 @@ export interface Settings {
   SYMBOL_NNODE: string;
   SYMBOL_SNODE: string;
   SYMBOL_FORTUNE: string;
+  SYMBOL_CERES: string;
+  SYMBOL_PALLAS: string;
+  SYMBOL_JUNO: string;
+  SYMBOL_VESTA: string;
   SYMBOL_AS: string;
   SYMBOL_DS: string;
   SYMBOL_MC: string;
@@ -118,6 +127,11 @@ export interface Settings {
   ANIMATION_CUSPS_ROTATION_SPEED: number;
   DEBUG: boolean;
   SHOW_AXIS_LABELS: boolean;
+  POINTS_OF_INTEREST_COLOR: string;
+  POINTS_OF_INTEREST_TEXT_SIZE: number;
+  HOLLOW_MARKERS_COLOR: string;
+  HOLLOW_MARKERS_RADIUS: number;
+  DIAL_POINTER_COLOR: string;
 }
 
 const settings: Settings = {
@@ -181,6 +195,17 @@ const settings: Settings = {
   // Background wrapper element ID
   ID_BG: "bg",
 
+  // Points of interest (outer ring markers) wrapper element ID
+  ID_POINTS_OF_INTEREST: "points-of-interest",
+
+  // Hollow markers (antiscia, ...) wrapper element ID
+  ID_HOLLOW_MARKERS: "hollow-markers",
+
+  // Dial chart wrapper element IDs
+  ID_DIAL: "dial",
+  ID_DIAL_SCALE: "scale",
+  ID_DIAL_POINTER: "pointer",
+
   // Color of circles in charts
   CIRCLE_COLOR: "#333",
 
@@ -215,6 +240,10 @@ const settings: Settings = {
   SYMBOL_NNODE: "NNode",
   SYMBOL_SNODE: "SNode",
   SYMBOL_FORTUNE: "Fortune",
+  SYMBOL_CERES: "Ceres",
+  SYMBOL_PALLAS: "Pallas",
+  SYMBOL_JUNO: "Juno",
+  SYMBOL_VESTA: "Vesta",
 
   // Axis
   SYMBOL_AS: "AS",
@@ -347,6 +376,17 @@ const settings: Settings = {
   DEBUG: false,
 
   SHOW_AXIS_LABELS: false,
+
+  // Markers of the drawn points of interest, outside the signs ring
+  POINTS_OF_INTEREST_COLOR: "#333",
+  POINTS_OF_INTEREST_TEXT_SIZE: 7,
+
+  // Hollow markers on the ruler ring (without symbol and without aspects)
+  HOLLOW_MARKERS_COLOR: "#7B1FA2",
+  HOLLOW_MARKERS_RADIUS: 3,
+
+  // Pointer of the dial charts
+  DIAL_POINTER_COLOR: "#D32F2F",
 };
 
 const default_settings = settings;
@@ -53,6 +53,18 @@ describe('getSymbol', () => {
     });
   })
   
+  test.each([
+    default_settings.SYMBOL_CERES,
+    default_settings.SYMBOL_PALLAS,
+    default_settings.SYMBOL_JUNO,
+    default_settings.SYMBOL_VESTA
+  ])('draw a glyph for the asteroid %s', (asteroid) => {
+    const svg = new SVG("test-element", 100, 100, {...default_settings, ADD_CLICK_AREA : true})
+    const element = svg.getSymbol(asteroid, 1, 1)
+    expect(element.getElementsByTagName("path")).toHaveLength(1)
+    expect(element.getElementsByTagName("rect")).toHaveLength(1)
+  })
+
   test('should call custom getSymbol function', () => {
     const mockFn = jest.fn()
     const svg = new SVG("test-element", 100, 100, {...default_settings, CUSTOM_SYMBOL_FN : mockFn})
@@ -78,6 +78,14 @@ class SVG {
         return this.snode(x, y)
       case this.settings.SYMBOL_FORTUNE:
         return this.fortune(x, y)
+      case this.settings.SYMBOL_CERES:
+        return this.ceres(x, y)
+      case this.settings.SYMBOL_PALLAS:
+        return this.pallas(x, y)
+      case this.settings.SYMBOL_JUNO:
+        return this.juno(x, y)
+      case this.settings.SYMBOL_VESTA:
+        return this.vesta(x, y)
       case this.settings.SYMBOL_ARIES:
         return this.aries(x, y)
       case this.settings.SYMBOL_TAURUS:
@@ -693,6 +701,130 @@ class SVG {
     return wrapper
   }
 
+  /*
+ * Ceres (sickle on a cross) path
+ * @private
+ *
+ * @param {int} x
+ * @param {int} y
+ *
+ * @return {SVGPathElement} path
+ */
+  ceres(x: number, y: number): Element {
+    // center symbol
+    const xShift = -3 // px
+    const yShift = -7 // px
+    x = Math.round(x + (xShift * this.settings.SYMBOL_SCALE))
+    y = Math.round(y + (yShift * this.settings.SYMBOL_SCALE))
+
+    const wrapper = document.createElementNS(this.context.root.namespaceURI, 'g')
+    wrapper.setAttribute('transform', 'translate(' + (-x * (this.settings.SYMBOL_SCALE - 1)) + ',' + (-y * (this.settings.SYMBOL_SCALE - 1)) + ') scale(' + this.settings.SYMBOL_SCALE + ')')
+
+    const node = document.createElementNS(this.context.root.namespaceURI, 'path')
+    node.setAttribute('d', 'm' + x + ', ' + y + ' a 4,4 0 1 1 2.57,7.06 l 0,7 m -3,-3 l 6,0')
+    node.setAttribute('stroke', this.settings.POINTS_COLOR)
+    node.setAttribute('stroke-width', this.settings.POINTS_STROKE.toString())
+    node.setAttribute('fill', 'none')
+    wrapper.appendChild(node)
+
+    if (this.settings.ADD_CLICK_AREA) wrapper.appendChild(this.createRectForClick(x - 3, y - 2))
+
+    return wrapper
+  }
+
+  /*
+ * Pallas (lozenge on a cross) path
+ * @private
+ *
+ * @param {int} x
+ * @param {int} y
+ *
+ * @return {SVGPathElement} path
+ */
+  pallas(x: number, y: number): Element {
+    // center symbol
+    const xShift = 0 // px
+    const yShift = -8 // px
+    x = Math.round(x + (xShift * this.settings.SYMBOL_SCALE))
+    y = Math.round(y + (yShift * this.settings.SYMBOL_SCALE))
+
+    const wrapper = document.createElementNS(this.context.root.namespaceURI, 'g')
+    wrapper.setAttribute('transform', 'translate(' + (-x * (this.settings.SYMBOL_SCALE - 1)) + ',' + (-y * (this.settings.SYMBOL_SCALE - 1)) + ') scale(' + this.settings.SYMBOL_SCALE + ')')
+
+    const node = document.createElementNS(this.context.root.namespaceURI, 'path')
+    node.setAttribute('d', 'm' + x + ', ' + y + ' l 4,4 -4,4 -4,-4 z m 0,8 l 0,8 m -3,-4 l 6,0')
+    node.setAttribute('stroke', this.settings.POINTS_COLOR)
+    node.setAttribute('stroke-width', this.settings.POINTS_STROKE.toString())
+    node.setAttribute('fill', 'none')
+    wrapper.appendChild(node)
+
+    if (this.settings.ADD_CLICK_AREA) wrapper.appendChild(this.createRectForClick(x - 5, y))
+
+    return wrapper
+  }
+
+  /*
+ * Juno (star on a cross) path
+ * @private
+ *
+ * @param {int} x
+ * @param {int} y
+ *
+ * @return {SVGPathElement} path
+ */
+  juno(x: number, y: number): Element {
+    // center symbol
+    const xShift = 0 // px
+    const yShift = -8 // px
+    x = Math.round(x + (xShift * this.settings.SYMBOL_SCALE))
+    y = Math.round(y + (yShift * this.settings.SYMBOL_SCALE))
+
+    const wrapper = document.createElementNS(this.context.root.namespaceURI, 'g')
+    wrapper.setAttribute('transform', 'translate(' + (-x * (this.settings.SYMBOL_SCALE - 1)) + ',' + (-y * (this.settings.SYMBOL_SCALE - 1)) + ') scale(' + this.settings.SYMBOL_SCALE + ')')
+
+    const node = document.createElementNS(this.context.root.namespaceURI, 'path')
+    node.setAttribute('d', 'm' + x + ', ' + y + ' l 0,16 m -3.5,-14 l 7,4 m 0,-4 l -7,4 m 0.5,6 l 6,0')
+    node.setAttribute('stroke', this.settings.POINTS_COLOR)
+    node.setAttribute('stroke-width', this.settings.POINTS_STROKE.toString())
+    node.setAttribute('fill', 'none')
+    wrapper.appendChild(node)
+
+    if (this.settings.ADD_CLICK_AREA) wrapper.appendChild(this.createRectForClick(x - 5, y))
+
+    return wrapper
+  }
+
+  /*
+ * Vesta (hearth with a flame) path
+ * @private
+ *
+ * @param {int} x
+ * @param {int} y
+ *
+ * @return {SVGPathElement} path
+ */
+  vesta(x: number, y: number): Element {
+    // center symbol
+    const xShift = -4 // px
+    const yShift = -5 // px
+    x = Math.round(x + (xShift * this.settings.SYMBOL_SCALE))
+    y = Math.round(y + (yShift * this.settings.SYMBOL_SCALE))
+
+    const wrapper = document.createElementNS(this.context.root.namespaceURI, 'g')
+    wrapper.setAttribute('transform', 'translate(' + (-x * (this.settings.SYMBOL_SCALE - 1)) + ',' + (-y * (this.settings.SYMBOL_SCALE - 1)) + ') scale(' + this.settings.SYMBOL_SCALE + ')')
+
+    const node = document.createElementNS(this.context.root.namespaceURI, 'path')
+    node.setAttribute('d', 'm' + x + ', ' + y + ' l 4,8 4,-8 m -8,11 l 8,0 m -4,-13 l 0,5')
+    node.setAttribute('stroke', this.settings.POINTS_COLOR)
+    node.setAttribute('stroke-width', this.settings.POINTS_STROKE.toString())
+    node.setAttribute('fill', 'none')
+    wrapper.appendChild(node)
+
+    if (this.settings.ADD_CLICK_AREA) wrapper.appendChild(this.createRectForClick(x - 1, y - 2))
+
+    return wrapper
+  }
+
   /*
  * Aries symbol path
  * @private
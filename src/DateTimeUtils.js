@@ -1,37 +1,201 @@
-const { DateTime } = require("luxon");
+const { DateTime, Info } = require("luxon");
+
+/**
+ * Raised when a local wall-clock time cannot be mapped to a single UTC instant
+ * (DST gap or DST overlap). Carries the possible interpretations so the client
+ * can choose one.
+ */
+class DateTimeResolutionError extends Error {
+  constructor(message, code, candidates = []) {
+    super(message);
+    this.name = "DateTimeResolutionError";
+    this.code = code;
+    this.status = 422;
+    this.candidates = candidates;
+  }
+}
+
+// Accepted wall-clock formats besides ISO 8601 ("1990-05-12T14:30", "1990-05-12 14:30")
+const LOCAL_FORMATS = ["dd/MM/yyyy HH:mm", "dd/MM/yyyy HH:mm:ss", "dd.MM.yyyy HH:mm"];
 
 const DateTimeUtils = {
+  DateTimeResolutionError,
+
   adjustForTimezone(date, timezone = 0) {
     return new Date(date.getTime() - timezone * 60 * 60 * 1000);
     //return convertToUTC(date, timezone);
   },
 
+  /**
+   * Turns numeric offsets ("2", "+3", "-05") into a zone luxon understands ("UTC+02:00").
+   * IANA names ("Europe/Bucharest") are returned unchanged.
+   */
   normalizeZone(timezone) {
-    if (/^[+-]?\d{1,2}$/.test(timezone)) {
-      let sign = timezone.startsWith("+") ? "+" : timezone.startsWith("-") ? "-" : "+";
-      let hour = timezone.replace(/^[+-]/, "").padStart(2, "0");
-      return `${sign}${hour}:00`;
+    if (typeof timezone === "number") {
+      timezone = String(timezone);
+    }
+    if (/^[+-]?\d{1,2}(:\d{2})?$/.test(timezone)) {
+      let sign = timezone.startsWith("-") ? "-" : "+";
+      let [hour, minute = "00"] = timezone.replace(/^[+-]/, "").split(":");
+      return `UTC${sign}${hour.padStart(2, "0")}:${minute}`;
     }
     return timezone;
   },
 
-  convertToUTC(dateStr, timezone) {
-    const zone = this.normalizeZone(timezone);
-    let dt;
+  /**
+   * Checks that a timezone is either an IANA name or a fixed offset.
+   * @param {string|number} timezone
+   * @returns {boolean}
+   */
+  isValidZone(timezone) {
+    if (timezone === undefined || timezone === null || timezone === "") {
+      return false;
+    }
+    const zone = Info.normalizeZone(this.normalizeZone(timezone));
+    return Boolean(zone && zone.isValid);
+  },
 
-    if (dateStr) {
-      // dt = DateTime.fromFormat(dateStr, "yyyy-MM-ddTHH:mm:00", { zone });
-      dt = DateTime.fromFormat(dateStr, "dd/MM/yyyy HH:mm", { zone });
-    } else {
-      dt = DateTime.now().setZone(zone);
+  /**
+   * Parses a wall-clock string without attaching any zone to it.
+   * @param {string} localDatetime - ISO ("1990-05-12T14:30") or "dd/MM/yyyy HH:mm".
+   * @returns {DateTime|null} A luxon DateTime in UTC carrying the same wall-clock fields, or null.
+   */
+  parseWallClock(localDatetime) {
+    if (typeof localDatetime !== "string") {
+      return null;
     }
-    console.log(dt.toJSDate());
+    const value = localDatetime.trim().replace(" ", "T");
 
-    if (!dt.isValid) {
-      throw new Error("Invalid date or timezone format");
+    // an explicit offset or "Z" means it is not a wall-clock time
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value) && value.includes("T")) {
+      return null;
     }
 
-    return dt.toUTC().toJSDate();
+    let dt = DateTime.fromISO(value, { zone: "utc" });
+    for (let i = 0; !dt.isValid && i < LOCAL_FORMATS.length; i++) {
+      dt = DateTime.fromFormat(localDatetime.trim(), LOCAL_FORMATS[i], {
+        zone: "utc",
+      });
+    }
+
+    return dt.isValid ? dt : null;
+  },
+
+  /**
+   * Resolves a local wall-clock time in a zone to the UTC instant, using the
+   * historical offsets of the IANA database.
+   *
+   * Every offset used by the zone in the surrounding two days is tried; the ones
+   * that map back to the same wall-clock time are the valid interpretations:
+   * one means the time is exact, two means it falls in a DST overlap and none
+   * means it falls in a DST gap.
+   *
+   * @param {string} localDatetime - Wall-clock time, e.g. "1990-05-12T14:30".
+   * @param {string} timezone - IANA zone ("Europe/Bucharest") or fixed offset ("+2").
+   * @param {string} disambiguation - "reject" (default), "earlier" or "later".
+   * @returns {Object} { date, status, zone, offset, candidates }
+   */
+  resolveLocalDateTime(localDatetime, timezone, disambiguation = "reject") {
+    const wallClock = this.parseWallClock(localDatetime);
+    if (!wallClock) {
+      throw new Error(`Invalid local date time: ${localDatetime}`);
+    }
+
+    const zone = Info.normalizeZone(this.normalizeZone(timezone));
+    if (!zone || !zone.isValid) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    const wallMillis = wallClock.toMillis();
+    const day = 24 * 60 * 60 * 1000;
+    const offsets = new Set(
+      [wallMillis - day, wallMillis, wallMillis + day].map((ts) =>
+        zone.offset(ts),
+      ),
+    );
+
+    const toCandidate = (offset) => {
+      const instant = wallMillis - offset * 60 * 1000;
+      return {
+        date: new Date(instant),
+        utc: new Date(instant).toISOString(),
+        offset: this.formatOffset(offset),
+      };
+    };
+
+    const candidates = [...offsets]
+      .filter((offset) => zone.offset(wallMillis - offset * 60 * 1000) === offset)
+      .map(toCandidate)
+      .sort((a, b) => a.date - b.date);
+
+    let status = "exact";
+    if (candidates.length > 1) {
+      status = "ambiguous";
+    } else if (candidates.length === 0) {
+      status = "nonexistent";
+    }
+
+    if (status === "exact") {
+      return { ...candidates[0], status, zone: zone.name, candidates };
+    }
+
+    // For a gap, the two readings are the wall-clock time taken with the
+    // offset before and after the transition.
+    const options =
+      status === "ambiguous"
+        ? candidates
+        : [...offsets]
+            .map(toCandidate)
+            .sort((a, b) => a.date - b.date);
+
+    if (disambiguation === "earlier" || disambiguation === "later") {
+      const chosen =
+        disambiguation === "earlier" ? options[0] : options[options.length - 1];
+      return { ...chosen, status, zone: zone.name, candidates: options };
+    }
+
+    const message =
+      status === "ambiguous"
+        ? `Local time ${localDatetime} occurs twice in ${zone.name} (DST overlap)`
+        : `Local time ${localDatetime} does not exist in ${zone.name} (DST gap)`;
+    throw new DateTimeResolutionError(
+      message,
+      status === "ambiguous" ? "AMBIGUOUS_LOCAL_TIME" : "NONEXISTENT_LOCAL_TIME",
+      options.map(({ utc, offset }) => ({ utc, offset })),
+    );
+  },
+
+  /**
+   * Formats an offset in minutes as "+02:00".
+   * @param {number} minutes
+   * @returns {string}
+   */
+  formatOffset(minutes) {
+    const sign = minutes < 0 ? "-" : "+";
+    const abs = Math.abs(minutes);
+    const hours = String(Math.floor(abs / 60)).padStart(2, "0");
+    const mins = String(abs % 60).padStart(2, "0");
+    return `${sign}${hours}:${mins}`;
+  },
+
+  /**
+   * Parses an absolute instant ("1990-05-12T12:30:00Z", "1990-05-12T14:30+02:00").
+   * @param {string} value
+   * @returns {Date|null}
+   */
+  parseInstant(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  convertToUTC(dateStr, timezone) {
+    if (dateStr) {
+      return this.resolveLocalDateTime(dateStr, timezone, "earlier").date;
+    }
+    return this.nowInZone(timezone);
   },
 
   nowInZone(timezone) {
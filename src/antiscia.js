@@ -0,0 +1,88 @@
+const { angleDelta } = require("./ephemerisSearch");
+
+const normalize = (longitude) => ((longitude % 360) + 360) % 360;
+
+/**
+ * Antiscion: the point mirrored across the solstice axis (0° Cancer - 0°
+ * Capricorn), with the same declination. Contra-antiscion: the point mirrored
+ * across the equinox axis, its opposite.
+ *
+ * The axes are the tropical ones: a sidereal longitude is mirrored as a
+ * tropical one and converted back.
+ * @param {number} longitude
+ * @param {number} ayanamsa - Ayanamsa of a sidereal longitude, 0 for tropical
+ * @returns {Object} { antiscion, contraAntiscion }
+ */
+function mirrorPoints(longitude, ayanamsa = 0) {
+  const tropical = longitude + ayanamsa;
+  return {
+    antiscion: parseFloat(normalize(180 - tropical - ayanamsa).toFixed(3)),
+    contraAntiscion: parseFloat(
+      normalize(360 - tropical - ayanamsa).toFixed(3),
+    ),
+  };
+}
+
+/**
+ * Antiscia and contra-antiscia of the chart points.
+ * @param {Object} points - { name: { longitude } }
+ * @param {number} ayanamsa - Ayanamsa of the chart (zodiac.ayanamsa_value), 0
+ *   for tropical
+ * @returns {Object} { name: { antiscion, contraAntiscion } }
+ */
+function calculateAntiscia(points, ayanamsa = 0) {
+  return Object.fromEntries(
+    Object.entries(points).map(([name, point]) => [
+      name,
+      mirrorPoints(point.longitude, ayanamsa),
+    ]),
+  );
+}
+
+/**
+ * Planets on mirror points. An opposition to the antiscion is the conjunction
+ * to the contra-antiscion (and the other way round), so each relation is
+ * reported once, as the conjunction to the mirror the planet is on. A point
+ * does not contact its own mirror.
+ * @param {Object} antiscia - From calculateAntiscia
+ * @param {Object} planets - { name: { longitude } }: natal or transiting planets
+ * @param {number} orb - Degrees (orbs.antiscia)
+ * @param {boolean} samePoints - Whether the planets are the points the antiscia
+ *   come from (natal contacts: each pair once)
+ * @returns {Array<Object>} { point, mirror, planet, aspect, orb }, closest first
+ */
+function findAntisciaContacts(antiscia, planets, orb, samePoints = false) {
+  const contacts = [];
+  const pointNames = Object.keys(antiscia);
+
+  pointNames.forEach((point, index) => {
+    for (const [planet, position] of Object.entries(planets)) {
+      if (planet === point) continue;
+      // antiscia sunt simetrice: Marte în antiscia lui Venus = Venus în a lui Marte
+      if (samePoints && pointNames.indexOf(planet) < index) continue;
+
+      for (const mirror of ["antiscion", "contraAntiscion"]) {
+        const distance = Math.abs(
+          angleDelta(position.longitude, antiscia[point][mirror]),
+        );
+        if (distance <= orb) {
+          contacts.push({
+            point,
+            mirror,
+            planet,
+            aspect: "conjunction",
+            orb: parseFloat(distance.toFixed(2)),
+          });
+        }
+      }
+    }
+  });
+
+  return contacts.sort((a, b) => a.orb - b.orb);
+}
+
+module.exports = {
+  mirrorPoints,
+  calculateAntiscia,
+  findAntisciaContacts,
+};
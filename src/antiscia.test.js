@@ -0,0 +1,80 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  mirrorPoints,
+  calculateAntiscia,
+  findAntisciaContacts,
+} = require("./antiscia");
+
+describe("mirrorPoints", () => {
+  it("should mirror across the solstice and equinox axes", () => {
+    // 10° Aries ↔ 20° Virgo; contra-antiscion 20° Pisces
+    assert.deepEqual(mirrorPoints(10), {
+      antiscion: 170,
+      contraAntiscion: 350,
+    });
+    // 0° Cancer is on the solstice axis
+    assert.equal(mirrorPoints(90).antiscion, 90);
+  });
+
+  it("should mirror sidereal longitudes across the tropical axes", () => {
+    // Mars at 5.663° sidereal (29.31° tropical, Lahiri 23.647°)
+    const { antiscion, contraAntiscion } = mirrorPoints(5.663, 23.647);
+
+    // tropical antiscion 150.69°, back to sidereal
+    assert.ok(Math.abs(antiscion - 127.043) < 0.001);
+    assert.ok(Math.abs(contraAntiscion - 307.043) < 0.001);
+  });
+
+  it("should pass the ayanamsa of the chart to every point", () => {
+    const antiscia = calculateAntiscia(
+      { Sun: { longitude: 66.353 }, Mars: { longitude: 5.663 } },
+      23.647,
+    );
+
+    assert.equal(antiscia.Mars.antiscion, 127.043);
+    // 90° tropical: on the solstice axis, its own antiscion
+    assert.equal(antiscia.Sun.antiscion, 66.353);
+  });
+});
+
+describe("findAntisciaContacts", () => {
+  // antiscion of Venus at 10° Aries: 20° Virgo, contra-antiscion 20° Pisces
+  const antiscia = calculateAntiscia({ Venus: { longitude: 10 } });
+
+  it("should report a planet opposite the antiscion once", () => {
+    // Mars at 20.5° Pisces: opposite the antiscion, on the contra-antiscion
+    const contacts = findAntisciaContacts(
+      antiscia,
+      { Mars: { longitude: 350.5 } },
+      1,
+    );
+
+    assert.deepEqual(contacts, [
+      {
+        point: "Venus",
+        mirror: "contraAntiscion",
+        planet: "Mars",
+        aspect: "conjunction",
+        orb: 0.5,
+      },
+    ]);
+  });
+
+  it("should report natal pairs once", () => {
+    const points = {
+      Venus: { longitude: 10 },
+      Mars: { longitude: 170.4 },
+    };
+    const contacts = findAntisciaContacts(
+      calculateAntiscia(points),
+      points,
+      1,
+      true,
+    );
+
+    assert.equal(contacts.length, 1);
+    assert.equal(contacts[0].mirror, "antiscion");
+    assert.equal(contacts[0].orb, 0.4);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Aspect definitions shared by the calculators.
+ * Orbs are not part of the definition, they come from the orb profile (orbs.js).
+ */
+const ASPECTS = {
+  CONJUNCTION: { angle: 0, name: "conjunction", symbol: "☌", group: "major" },
+  OPPOSITION: { angle: 180, name: "opposition", symbol: "☍", group: "major" },
+  TRINE: { angle: 120, name: "trine", symbol: "△", group: "major" },
+  SQUARE: { angle: 90, name: "square", symbol: "□", group: "major" },
+  SEXTILE: { angle: 60, name: "sextile", symbol: "⚹", group: "major" },
+  QUINCUNX: { angle: 150, name: "quincunx", symbol: "⚻", group: "minor" },
+  SEMISEXTILE: { angle: 30, name: "semisextile", symbol: "⚺", group: "minor" },
+  SEMISQUARE: { angle: 45, name: "semisquare", symbol: "∠", group: "minor" },
+  SESQUIQUADRATE: {
+    angle: 135,
+    name: "sesquiquadrate",
+    symbol: "⚼",
+    group: "minor",
+  },
+  QUINTILE: { angle: 72, name: "quintile", symbol: "Q", group: "quintile" },
+  BIQUINTILE: {
+    angle: 144,
+    name: "biquintile",
+    symbol: "bQ",
+    group: "quintile",
+  },
+};
+
+// settings.aspect_set -> grupele de aspecte incluse
+const ASPECT_SETS = {
+  major: ["major"],
+  "major+minor": ["major", "minor"],
+  all: ["major", "minor", "quintile"],
+};
+
+const MAJOR_ASPECTS = Object.values(ASPECTS)
+  .filter((aspect) => aspect.group === "major")
+  .map((aspect) => aspect.name);
+
+/**
+ * Returns the aspect table for an aspect set, keyed like ASPECTS.
+ * @param {string} aspectSet - "major" (default), "major+minor" or "all".
+ * @returns {Object}
+ */
+function getAspects(aspectSet = "major") {
+  const groups = ASPECT_SETS[aspectSet] || ASPECT_SETS.major;
+  return Object.fromEntries(
+    Object.entries(ASPECTS).filter(([, aspect]) =>
+      groups.includes(aspect.group),
+    ),
+  );
+}
+
+module.exports = {
+  ASPECTS,
+  ASPECT_SETS,
+  MAJOR_ASPECTS,
+  getAspects,
+};
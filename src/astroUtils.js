@@ -1,40 +1,13 @@
+const { BODIES, bodyLabel, isBodyName } = require("./bodies");
+
+// the bodies of settings.bodies (MeanNode and OscLilith come as NNode and Lilith)
+const BODY_NAMES = Object.keys(BODIES).filter((name) => !BODIES[name].as);
+
 // only the planets are displayed
-const planetsToFilter = [
-  "Sun",
-  "Moon",
-  "Mercury",
-  "Venus",
-  "Mars",
-  "Jupiter",
-  "Saturn",
-  "Uranus",
-  "Neptune",
-  "Pluto",
-  "Chiron",
-  "Lilith",
-  "NNode",
-  "SNode",
-  "AS",
-  "MC",
-];
+const planetsToFilter = [...BODY_NAMES, "SNode", "AS", "MC"];
 
 // only the planet aspects are displayed
-const anglesToFilter = [
-  "Sun",
-  "Moon",
-  "Mercury",
-  "Venus",
-  "Mars",
-  "Jupiter",
-  "Saturn",
-  "Uranus",
-  "Neptune",
-  "Pluto",
-  "Chiron",
-  "Lilith",
-  "NNode",
-  "SNode",
-];
+const anglesToFilter = [...BODY_NAMES, "SNode"];
 
 /**
  * Găsește poziția longitude a unei planete într-un obiect de date astrologice.
@@ -63,20 +36,65 @@ function toAstrochart(planets, houses, aspects = []) {
     aspects: [],
   };
 
+  // loturile (isLot) și asteroizii numerotați sunt desenați alături de planete
+  const extra = Object.keys(planets).filter(
+    (name) =>
+      planets[name].isLot ||
+      (isBodyName(name) && !planetsToFilter.includes(name)),
+  );
+
   // filter data
-  outputData.planets = filterPlanets(planets, planetsToFilter);
+  outputData.planets = filterPlanets(planets, [...planetsToFilter, ...extra]);
   outputData.planets = processPlanets(outputData.planets, planetsToFilter);
 
+  // loturile și corpurile fără glif AstroChart primesc o etichetă text
+  const labels = Object.keys(outputData.planets)
+    .map((name) => [
+      name,
+      planets[name].isLot ? planets[name].label : bodyLabel(name),
+    ])
+    .filter(([, label]) => label);
+  if (labels.length > 0) {
+    outputData.labels = Object.fromEntries(labels);
+  }
+
   outputData.cusps = processHouses(houses);
 
   if (aspects && aspects.length > 0) {
-    outputData.aspects = filterAspectsByPlanets(aspects, anglesToFilter);
+    outputData.aspects = filterAspectsByPlanets(aspects, [
+      ...anglesToFilter,
+      ...extra.filter((name) => !planets[name].isLot),
+    ]);
     outputData.aspects = processAspects(outputData.aspects, planets);
   }
 
   return outputData;
 }
 
+/**
+ * Aspectele dintre roata exterioară și cea natală, desenate peste cele natale.
+ * @param {object[]} aspects - { planet1 (exterior), planet2 (natal), aspect, angle, orb }
+ * @param {object} outerPlanets - Pozițiile roții exterioare.
+ * @param {object} natalPlanets - Pozițiile natale.
+ * @returns {object[]}
+ */
+function toAstrochartCrossAspects(aspects, outerPlanets, natalPlanets) {
+  return processAspects(
+    filterAspectsByPlanets(aspects, anglesToFilter),
+    outerPlanets,
+    natalPlanets,
+  );
+}
+
+/**
+ * Puncte de interes (ex: stele fixe) pentru marcajele de pe inelul exterior.
+ * @param {object} points - { name: { longitude } }
+ * @returns {object} { name: [longitude] }
+ */
+function toAstrochartPoints(points) {
+  return processPlanets(points);
+}
+
 function processHouses(houses) {
   const cusps = [];
   // Procesarea caselor (cusps)
@@ -107,7 +125,14 @@ function processPlanets(planets) {
   return outputData;
 }
 
-function processAspects(inputAspects, planets) {
+/**
+ * Aspectele în formatul AstroChart.
+ * @param {object[]} inputAspects - { planet1, planet2, aspect, angle, orb }
+ * @param {object} planets - Pozițiile pentru planet1.
+ * @param {object} toPlanets - Pozițiile pentru planet2 (altă roată la bi-wheel).
+ * @returns {object[]}
+ */
+function processAspects(inputAspects, planets, toPlanets = planets) {
   const aspects = [];
 
   if (inputAspects && Array.isArray(inputAspects)) {
@@ -122,10 +147,25 @@ function processAspects(inputAspects, planets) {
             break;
           case "sextile":
             color = "#0088f0ff";
+            break;
           case "trine":
             color = "#0075cfff";
             break;
-          // Poți adăuga și alte cazuri aici dacă este necesar
+          // aspecte minore (settings.aspect_set)
+          case "semisquare":
+          case "sesquiquadrate":
+            color = "#FF8A65";
+            break;
+          case "quincunx":
+            color = "#2E7D32";
+            break;
+          case "semisextile":
+            color = "#81C784";
+            break;
+          case "quintile":
+          case "biquintile":
+            color = "#8E24AA";
+            break;
         }
       }
 
@@ -155,7 +195,7 @@ function processAspects(inputAspects, planets) {
           },
           toPoint: {
             name: planet2,
-            position: getPlanetPosition(planets, planet2),
+            position: getPlanetPosition(toPlanets, planet2),
           },
           aspect: {
             name: aspectName,
@@ -287,4 +327,6 @@ module.exports = {
   processHouses,
   processAspects,
   toAstrochart,
+  toAstrochartCrossAspects,
+  toAstrochartPoints,
 };
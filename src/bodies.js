@@ -0,0 +1,188 @@
+const swisseph = require("swisseph");
+const { InputError } = require("./inputNormalizer");
+
+/**
+ * Bodies that settings.bodies can pick, by output name.
+ *
+ * `label` is the text drawn on the wheel for bodies without an astrochart
+ * glyph. Vertex has no ephemeris id: it comes from the house calculation.
+ * MeanNode and OscLilith are variants: they keep the NNode and Lilith names in
+ * the output and only change the point that is calculated.
+ */
+const BODIES = {
+  Sun: { id: swisseph.SE_SUN },
+  Moon: { id: swisseph.SE_MOON },
+  Mercury: { id: swisseph.SE_MERCURY },
+  Venus: { id: swisseph.SE_VENUS },
+  Mars: { id: swisseph.SE_MARS },
+  Jupiter: { id: swisseph.SE_JUPITER },
+  Saturn: { id: swisseph.SE_SATURN },
+  Uranus: { id: swisseph.SE_URANUS },
+  Neptune: { id: swisseph.SE_NEPTUNE },
+  Pluto: { id: swisseph.SE_PLUTO },
+  NNode: { id: swisseph.SE_TRUE_NODE },
+  MeanNode: { id: swisseph.SE_MEAN_NODE, as: "NNode" },
+  Chiron: { id: swisseph.SE_CHIRON },
+  Lilith: { id: swisseph.SE_MEAN_APOG }, // Mean Black Moon Lilith
+  OscLilith: { id: swisseph.SE_OSCU_APOG, as: "Lilith" },
+  Vertex: { id: null, label: "Vx" },
+  Ceres: { id: swisseph.SE_CERES },
+  Pallas: { id: swisseph.SE_PALLAS },
+  Juno: { id: swisseph.SE_JUNO },
+  Vesta: { id: swisseph.SE_VESTA },
+  Pholus: { id: swisseph.SE_PHOLUS, label: "Ph" },
+  // punctele ipotetice ale școlii uraniene (Hamburg)
+  Cupido: { id: swisseph.SE_CUPIDO, label: "Cu" },
+  Hades: { id: swisseph.SE_HADES, label: "Ha" },
+  Zeus: { id: swisseph.SE_ZEUS, label: "Ze" },
+  Kronos: { id: swisseph.SE_KRONOS, label: "Kr" },
+  Apollon: { id: swisseph.SE_APOLLON, label: "Ap" },
+  Admetos: { id: swisseph.SE_ADMETOS, label: "Ad" },
+  Vulkanus: { id: swisseph.SE_VULKANUS, label: "Vu" },
+  Poseidon: { id: swisseph.SE_POSEIDON, label: "Po" },
+  Transpluto: { id: swisseph.SE_ISIS, label: "TP" },
+};
+
+// Corpurile calculate până acum de toate calculatoarele
+const DEFAULT_BODIES = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+  "NNode",
+  "Chiron",
+  "Lilith",
+];
+
+// Secta, loturile și demnitățile au nevoie de planetele tradiționale
+const REQUIRED_BODIES = DEFAULT_BODIES.slice(0, 7);
+
+const ASTEROID_PREFIX = "Asteroid ";
+
+/**
+ * Files the Swiss Ephemeris looks for when calculating a numbered asteroid:
+ * the long file in the ast<n> subfolder, or the short "s" file (1500-2100)
+ * next to the planet files. None are bundled; see ephemeris/README.md.
+ */
+function asteroidFiles(number) {
+  const padded = String(number).padStart(5, "0");
+  return [
+    `ast${Math.floor(number / 1000)}/se${padded}.se1`,
+    `se${padded}s.se1`,
+  ];
+}
+
+/**
+ * Checks that the ephemeris file of a numbered asteroid is in ephemeris/.
+ */
+function checkAsteroid(number, field) {
+  swisseph.swe_set_ephe_path("./ephemeris");
+  const result = swisseph.swe_calc_ut(
+    2451545,
+    swisseph.SE_AST_OFFSET + number,
+    swisseph.SEFLG_SWIEPH,
+  );
+  if (result.error) {
+    throw new InputError(
+      `${field}: asteroid ${number} needs ${asteroidFiles(number).join(" or ")} in ephemeris/`,
+      field,
+      "INVALID_VALUE",
+    );
+  }
+}
+
+/**
+ * Resolves settings.bodies into the ephemeris ids to calculate.
+ *
+ * Accepts names of BODIES and numbered asteroids as strings ("433", calculated
+ * as "Asteroid 433" when its file is in ephemeris/, INVALID_VALUE naming the
+ * missing file otherwise). The traditional planets are always calculated.
+ *
+ * @param {Array<string>} names - Value of settings.bodies.
+ * @param {string} field - Request field name, used in error messages.
+ * @returns {Object} { name: id } - id null for the Vertex
+ */
+function resolveBodies(names = DEFAULT_BODIES, field = "settings.bodies") {
+  if (!Array.isArray(names)) {
+    throw new InputError(`${field} must be an array`, field, "INVALID_TYPE");
+  }
+
+  const bodies = Object.fromEntries(
+    REQUIRED_BODIES.map((name) => [name, BODIES[name].id]),
+  );
+  const picked = {};
+
+  names.forEach((name, index) => {
+    const itemField = `${field}[${index}]`;
+    if (typeof name === "string" && /^\d{1,6}$/.test(name)) {
+      const number = parseInt(name, 10);
+      checkAsteroid(number, itemField);
+      bodies[`${ASTEROID_PREFIX}${number}`] = swisseph.SE_AST_OFFSET + number;
+      return;
+    }
+
+    const body = BODIES[name];
+    if (!body) {
+      throw new InputError(
+        `${itemField} must be an asteroid number or one of: ${Object.keys(BODIES).join(", ")}`,
+        itemField,
+        "INVALID_VALUE",
+      );
+    }
+
+    const output = body.as || name;
+    if (picked[output] && picked[output] !== name) {
+      throw new InputError(
+        `${itemField} conflicts with ${picked[output]}: both are ${output}`,
+        itemField,
+        "INVALID_VALUE",
+      );
+    }
+    picked[output] = name;
+    bodies[output] = body.id;
+  });
+
+  return bodies;
+}
+
+/**
+ * The bodies that have an ephemeris id (without the Vertex), for calculators
+ * that sample positions over time.
+ */
+function ephemerisBodies(bodies) {
+  return Object.fromEntries(
+    Object.entries(bodies).filter(([, id]) => id !== null),
+  );
+}
+
+/**
+ * Text drawn on the wheel for a body without an astrochart glyph, or null.
+ */
+function bodyLabel(name) {
+  if (name.startsWith(ASTEROID_PREFIX)) {
+    return name.slice(ASTEROID_PREFIX.length);
+  }
+  return BODIES[name] ? BODIES[name].label || null : null;
+}
+
+/**
+ * Whether a chart point name is a body (listed or a numbered asteroid).
+ */
+function isBodyName(name) {
+  return Boolean(BODIES[name]) || name.startsWith(ASTEROID_PREFIX);
+}
+
+module.exports = {
+  BODIES,
+  DEFAULT_BODIES,
+  resolveBodies,
+  ephemerisBodies,
+  bodyLabel,
+  isBodyName,
+};
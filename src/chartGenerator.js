@@ -2,13 +2,11 @@ const { JSDOM } = require("jsdom");
 const path = require("path");
 
 /**
- * Generates an SVG string for an astrological chart using AstroChart and JSDOM.
- * @param {Object} dataRadix - The planetary data and cusps.
- * @param {Object} dataTransits - The planetary data and cusps.
- * @param {Object} settings - Optional chart settings.
+ * Draws a chart with AstroChart in a virtual DOM (JSDOM).
+ * @param {Function} draw - (astrochart) => void, draws in "chart_container".
  * @returns {string} - The generated SVG string.
  */
-function generateChartSVG(dataRadix, dataTransits = null, settings = null) {
+function renderSVG(draw) {
   const dom = new JSDOM('<!DOCTYPE html><div id="chart_container"></div>');
   const { window } = dom;
   const { document } = window;
@@ -29,6 +27,33 @@ function generateChartSVG(dataRadix, dataTransits = null, settings = null) {
   );
   const astrochart = require(astrochartPath);
 
+  try {
+    draw(astrochart);
+
+    // Extract the SVG from the virtual DOM
+    const chart_container = document.getElementById("chart_container");
+    return chart_container.innerHTML;
+  } catch (error) {
+    console.error("Error generating chart SVG:", error);
+    throw error;
+  } finally {
+    // Cleanup globals to avoid polluting other requests
+    delete global.window;
+    delete global.document;
+    delete global.Node;
+    delete global.Element;
+    delete global.SVGElement;
+  }
+}
+
+/**
+ * Chart settings: the defaults of the generated charts, with the labels of the
+ * points without an AstroChart glyph.
+ * @param {Object} settings - Optional chart settings.
+ * @param {Object} labels - { name: label }
+ * @returns {Object}
+ */
+function chartSettingsWith(settings, labels = {}) {
   // Default settings if not provided
   const chartSettings = Object.assign(
     {
@@ -71,11 +96,44 @@ function generateChartSVG(dataRadix, dataTransits = null, settings = null) {
     settings,
   );
 
+  // punctele fără glif (loturile, asteroizii, punctele uraniene) sunt scrise cu eticheta lor
+  if (Object.keys(labels).length > 0 && !chartSettings.CUSTOM_SYMBOL_FN) {
+    chartSettings.CUSTOM_SYMBOL_FN = (name, x, y, context) => {
+      if (!labels.hasOwnProperty(name)) return null;
+      const label = context.text(
+        labels[name],
+        x,
+        y,
+        String(chartSettings.POINTS_TEXT_SIZE + 2),
+        chartSettings.POINTS_COLOR,
+      );
+      label.setAttribute("text-anchor", "middle");
+      return label;
+    };
+  }
+
+  return chartSettings;
+}
+
+/**
+ * Generates an SVG string for an astrological chart using AstroChart and JSDOM.
+ * @param {Object} dataRadix - The planetary data and cusps, with an optional
+ *   title written in the corner ("H5" for a harmonic chart).
+ * @param {Object} dataTransits - The planetary data and cusps.
+ * @param {Object} settings - Optional chart settings.
+ * @returns {string} - The generated SVG string.
+ */
+function generateChartSVG(dataRadix, dataTransits = null, settings = null) {
+  const chartSettings = chartSettingsWith(settings, {
+    ...(dataTransits && dataTransits.labels),
+    ...dataRadix.labels,
+  });
+
   if (dataTransits) {
     chartSettings.MARGIN = 80;
   }
 
-  try {
+  return renderSVG((astrochart) => {
     // AstroChart expects a container ID and dimensions
     const chart = new astrochart.Chart(
       "chart_container",
@@ -90,28 +148,60 @@ function generateChartSVG(dataRadix, dataTransits = null, settings = null) {
     if (dataRadix.aspects) {
       radix.aspects(dataRadix.aspects);
     }
+    if (dataRadix.pointsOfInterest) {
+      radix.addPointsOfInterest(dataRadix.pointsOfInterest, true);
+    }
+    if (dataRadix.hollowMarkers) {
+      radix.addHollowMarkers(dataRadix.hollowMarkers);
+    }
+    if (dataRadix.title) {
+      chart.paper.root.appendChild(
+        chart.paper.text(
+          dataRadix.title,
+          20,
+          30,
+          "20",
+          chartSettings.POINTS_COLOR,
+        ),
+      );
+    }
 
     if (dataTransits) {
       const transit = radix.transit({
         planets: dataTransits.planets,
         cusps: dataTransits.cusps,
       });
+      // liniile dintre roți înlocuiesc aspectele natale
+      if (dataTransits.aspects && dataTransits.aspects.length > 0) {
+        transit.aspects(dataTransits.aspects);
+      }
     }
+  });
+}
 
-    // Extract the SVG from the virtual DOM
-    const chart_container = document.getElementById("chart_container");
-    return chart_container.innerHTML;
-  } catch (error) {
-    console.error("Error generating chart SVG:", error);
-    throw error;
-  } finally {
-    // Cleanup globals to avoid polluting other requests
-    delete global.window;
-    delete global.document;
-    delete global.Node;
-    delete global.Element;
-    delete global.SVGElement;
-  }
+/**
+ * Generates an SVG string for a dial (Uranian astrology) using AstroChart.
+ * @param {Object} dataDial - { planets, labels } as from toAstrochart.
+ * @param {number} modulus - 360, 90 or 45.
+ * @param {number|null} pointer - Longitude the pointer is set to.
+ * @param {Object} settings - Optional chart settings.
+ * @returns {string} - The generated SVG string.
+ */
+function generateDialSVG(dataDial, modulus, pointer = null, settings = null) {
+  const chartSettings = chartSettingsWith(settings, dataDial.labels);
+
+  return renderSVG((astrochart) => {
+    const chart = new astrochart.Chart(
+      "chart_container",
+      700,
+      700,
+      chartSettings,
+    );
+    const dial = chart.dial({ planets: dataDial.planets }, modulus);
+    if (pointer !== null) {
+      dial.drawPointer(pointer);
+    }
+  });
 }
 
-module.exports = { generateChartSVG };
+module.exports = { generateChartSVG, generateDialSVG };
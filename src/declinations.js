@@ -0,0 +1,270 @@
+const swisseph = require("swisseph");
+const {
+  julianDayFromDate,
+  dateFromJulianDay,
+  refineRoot,
+} = require("./ephemerisSearch");
+
+/**
+ * A body is out of bounds when its declination is beyond the Sun's greatest
+ * declination, the obliquity of the ecliptic.
+ * @param {number} declination
+ * @param {number} obliquity
+ * @returns {boolean}
+ */
+function isOutOfBounds(declination, obliquity) {
+  return Math.abs(declination) > obliquity;
+}
+
+/**
+ * Parallel (same declination) or contraparallel (same declination on the other
+ * side of the equator) between two declinations.
+ * @param {number} declination1
+ * @param {number} declination2
+ * @param {number} orb - Degrees of declination
+ * @returns {Object|null} { aspect, orb }
+ */
+function declinationAspect(declination1, declination2, orb) {
+  const parallel = Math.abs(declination1 - declination2);
+  const contraparallel = Math.abs(declination1 + declination2);
+
+  if (parallel <= orb) return { aspect: "parallel", orb: parallel };
+  if (contraparallel <= orb) {
+    return { aspect: "contraparallel", orb: contraparallel };
+  }
+  return null;
+}
+
+/**
+ * Parallels and contraparallels between the points of one chart. The nodes are
+ * always contraparallel to each other and are not paired.
+ * @param {Object} points - { name: { declination } }: planets and angles
+ * @param {number} orb - Degrees of declination (orbs.declination)
+ * @returns {Array<Object>} { planet1, planet2, aspect, orb, declination1, declination2 }
+ */
+function findParallels(points, orb) {
+  const names = Object.keys(points).filter(
+    (name) => typeof points[name].declination === "number",
+  );
+  const parallels = [];
+
+  names.forEach((planet1, index) => {
+    for (const planet2 of names.slice(index + 1)) {
+      if (planet1 === "NNode" && planet2 === "SNode") continue;
+
+      const declination1 = points[planet1].declination;
+      const declination2 = points[planet2].declination;
+      const found = declinationAspect(declination1, declination2, orb);
+      if (found) {
+        parallels.push({
+          planet1,
+          planet2,
+          aspect: found.aspect,
+          orb: parseFloat(found.orb.toFixed(2)),
+          declination1,
+          declination2,
+        });
+      }
+    }
+  });
+
+  return parallels.sort((a, b) => a.orb - b.orb);
+}
+
+const obliquityAt = (jd) =>
+  swisseph.swe_calc_ut(jd, swisseph.SE_ECL_NUT, 0).longitude;
+
+const declinationAt = (planetId, jd) =>
+  swisseph.swe_calc_ut(
+    jd,
+    planetId,
+    swisseph.SEFLG_SWIEPH | swisseph.SEFLG_EQUATORIAL,
+  ).declination;
+
+/**
+ * Declinations of the bodies over a period and their out-of-bounds periods.
+ *
+ * A period shorter than the step (the Moon over a long range) can be missed.
+ *
+ * @param {Object} bodies - { name: id } (bodies.ephemerisBodies)
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {number} step - Days between samples
+ * @returns {Object} { obliquity, series: { name: [{ date, declination }] },
+ *   outOfBounds: [{ body, hemisphere, start, end, greatest }] } - start / end
+ *   null when the period runs past the range
+ */
+function calculateDeclinations(bodies, startDate, endDate, step) {
+  swisseph.swe_set_ephe_path("./ephemeris");
+  const startJd = julianDayFromDate(startDate);
+  const endJd = julianDayFromDate(endDate);
+  const jds = [];
+  for (let jd = startJd; jd < endJd; jd += step) jds.push(jd);
+  jds.push(endJd);
+
+  const series = {};
+  const outOfBounds = [];
+  const iso = (jd) => dateFromJulianDay(jd).toISOString();
+
+  for (const [name, planetId] of Object.entries(bodies)) {
+    const beyond = (jd) =>
+      Math.abs(declinationAt(planetId, jd)) - obliquityAt(jd);
+    const samples = jds.map((jd) => ({
+      jd,
+      declination: declinationAt(planetId, jd),
+    }));
+    series[name] = samples.map((sample) => ({
+      date: iso(sample.jd),
+      declination: parseFloat(sample.declination.toFixed(3)),
+    }));
+
+    let period = null;
+    samples.forEach((sample, index) => {
+      const out = beyond(sample.jd) > 0;
+      if (out && !period) {
+        period = {
+          body: name,
+          hemisphere: sample.declination > 0 ? "north" : "south",
+          start:
+            index === 0
+              ? null
+              : iso(refineRoot(samples[index - 1].jd, sample.jd, beyond)),
+          end: null,
+          greatest: sample.declination,
+        };
+      }
+      if (out && Math.abs(sample.declination) > Math.abs(period.greatest)) {
+        period.greatest = sample.declination;
+      }
+      if (!out && period) {
+        period.end = iso(refineRoot(samples[index - 1].jd, sample.jd, beyond));
+        outOfBounds.push(period);
+        period = null;
+      }
+    });
+    if (period) outOfBounds.push(period);
+  }
+
+  return {
+    obliquity: parseFloat(obliquityAt((startJd + endJd) / 2).toFixed(4)),
+    series,
+    outOfBounds: outOfBounds.map((period) => ({
+      ...period,
+      greatest: parseFloat(period.greatest.toFixed(3)),
+    })),
+  };
+}
+
+const GRAPH_COLORS = [
+  "#E6A117",
+  "#7A7A7A",
+  "#5B8C2A",
+  "#D1477A",
+  "#D32F2F",
+  "#6A4FB3",
+  "#1E6BB8",
+  "#0F9D9A",
+  "#3949AB",
+  "#8D5524",
+  "#455A64",
+  "#C2185B",
+  "#212121",
+];
+
+/**
+ * Declination graph of calculateDeclinations: one line per body over the
+ * dates, with the out-of-bounds zones beyond the obliquity shaded.
+ * @param {Object} declinations - From calculateDeclinations
+ * @param {Object} options - { width, height, natal: { name: declination } }:
+ *   natal declinations drawn as dotted lines
+ * @returns {string} SVG markup
+ */
+function declinationGraphSVG(
+  { obliquity, series },
+  { width = 900, height = 400, natal = {} } = {},
+) {
+  const margin = { top: 20, right: 110, bottom: 30, left: 40 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const names = Object.keys(series);
+  const dates = names.length
+    ? series[names[0]].map((sample) => Date.parse(sample.date))
+    : [];
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  // Luna și Pluto pot ajunge peste 28°; multiplu de 10, ca grila să treacă prin 0°
+  const limit =
+    Math.ceil(
+      Math.max(
+        30,
+        ...names.flatMap((name) =>
+          series[name].map((sample) => Math.abs(sample.declination)),
+        ),
+      ) / 10,
+    ) * 10;
+
+  const x = (time) =>
+    margin.left + ((time - first) / (last - first || 1)) * plotWidth;
+  const y = (declination) =>
+    margin.top + ((limit - declination) / (2 * limit)) * plotHeight;
+  const round = (value) => value.toFixed(1);
+  const colorOf = (name) =>
+    GRAPH_COLORS[names.indexOf(name) % GRAPH_COLORS.length];
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="10">`,
+    `<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${round(y(obliquity) - margin.top)}" fill="#FDECEA"/>`,
+    `<rect x="${margin.left}" y="${round(y(-obliquity))}" width="${plotWidth}" height="${round(margin.top + plotHeight - y(-obliquity))}" fill="#FDECEA"/>`,
+  ];
+
+  for (let declination = -limit; declination <= limit; declination += 10) {
+    parts.push(
+      `<line x1="${margin.left}" y1="${round(y(declination))}" x2="${margin.left + plotWidth}" y2="${round(y(declination))}" stroke="${declination === 0 ? "#999" : "#E0E0E0"}"/>`,
+      `<text x="${margin.left - 4}" y="${round(y(declination) + 3)}" text-anchor="end">${declination}°</text>`,
+    );
+  }
+  for (const declination of [obliquity, -obliquity]) {
+    parts.push(
+      `<line x1="${margin.left}" y1="${round(y(declination))}" x2="${margin.left + plotWidth}" y2="${round(y(declination))}" stroke="#D32F2F" stroke-dasharray="4 3"/>`,
+    );
+  }
+  if (dates.length) {
+    [first, (first + last) / 2, last].forEach((time, index) => {
+      parts.push(
+        `<text x="${round(x(time))}" y="${height - 10}" text-anchor="${["start", "middle", "end"][index]}">${new Date(time).toISOString().slice(0, 10)}</text>`,
+      );
+    });
+  }
+
+  names.forEach((name, index) => {
+    const points = series[name]
+      .map(
+        (sample, sampleIndex) =>
+          `${round(x(dates[sampleIndex]))},${round(y(sample.declination))}`,
+      )
+      .join(" ");
+    parts.push(
+      `<polyline points="${points}" fill="none" stroke="${colorOf(name)}" stroke-width="1.2"/>`,
+      `<text x="${width - margin.right + 10}" y="${margin.top + 12 * index + 4}" fill="${colorOf(name)}">${name}</text>`,
+    );
+  });
+
+  for (const [name, declination] of Object.entries(natal)) {
+    if (!names.includes(name)) continue;
+    parts.push(
+      `<line x1="${margin.left}" y1="${round(y(declination))}" x2="${margin.left + plotWidth}" y2="${round(y(declination))}" stroke="${colorOf(name)}" stroke-dasharray="1 3"/>`,
+    );
+  }
+
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+module.exports = {
+  isOutOfBounds,
+  declinationAspect,
+  findParallels,
+  calculateDeclinations,
+  declinationGraphSVG,
+};
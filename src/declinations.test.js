@@ -0,0 +1,28 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { declinationGraphSVG } = require("./declinations");
+
+describe("declinationGraphSVG", () => {
+  it("should draw the 0° line and label multiples of 10", () => {
+    // Luna la 28.6°, Pluto la -31.2°: limita devine 40°
+    const svg = declinationGraphSVG({
+      obliquity: 23.44,
+      series: {
+        Moon: [
+          { date: "2024-01-01T00:00:00.000Z", declination: 28.6 },
+          { date: "2024-01-02T00:00:00.000Z", declination: 25.1 },
+        ],
+        Pluto: [
+          { date: "2024-01-01T00:00:00.000Z", declination: -31.2 },
+          { date: "2024-01-02T00:00:00.000Z", declination: -31.2 },
+        ],
+      },
+    });
+
+    const labels = [...svg.matchAll(/text-anchor="end">(-?\d+)°/g)].map(
+      (match) => Number(match[1]),
+    );
+    assert.deepEqual(labels, [-40, -30, -20, -10, 0, 10, 20, 30, 40]);
+    assert.match(svg, /stroke="#999"/);
+  });
+});
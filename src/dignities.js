@@ -0,0 +1,295 @@
+/**
+ * Essential dignities after the traditional tables (Ptolemy, Dorotheus, Lilly).
+ * Signs are indexed from 0 (Aries) to 11 (Pisces).
+ */
+
+// Domiciliile tradiționale (fără planetele exterioare)
+const SIGN_RULERS = [
+  "Mars",
+  "Venus",
+  "Mercury",
+  "Moon",
+  "Sun",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Saturn",
+  "Jupiter",
+];
+
+// Exaltarea: semnul și gradul
+const EXALTATIONS = {
+  Sun: { sign: 0, degree: 19 },
+  Moon: { sign: 1, degree: 3 },
+  Mercury: { sign: 5, degree: 15 },
+  Venus: { sign: 11, degree: 27 },
+  Mars: { sign: 9, degree: 28 },
+  Jupiter: { sign: 3, degree: 15 },
+  Saturn: { sign: 6, degree: 21 },
+};
+
+// Triplicitățile doroteene: zi, noapte, participant; foc, pământ, aer, apă
+const TRIPLICITIES = [
+  ["Sun", "Jupiter", "Saturn"],
+  ["Venus", "Moon", "Mars"],
+  ["Saturn", "Mercury", "Jupiter"],
+  ["Venus", "Mars", "Moon"],
+];
+
+// Termenii egipteni: [stăpân, gradul de sfârșit]
+const TERMS = [
+  [
+    ["Jupiter", 6],
+    ["Venus", 12],
+    ["Mercury", 20],
+    ["Mars", 25],
+    ["Saturn", 30],
+  ],
+  [
+    ["Venus", 8],
+    ["Mercury", 14],
+    ["Jupiter", 22],
+    ["Saturn", 27],
+    ["Mars", 30],
+  ],
+  [
+    ["Mercury", 6],
+    ["Jupiter", 12],
+    ["Venus", 17],
+    ["Mars", 24],
+    ["Saturn", 30],
+  ],
+  [
+    ["Mars", 7],
+    ["Venus", 13],
+    ["Mercury", 19],
+    ["Jupiter", 26],
+    ["Saturn", 30],
+  ],
+  [
+    ["Jupiter", 6],
+    ["Venus", 11],
+    ["Saturn", 18],
+    ["Mercury", 24],
+    ["Mars", 30],
+  ],
+  [
+    ["Mercury", 7],
+    ["Venus", 17],
+    ["Jupiter", 21],
+    ["Mars", 28],
+    ["Saturn", 30],
+  ],
+  [
+    ["Saturn", 6],
+    ["Mercury", 14],
+    ["Jupiter", 21],
+    ["Venus", 28],
+    ["Mars", 30],
+  ],
+  [
+    ["Mars", 7],
+    ["Venus", 11],
+    ["Mercury", 19],
+    ["Jupiter", 24],
+    ["Saturn", 30],
+  ],
+  [
+    ["Jupiter", 12],
+    ["Venus", 17],
+    ["Mercury", 21],
+    ["Saturn", 26],
+    ["Mars", 30],
+  ],
+  [
+    ["Mercury", 7],
+    ["Jupiter", 14],
+    ["Venus", 22],
+    ["Saturn", 26],
+    ["Mars", 30],
+  ],
+  [
+    ["Mercury", 7],
+    ["Venus", 13],
+    ["Jupiter", 20],
+    ["Mars", 25],
+    ["Saturn", 30],
+  ],
+  [
+    ["Venus", 12],
+    ["Jupiter", 16],
+    ["Mercury", 19],
+    ["Mars", 28],
+    ["Saturn", 30],
+  ],
+];
+
+// Fețele (decanii) urmează ordinea caldeeană începând cu Marte în Berbec
+const FACE_ORDER = [
+  "Mars",
+  "Sun",
+  "Venus",
+  "Mercury",
+  "Moon",
+  "Saturn",
+  "Jupiter",
+];
+
+// Punctajul lui Lilly
+const SCORES = {
+  domicile: 5,
+  exaltation: 4,
+  triplicity: 3,
+  term: 2,
+  face: 1,
+  detriment: -5,
+  fall: -4,
+  peregrine: -5,
+};
+
+const TRADITIONAL_PLANETS = Object.keys(EXALTATIONS);
+
+const normalize = (longitude) => ((longitude % 360) + 360) % 360;
+const signIndex = (longitude) => Math.floor(normalize(longitude) / 30);
+
+/**
+ * Sect of the chart: diurnal when the Sun is above the horizon.
+ * @param {Object} natalChart - { planets, angles } from AstrologicalCalculator.generateChart
+ * @returns {boolean}
+ */
+function isDayChart(natalChart) {
+  const fromAscendant = normalize(
+    natalChart.planets.Sun.longitude - natalChart.angles.AS.longitude,
+  );
+  // casele 7-12 (de la Descendent la Ascendent) sunt deasupra orizontului
+  return fromAscendant >= 180;
+}
+
+/**
+ * Lords of a zodiacal degree.
+ * @param {number} longitude
+ * @param {boolean} isDay - Sect, for the triplicity lord
+ * @returns {Object} { domicile, exaltation, triplicity, term, face }
+ */
+function lordsOf(longitude, isDay) {
+  const sign = signIndex(longitude);
+  const degree = normalize(longitude) % 30;
+  const exaltation = TRADITIONAL_PLANETS.find(
+    (planet) => EXALTATIONS[planet].sign === sign,
+  );
+
+  return {
+    domicile: SIGN_RULERS[sign],
+    exaltation: exaltation || null,
+    triplicity: TRIPLICITIES[sign % 4][isDay ? 0 : 1],
+    term: TERMS[sign].find(([, end]) => degree < end)[0],
+    face: FACE_ORDER[Math.floor(normalize(longitude) / 10) % 7],
+  };
+}
+
+/**
+ * Essential dignities of a planet at a longitude.
+ *
+ * Only the seven traditional planets hold dignities and get a score; for the
+ * other points only the lords of their degree are given.
+ *
+ * @param {string} planet
+ * @param {number} longitude
+ * @param {boolean} isDay
+ * @returns {Object} { lords, dignities, debilities, peregrine, score }
+ */
+function calculateDignities(planet, longitude, isDay) {
+  const lords = lordsOf(longitude, isDay);
+
+  if (!TRADITIONAL_PLANETS.includes(planet)) {
+    return {
+      lords,
+      dignities: [],
+      debilities: [],
+      peregrine: null,
+      score: null,
+    };
+  }
+
+  const sign = signIndex(longitude);
+  const dignities = Object.keys(lords).filter((kind) => lords[kind] === planet);
+  const debilities = [];
+  if (SIGN_RULERS[(sign + 6) % 12] === planet) debilities.push("detriment");
+  if (EXALTATIONS[planet].sign === (sign + 6) % 12) debilities.push("fall");
+
+  const peregrine = dignities.length === 0;
+  const score = [
+    ...dignities,
+    ...debilities,
+    ...(peregrine ? ["peregrine"] : []),
+  ].reduce((total, kind) => total + SCORES[kind], 0);
+
+  return { lords, dignities, debilities, peregrine, score };
+}
+
+/**
+ * Almuten: the planet with the most essential dignity over a set of points.
+ * @param {Object} points - { name: longitude }, e.g. Sun, Moon, AS, Fortune, syzygy
+ * @param {boolean} isDay
+ * @returns {Object} { planet, score, scores, points }
+ */
+function calculateAlmuten(points, isDay) {
+  const scores = Object.fromEntries(
+    TRADITIONAL_PLANETS.map((planet) => [planet, 0]),
+  );
+
+  for (const longitude of Object.values(points)) {
+    const lords = lordsOf(longitude, isDay);
+    for (const [kind, lord] of Object.entries(lords)) {
+      if (lord) scores[lord] += SCORES[kind];
+    }
+  }
+
+  const [planet, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return { planet, score, scores, points };
+}
+
+/**
+ * Mutual receptions by domicile and exaltation between the traditional planets.
+ * @param {Object} planets - { name: { longitude } }
+ * @returns {Array<Object>} { planets: [a, b], type: "domicile" | "exaltation" | "mixed" }
+ */
+function findMutualReceptions(planets) {
+  const present = TRADITIONAL_PLANETS.filter((planet) => planets[planet]);
+  // ce demnitate are "host" în semnul în care stă "guest"
+  const receives = (host, guest) => {
+    const sign = signIndex(planets[guest].longitude);
+    if (SIGN_RULERS[sign] === host) return "domicile";
+    if (EXALTATIONS[host].sign === sign) return "exaltation";
+    return null;
+  };
+
+  const receptions = [];
+  present.forEach((a, index) => {
+    for (const b of present.slice(index + 1)) {
+      const first = receives(a, b);
+      const second = receives(b, a);
+      if (first && second) {
+        receptions.push({
+          planets: [a, b],
+          type: first === second ? first : "mixed",
+        });
+      }
+    }
+  });
+
+  return receptions;
+}
+
+module.exports = {
+  SIGN_RULERS,
+  EXALTATIONS,
+  TRADITIONAL_PLANETS,
+  isDayChart,
+  lordsOf,
+  calculateDignities,
+  calculateAlmuten,
+  findMutualReceptions,
+};
@@ -0,0 +1,217 @@
+const swisseph = require("swisseph");
+const { julianDayFromDate, dateFromJulianDay } = require("./ephemerisSearch");
+const { resolveZodiac, applyZodiac } = require("./zodiac");
+
+// Tipul eclipsei din rflag-ul întors de Swiss Ephemeris, în ordinea priorității
+const SOLAR_TYPES = [
+  ["ANNULAR_TOTAL", "hybrid"],
+  ["TOTAL", "total"],
+  ["ANNULAR", "annular"],
+  ["PARTIAL", "partial"],
+];
+
+const LUNAR_TYPES = [
+  ["TOTAL", "total"],
+  ["PARTIAL", "partial"],
+  ["PENUMBRAL", "penumbral"],
+];
+
+/**
+ * Eclipse type name from a Swiss Ephemeris return flag.
+ * @param {number} rflag
+ * @param {string} kind - "solar" or "lunar"
+ * @returns {string|null}
+ */
+function eclipseType(rflag, kind) {
+  const types = kind === "solar" ? SOLAR_TYPES : LUNAR_TYPES;
+  const match = types.find(([flag]) => rflag & swisseph[`SE_ECL_${flag}`]);
+  return match ? match[1] : null;
+}
+
+function calcGlobal(julianDay, kind) {
+  return kind === "solar"
+    ? swisseph.swe_sol_eclipse_when_glob(julianDay, swisseph.SEFLG_SWIEPH, 0, 0)
+    : swisseph.swe_lun_eclipse_when(julianDay, swisseph.SEFLG_SWIEPH, 0, 0);
+}
+
+/**
+ * Finds the first solar or lunar eclipse with its maximum after a Julian day.
+ * @param {number} julianDay - Search start (UT)
+ * @param {string} kind - "solar" or "lunar"
+ * @returns {Object|null} { kind, type, maximum, begin, end } - Julian days
+ */
+function nextEclipse(julianDay, kind) {
+  const result = calcGlobal(julianDay, kind);
+
+  if (!result || result.error || result.rflag <= 0) {
+    return null;
+  }
+
+  return {
+    kind,
+    type: eclipseType(result.rflag, kind),
+    maximum: result.maximum,
+    begin: kind === "solar" ? result.begin : result.penumbralBegin,
+    end: kind === "solar" ? result.end : result.penumbralEnd,
+  };
+}
+
+/**
+ * Eclipse at a lunation: a solar eclipse at a New Moon, a lunar one at a Full Moon.
+ * @param {number} julianDay - Exact time of the New or Full Moon
+ * @param {string} kind - "solar" or "lunar"
+ * @returns {Object|null} { kind, type, maximum } when the eclipse maximum is within a day
+ */
+function eclipseAt(julianDay, kind) {
+  const eclipse = nextEclipse(julianDay - 1, kind);
+  return eclipse && Math.abs(eclipse.maximum - julianDay) <= 1 ? eclipse : null;
+}
+
+/**
+ * Local circumstances of an eclipse: whether it can be seen from a place.
+ *
+ * Swiss Ephemeris searches the next eclipse visible from the place; the eclipse
+ * is visible when that search lands on the same eclipse.
+ *
+ * @param {Object} eclipse - From nextEclipse
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Object} { visible, maximum, begin, end, magnitude, altitude }
+ */
+function localVisibility(eclipse, location) {
+  const geopos = [location.longitude, location.latitude, 0];
+  const search =
+    eclipse.kind === "solar"
+      ? swisseph.swe_sol_eclipse_when_loc
+      : swisseph.swe_lun_eclipse_when_loc;
+  const result = search(
+    eclipse.maximum - 1,
+    swisseph.SEFLG_SWIEPH,
+    ...geopos,
+    0,
+  );
+
+  if (
+    !result ||
+    result.error ||
+    result.rflag <= 0 ||
+    Math.abs(result.maximum - eclipse.maximum) > 0.5
+  ) {
+    return { visible: false };
+  }
+
+  // 0 = faza nu este vizibilă din locul dat (ex: Luna sub orizont)
+  const moment = (jd) => (jd ? dateFromJulianDay(jd) : null);
+  const solar = eclipse.kind === "solar";
+
+  return {
+    visible: true,
+    maximum: dateFromJulianDay(result.maximum),
+    begin: moment(solar ? result.first : result.penumbralBegin),
+    end: moment(solar ? result.forth : result.penumbralEnd),
+    // eclipsele de penumbră au magnitudinea umbrei 0
+    magnitude: parseFloat(
+      (solar
+        ? result.eclipseMagnitude
+        : result.umbralMagnitude || result.penumbralMagnitude
+      ).toFixed(3),
+    ),
+    altitude: parseFloat(result.apparentAltitude.toFixed(1)),
+  };
+}
+
+/**
+ * Eclipse longitude: the Sun's for a solar eclipse, the Moon's for a lunar one,
+ * in the zodiac of the natal chart.
+ */
+function eclipseLongitude(eclipse, zodiac) {
+  const body = eclipse.kind === "solar" ? swisseph.SE_SUN : swisseph.SE_MOON;
+  applyZodiac(zodiac);
+  return swisseph.swe_calc_ut(
+    eclipse.maximum,
+    body,
+    swisseph.SEFLG_SWIEPH | zodiac.flags,
+  ).longitude;
+}
+
+/**
+ * Lists the solar and lunar eclipses with their maximum in a period.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {Object} options - { kinds = ["solar", "lunar"], location = null,
+ *   zodiac = tropical } - zodiac from zodiac.resolveZodiac
+ * @returns {Array<Object>} { kind, type, maximum, begin, end, longitude, visibility }, by date
+ */
+function findEclipses(
+  startDate,
+  endDate,
+  {
+    kinds = ["solar", "lunar"],
+    location = null,
+    zodiac = resolveZodiac(),
+  } = {},
+) {
+  const startJd = julianDayFromDate(startDate);
+  const endJd = julianDayFromDate(endDate);
+  const eclipses = [];
+
+  for (const kind of kinds) {
+    let eclipse = nextEclipse(startJd, kind);
+    while (eclipse && eclipse.maximum <= endJd) {
+      eclipses.push({
+        kind,
+        type: eclipse.type,
+        maximum: dateFromJulianDay(eclipse.maximum),
+        begin: dateFromJulianDay(eclipse.begin),
+        end: dateFromJulianDay(eclipse.end),
+        longitude: parseFloat(eclipseLongitude(eclipse, zodiac).toFixed(3)),
+        visibility: location ? localVisibility(eclipse, location) : null,
+      });
+      eclipse = nextEclipse(eclipse.maximum + 1, kind);
+    }
+  }
+
+  return eclipses.sort((a, b) => a.maximum - b.maximum);
+}
+
+/**
+ * Natal sensitivity of an eclipse: the natal house of its degree and the natal
+ * points it aspects, as a transit of the eclipsed body.
+ * @param {Object} eclipse - From findEclipses
+ * @param {Object} natalChart - { planets, houses } from AstrologicalCalculator.generateChart
+ * @param {TransitCalculator} calculator - Carries the eclipse orb and aspect set
+ * @returns {Object} { house, contacts: [{ planet, aspect, orb }] }
+ */
+function natalSensitivity(eclipse, natalChart, calculator) {
+  const body = eclipse.kind === "solar" ? "Sun" : "Moon";
+  const contacts = [];
+
+  for (const [planet, position] of Object.entries(natalChart.planets)) {
+    const aspect = calculator.findTransitAspect(
+      eclipse.longitude,
+      position.longitude,
+      body,
+    );
+    if (aspect) {
+      contacts.push({
+        planet,
+        aspect: aspect.aspect.name,
+        orb: parseFloat(aspect.orb.toFixed(2)),
+      });
+    }
+  }
+
+  return {
+    house: calculator.determinePlanetHouse(eclipse.longitude, natalChart.houses)
+      .number,
+    contacts: contacts.sort((a, b) => a.orb - b.orb),
+  };
+}
+
+module.exports = {
+  eclipseType,
+  nextEclipse,
+  eclipseAt,
+  localVisibility,
+  findEclipses,
+  natalSensitivity,
+};
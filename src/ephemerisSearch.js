@@ -0,0 +1,242 @@
+const swisseph = require("swisseph");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIX_EPOCH_JD = 2440587.5;
+
+// Precizia căutării: un minut
+const PRECISION_DAYS = 1 / 1440;
+
+/**
+ * Sampling step and search padding (in days) per body.
+ *
+ * The step must be short enough that a body cannot station twice between two
+ * samples; the padding lets orb windows and retrograde passes that started
+ * before the requested range still be found and numbered.
+ */
+const SEARCH_STEPS = {
+  Moon: { step: 0.5, pad: 3 },
+  Sun: { step: 1, pad: 5 },
+  Mercury: { step: 1, pad: 60 },
+  Venus: { step: 1, pad: 90 },
+  Mars: { step: 2, pad: 150 },
+  NNode: { step: 0.5, pad: 60 },
+  Lilith: { step: 2, pad: 30 },
+  Chiron: { step: 3, pad: 400 },
+  Jupiter: { step: 3, pad: 400 },
+  Saturn: { step: 5, pad: 500 },
+  Uranus: { step: 5, pad: 800 },
+  Neptune: { step: 5, pad: 800 },
+  Pluto: { step: 5, pad: 800 },
+  Ceres: { step: 2, pad: 150 },
+  Pallas: { step: 2, pad: 150 },
+  Juno: { step: 2, pad: 150 },
+  Vesta: { step: 2, pad: 150 },
+  Pholus: { step: 5, pad: 800 },
+};
+
+const DEFAULT_STEP = { step: 1, pad: 60 };
+
+function julianDayFromDate(date) {
+  return date.getTime() / DAY_MS + UNIX_EPOCH_JD;
+}
+
+function dateFromJulianDay(julianDay) {
+  return new Date((julianDay - UNIX_EPOCH_JD) * DAY_MS);
+}
+
+/**
+ * Signed difference between two longitudes, in (-180, 180].
+ */
+function angleDelta(longitude, target) {
+  const delta = (((longitude - target) % 360) + 360) % 360;
+  return delta > 180 ? delta - 360 : delta;
+}
+
+/**
+ * Bisection between two Julian days where fn changes sign.
+ * @returns {number} Julian day, within PRECISION_DAYS.
+ */
+function refineRoot(startJd, endJd, fn) {
+  let low = startJd;
+  let high = endJd;
+  const lowNegative = fn(low) < 0;
+
+  while (high - low > PRECISION_DAYS) {
+    const mid = (low + high) / 2;
+    if (fn(mid) < 0 === lowNegative) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Samples a body's longitude over a period and finds its stations.
+ *
+ * Stations are inserted among the samples, so the body moves in a single
+ * direction between any two consecutive samples: each target longitude is
+ * crossed at most once per interval.
+ *
+ * @param {number} planetId - Swiss Ephemeris body id.
+ * @param {number} startJd
+ * @param {number} endJd
+ * @param {number} step - Days between samples.
+ * @param {number} flags - Swiss Ephemeris flags.
+ * @returns {Object} { position(jd), samples, stations }
+ */
+function sampleTrack(
+  planetId,
+  startJd,
+  endJd,
+  step,
+  flags = swisseph.SEFLG_SWIEPH,
+) {
+  const position = (jd) => {
+    const result = swisseph.swe_calc_ut(
+      jd,
+      planetId,
+      flags | swisseph.SEFLG_SPEED,
+    );
+    if (result.error && result.rflag < 0) {
+      throw new Error(result.error);
+    }
+    return { jd, longitude: result.longitude, speed: result.longitudeSpeed };
+  };
+
+  const samples = [];
+  for (let jd = startJd; jd < endJd; jd += step) {
+    samples.push(position(jd));
+  }
+  samples.push(position(endJd));
+
+  const stations = [];
+  const track = [samples[0]];
+  for (let i = 1; i < samples.length; i++) {
+    const previous = samples[i - 1];
+    const current = samples[i];
+    if (previous.speed < 0 !== current.speed < 0) {
+      const jd = refineRoot(previous.jd, current.jd, (t) => position(t).speed);
+      const station = position(jd);
+      stations.push({
+        jd,
+        longitude: station.longitude,
+        type: current.speed < 0 ? "retrograde" : "direct",
+      });
+      track.push(station);
+    }
+    track.push(current);
+  }
+
+  return { position, samples: track, stations };
+}
+
+/**
+ * Finds every moment a sampled body crosses a longitude.
+ * @param {Object} track - From sampleTrack.
+ * @param {number} target - Longitude in degrees.
+ * @returns {Array<Object>} { jd, direction: "direct" | "retrograde" }
+ */
+function findCrossings(track, target) {
+  const crossings = [];
+  const { samples, position } = track;
+
+  for (let i = 1; i < samples.length; i++) {
+    const before = angleDelta(samples[i - 1].longitude, target);
+    const after = angleDelta(samples[i].longitude, target);
+
+    // schimbarea de semn lângă ±180 nu este o trecere prin țintă
+    if (before < 0 !== after < 0 && Math.abs(after - before) < 180) {
+      crossings.push({
+        jd: refineRoot(samples[i - 1].jd, samples[i].jd, (jd) =>
+          angleDelta(position(jd).longitude, target),
+        ),
+        direction: after > before ? "direct" : "retrograde",
+      });
+    }
+  }
+
+  return crossings;
+}
+
+/**
+ * Finds the exact hits of a body on a target longitude, with their orb window,
+ * pass number and the station that caused the pass.
+ *
+ * Consecutive hits moving in opposite directions belong to the same retrograde
+ * loop (direct, retrograde, direct): they are numbered 1, 2, 3. Passes after
+ * the first are caused by the station between them and the previous pass.
+ *
+ * @param {Object} track - From sampleTrack.
+ * @param {number} target - Longitude of the aspect point.
+ * @param {number} orb - Orb in degrees, for the ingress/egress window (optional).
+ * @returns {Array<Object>} { jd, direction, ingressJd, egressJd, pass, passes, station }
+ */
+function findHits(track, target, orb = null) {
+  const hits = findCrossings(track, target);
+  if (hits.length === 0) {
+    return [];
+  }
+
+  const edges = orb
+    ? [
+        ...findCrossings(track, target - orb),
+        ...findCrossings(track, target + orb),
+      ]
+        .map((edge) => edge.jd)
+        .sort((a, b) => a - b)
+    : [];
+
+  const series = [];
+  hits.forEach((hit, index) => {
+    const previous = hits[index - 1];
+    if (!previous || previous.direction === hit.direction) {
+      series.push([]);
+    }
+    series[series.length - 1].push(hit);
+  });
+
+  return series.flatMap((passes) =>
+    passes.map((hit, index) => {
+      const ingressJd = edges.filter((jd) => jd < hit.jd).pop();
+      const egressJd = edges.find((jd) => jd > hit.jd);
+      const station =
+        index > 0
+          ? track.stations
+              .filter((s) => s.jd > passes[index - 1].jd && s.jd < hit.jd)
+              .pop()
+          : null;
+
+      return {
+        jd: hit.jd,
+        direction: hit.direction,
+        ingressJd: ingressJd !== undefined ? ingressJd : null,
+        egressJd: egressJd !== undefined ? egressJd : null,
+        pass: index + 1,
+        passes: passes.length,
+        station: station || null,
+      };
+    }),
+  );
+}
+
+/**
+ * Sampling parameters for a body (see SEARCH_STEPS).
+ */
+function searchStep(planetName) {
+  return SEARCH_STEPS[planetName] || DEFAULT_STEP;
+}
+
+module.exports = {
+  PRECISION_DAYS,
+  julianDayFromDate,
+  dateFromJulianDay,
+  angleDelta,
+  refineRoot,
+  sampleTrack,
+  findCrossings,
+  findHits,
+  searchStep,
+};
@@ -0,0 +1,76 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const swisseph = require("swisseph");
+const {
+  julianDayFromDate,
+  dateFromJulianDay,
+  angleDelta,
+  sampleTrack,
+  findCrossings,
+  findHits,
+} = require("./ephemerisSearch");
+
+swisseph.swe_set_ephe_path("./ephemeris");
+
+const MINUTE_MS = 60 * 1000;
+const startJd = julianDayFromDate(new Date("2024-03-01T00:00:00Z"));
+const endJd = julianDayFromDate(new Date("2024-06-01T00:00:00Z"));
+// diferența față de un moment publicat, în minute
+const minutesFrom = (jd, iso) =>
+  Math.abs(dateFromJulianDay(jd) - Date.parse(iso)) / MINUTE_MS;
+
+describe("angleDelta", () => {
+  it("should take the short way across 0°", () => {
+    assert.equal(angleDelta(359, 1), -2);
+    assert.equal(angleDelta(1, 359), 2);
+    assert.equal(angleDelta(180, 0), 180);
+  });
+});
+
+describe("findCrossings", () => {
+  it("should find the March equinox of 2024", () => {
+    // echinocțiul: 2024-03-20 03:06 UT
+    const crossings = findCrossings(
+      sampleTrack(swisseph.SE_SUN, startJd, endJd, 1),
+      0,
+    );
+
+    assert.equal(crossings.length, 1);
+    assert.equal(crossings[0].direction, "direct");
+    assert.ok(minutesFrom(crossings[0].jd, "2024-03-20T03:06:00Z") < 2);
+  });
+});
+
+describe("findHits", () => {
+  // Mercur retrograd: staționar 1 aprilie 22:14 UT la 27°13' Berbec,
+  // direct 25 aprilie 12:54 UT la 15°59' Berbec
+  const track = sampleTrack(swisseph.SE_MERCURY, startJd, endJd, 1);
+
+  it("should time the stations", () => {
+    assert.deepEqual(
+      track.stations.map((station) => station.type),
+      ["retrograde", "direct"],
+    );
+    assert.ok(minutesFrom(track.stations[0].jd, "2024-04-01T22:14:00Z") < 2);
+    assert.ok(minutesFrom(track.stations[1].jd, "2024-04-25T12:54:00Z") < 2);
+  });
+
+  it("should number the three passes of a retrograde loop", () => {
+    const hits = findHits(track, 20, 1);
+
+    assert.deepEqual(
+      hits.map(({ direction, pass, passes }) => [direction, pass, passes]),
+      [
+        ["direct", 1, 3],
+        ["retrograde", 2, 3],
+        ["direct", 3, 3],
+      ],
+    );
+    assert.equal(hits[0].station, null);
+    assert.equal(hits[1].station.type, "retrograde");
+    assert.equal(hits[2].station.type, "direct");
+    for (const hit of hits) {
+      assert.ok(hit.ingressJd < hit.jd && hit.jd < hit.egressJd);
+    }
+  });
+});
@@ -0,0 +1,232 @@
+const swisseph = require("swisseph");
+const { angleDelta } = require("./ephemerisSearch");
+
+/**
+ * Major fixed stars, as named in ephemeris/sefstars.txt: the royal stars, the
+ * Behenian stars and the bright stars near the ecliptic.
+ */
+const MAJOR_STARS = [
+  "Alcyone",
+  "Algol",
+  "Aldebaran",
+  "Rigel",
+  "Capella",
+  "Bellatrix",
+  "Betelgeuse",
+  "Sirius",
+  "Canopus",
+  "Castor",
+  "Pollux",
+  "Procyon",
+  "Regulus",
+  "Zosma",
+  "Denebola",
+  "Vindemiatrix",
+  "Algorab",
+  "Spica",
+  "Arcturus",
+  "Zuben Elgenubi",
+  "Zuben Eschamali",
+  "Alphecca",
+  "Antares",
+  "Ras Alhague",
+  "Vega",
+  "Altair",
+  "Deneb Algedi",
+  "Fomalhaut",
+  "Deneb Adige",
+  "Markab",
+  "Scheat",
+  "Achernar",
+  "Hamal",
+];
+
+// Doar corpurile reale intră în parane (fără noduri și Lilith)
+const PARAN_BODIES = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+const degrees = (radians) => (radians * 180) / Math.PI;
+const normalize = (angle) => ((angle % 360) + 360) % 360;
+
+/**
+ * Positions of the major fixed stars at a moment.
+ * @param {number} julianDay - Julian Day Number (UT)
+ * @param {number} flags - Swiss Ephemeris flags of the ecliptic positions
+ *   (SEFLG_SIDEREAL for the sidereal zodiac)
+ * @returns {Object} { name: { longitude, latitude, rightAscension, declination, magnitude } }
+ */
+function starPositions(julianDay, flags = swisseph.SEFLG_SWIEPH) {
+  const stars = {};
+
+  for (const name of MAJOR_STARS) {
+    const ecliptic = swisseph.swe_fixstar_ut(name, julianDay, flags);
+    const equatorial = swisseph.swe_fixstar_ut(
+      name,
+      julianDay,
+      swisseph.SEFLG_SWIEPH | swisseph.SEFLG_EQUATORIAL,
+    );
+    if (ecliptic.error || equatorial.error) {
+      throw new Error(ecliptic.error || equatorial.error);
+    }
+
+    stars[name] = {
+      longitude: parseFloat(ecliptic.longitude.toFixed(3)),
+      latitude: parseFloat(ecliptic.latitude.toFixed(3)),
+      rightAscension: parseFloat(equatorial.rectAscension.toFixed(3)),
+      declination: parseFloat(equatorial.declination.toFixed(3)),
+      magnitude: swisseph.swe_fixstar_mag(name).magnitude,
+    };
+  }
+
+  return stars;
+}
+
+/**
+ * Right ascension of the midheaven (RAMC) when a body is on each angle of the
+ * place. Circumpolar bodies never rise nor set: they only culminate.
+ * @param {Object} point - { rightAscension, declination }
+ * @param {number} latitude - Geographic latitude
+ * @returns {Object} { rising, culminating, setting, anticulminating }
+ */
+function angleCrossings(point, latitude) {
+  const crossings = {
+    culminating: normalize(point.rightAscension),
+    anticulminating: normalize(point.rightAscension + 180),
+  };
+
+  const tangents =
+    Math.tan(radians(point.declination)) * Math.tan(radians(latitude));
+  if (Math.abs(tangents) < 1) {
+    // semiarcul diurn: unghiul orar la răsărit și la apus
+    const semiArc = 90 + degrees(Math.asin(tangents));
+    crossings.rising = normalize(point.rightAscension - semiArc);
+    crossings.setting = normalize(point.rightAscension + semiArc);
+  }
+
+  return crossings;
+}
+
+/**
+ * Fixed stars conjunct the chart points by ecliptic longitude.
+ * @param {Object} stars - From starPositions
+ * @param {Object} points - { name: { longitude } }: planets and angles
+ * @param {number} orb - Degrees
+ * @returns {Array<Object>} { star, point, orb, magnitude }, closest first
+ */
+function findStarConjunctions(stars, points, orb) {
+  const conjunctions = [];
+
+  for (const [star, position] of Object.entries(stars)) {
+    for (const [point, pointPosition] of Object.entries(points)) {
+      const distance = Math.abs(
+        angleDelta(pointPosition.longitude, position.longitude),
+      );
+      if (distance <= orb) {
+        conjunctions.push({
+          star,
+          point,
+          orb: parseFloat(distance.toFixed(2)),
+          magnitude: position.magnitude,
+        });
+      }
+    }
+  }
+
+  return conjunctions.sort((a, b) => a.orb - b.orb);
+}
+
+/**
+ * Parans at the birth latitude: a star and a planet on angles at the same
+ * moment of the birth day (Brady). Both are measured in RAMC, so the orb is in
+ * degrees of right ascension (1° = 4 minutes of time).
+ * @param {Object} stars - From starPositions
+ * @param {Object} planets - { name: { rightAscension, declination } }
+ * @param {number} latitude - Birth latitude
+ * @param {number} orb - Degrees of RAMC
+ * @returns {Array<Object>} { star, starAngle, planet, planetAngle, orb }, closest first
+ */
+function findParans(stars, planets, latitude, orb) {
+  const parans = [];
+  const bodies = PARAN_BODIES.filter((name) => planets[name]);
+  const planetCrossings = Object.fromEntries(
+    bodies.map((name) => [name, angleCrossings(planets[name], latitude)]),
+  );
+
+  for (const [star, position] of Object.entries(stars)) {
+    const starCrossings = angleCrossings(position, latitude);
+
+    for (const planet of bodies) {
+      for (const [starAngle, starRamc] of Object.entries(starCrossings)) {
+        for (const [planetAngle, planetRamc] of Object.entries(
+          planetCrossings[planet],
+        )) {
+          const distance = Math.abs(angleDelta(starRamc, planetRamc));
+          if (distance <= orb) {
+            parans.push({
+              star,
+              starAngle,
+              planet,
+              planetAngle,
+              orb: parseFloat(distance.toFixed(2)),
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return parans.sort((a, b) => a.orb - b.orb);
+}
+
+/**
+ * Fixed star contacts of a chart: conjunctions to planets and angles, and
+ * parans at the birth latitude.
+ * @param {number} julianDay - Birth moment (UT)
+ * @param {Object} points - Planets and angles with longitude, rightAscension
+ *   and declination (AstrologicalCalculator.calculatePlanetaryPositions)
+ * @param {number} latitude - Birth latitude
+ * @param {Object} options - { orb, paranOrb, flags (see starPositions) }
+ * @returns {Object} { stars, conjunctions, parans } - stars: the ones in contact
+ */
+function calculateFixedStars(
+  julianDay,
+  points,
+  latitude,
+  { orb = 1, paranOrb = 1, flags } = {},
+) {
+  const positions = starPositions(julianDay, flags);
+  const conjunctions = findStarConjunctions(positions, points, orb);
+  const parans = findParans(positions, points, latitude, paranOrb);
+
+  const inContact = new Set(
+    [...conjunctions, ...parans].map((contact) => contact.star),
+  );
+
+  return {
+    stars: Object.fromEntries(
+      Object.entries(positions).filter(([name]) => inContact.has(name)),
+    ),
+    conjunctions,
+    parans,
+  };
+}
+
+module.exports = {
+  MAJOR_STARS,
+  starPositions,
+  angleCrossings,
+  findStarConjunctions,
+  findParans,
+  calculateFixedStars,
+};
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+
+// Fișierul cu localități, în formatul dump-urilor GeoNames (vezi antetul din geonames/cities.txt)
+const DEFAULT_PATH = path.join(__dirname, "..", "geonames", "cities.txt");
+
+// Coloanele folosite din formatul GeoNames
+const COLUMNS = {
+  name: 1,
+  asciiname: 2,
+  alternatenames: 3,
+  latitude: 4,
+  longitude: 5,
+  countryCode: 8,
+  admin1: 10,
+  population: 14,
+  timezone: 17,
+};
+
+// Numele regiunilor (admin1), în formatul admin1CodesASCII.txt de la GeoNames,
+// căutat lângă fișierul cu localități
+const ADMIN1_FILE = "admin1CodesASCII.txt";
+
+let places = null;
+
+/**
+ * Lowercases and strips diacritics, so "Brașov", "Braşov" and "brasov" compare equal.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeName(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Region names by "country.admin1" code, from the admin1CodesASCII.txt next to
+ * the gazetteer (or GAZETTEER_ADMIN1_PATH). Without the file, places can only
+ * be qualified by their admin1 code.
+ * @param {string} file - The gazetteer file
+ * @returns {Map<string, Object>} code -> { name, keys }
+ */
+function loadAdmin1(file) {
+  const admin1File =
+    process.env.GAZETTEER_ADMIN1_PATH ||
+    path.join(path.dirname(file), ADMIN1_FILE);
+  const regions = new Map();
+  if (!fs.existsSync(admin1File)) {
+    return regions;
+  }
+
+  for (const line of fs.readFileSync(admin1File, "utf8").split(/\r?\n/)) {
+    if (!line || line.startsWith("#")) continue;
+
+    const [code, name, asciiname] = line.split("\t");
+    regions.set(code, {
+      name,
+      keys: [...new Set([name, asciiname].filter(Boolean).map(normalizeName))],
+    });
+  }
+
+  return regions;
+}
+
+/**
+ * Loads the gazetteer on first use. GAZETTEER_PATH can point to a full GeoNames dump
+ * (e.g. cities15000.txt) instead of the bundled file; its admin1CodesASCII.txt,
+ * in the same directory, gives the region names.
+ * @returns {Array<Object>}
+ */
+function loadPlaces() {
+  if (places) {
+    return places;
+  }
+
+  const file = process.env.GAZETTEER_PATH || DEFAULT_PATH;
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const regions = loadAdmin1(file);
+
+  places = [];
+  for (const line of lines) {
+    if (!line || line.startsWith("#")) continue;
+
+    const cols = line.split("\t");
+    const latitude = parseFloat(cols[COLUMNS.latitude]);
+    const longitude = parseFloat(cols[COLUMNS.longitude]);
+    if (
+      !isFinite(latitude) ||
+      !isFinite(longitude) ||
+      !cols[COLUMNS.timezone]
+    ) {
+      continue;
+    }
+
+    const alternates = (cols[COLUMNS.alternatenames] || "")
+      .split(",")
+      .filter(Boolean);
+    const region = regions.get(
+      `${cols[COLUMNS.countryCode]}.${cols[COLUMNS.admin1]}`,
+    );
+
+    places.push({
+      name: cols[COLUMNS.name],
+      country: cols[COLUMNS.countryCode],
+      admin1: cols[COLUMNS.admin1] || null,
+      admin1Name: region ? region.name : null,
+      admin1Keys: region ? region.keys : [],
+      latitude,
+      longitude,
+      timezone: cols[COLUMNS.timezone],
+      population: parseInt(cols[COLUMNS.population], 10) || 0,
+      keys: [
+        ...new Set(
+          [cols[COLUMNS.name], cols[COLUMNS.asciiname], ...alternates].map(
+            normalizeName,
+          ),
+        ),
+      ],
+    });
+  }
+
+  return places;
+}
+
+/**
+ * Splits "Cluj-Napoca, RO" or "Sibiu, SB, RO" into the name and its qualifiers.
+ */
+function parseQuery(query) {
+  const parts = String(query || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  return {
+    name: normalizeName(parts[0]),
+    qualifiers: parts.slice(1),
+  };
+}
+
+/**
+ * Whether a qualifier names the place: its country code, its admin1 code or
+ * its region name.
+ */
+function matchesQualifier(place, qualifier) {
+  const code = qualifier.toUpperCase();
+  return (
+    code === place.country ||
+    code === place.admin1 ||
+    place.admin1Keys.includes(normalizeName(qualifier))
+  );
+}
+
+/**
+ * Public shape of a place, as returned by the API.
+ */
+function toResult(place) {
+  return {
+    name: place.name,
+    country: place.country,
+    admin1: place.admin1,
+    admin1_name: place.admin1Name,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    timezone: place.timezone,
+    population: place.population,
+  };
+}
+
+/**
+ * Finds the places matching a query, best first.
+ *
+ * Exact name matches (rank 0) come before prefix matches (rank 1); within each
+ * group the more populated place comes first. Qualifiers after a comma filter by
+ * country code, admin1 code or region name ("Cluj-Napoca, RO", "Roman, NT",
+ * "Roman, Neamț"). The admin1 codes are the ones of the gazetteer file: ISO
+ * 3166-2 codes for Romania and Moldova in the bundled one, GeoNames codes in a
+ * full dump (where the region name is the portable qualifier).
+ */
+function findMatches(query, country = null) {
+  const { name, qualifiers } = parseQuery(query);
+  if (!name) {
+    return [];
+  }
+
+  const filters = [...qualifiers];
+  if (country) {
+    filters.push(String(country));
+  }
+
+  const matches = [];
+  for (const place of loadPlaces()) {
+    if (!filters.every((filter) => matchesQualifier(place, filter))) {
+      continue;
+    }
+
+    let rank = null;
+    if (place.keys.includes(name)) {
+      rank = 0;
+    } else if (place.keys.some((key) => key.startsWith(name))) {
+      rank = 1;
+    }
+
+    if (rank !== null) {
+      matches.push({ place, rank });
+    }
+  }
+
+  return matches.sort(
+    (a, b) => a.rank - b.rank || b.place.population - a.place.population,
+  );
+}
+
+/**
+ * Searches the gazetteer by name, diacritics-insensitive (autocomplete).
+ * @param {string} query - "Cluj-Napoca", "cluj", "Cluj-Napoca, RO".
+ * @param {Object} options - { limit = 10, country = null }
+ * @returns {Array<Object>} Places: { name, country, admin1, admin1_name, latitude, longitude, timezone, population }
+ */
+function searchPlaces(query, { limit = 10, country = null } = {}) {
+  return findMatches(query, country)
+    .slice(0, limit)
+    .map(({ place }) => toResult(place));
+}
+
+/**
+ * Resolves a birth place to a single location: the most populated exact name match.
+ * @param {string} query - "Cluj-Napoca, RO"
+ * @returns {Object|null}
+ */
+function resolvePlace(query) {
+  const [best] = findMatches(query);
+  return best && best.rank === 0 ? toResult(best.place) : null;
+}
+
+module.exports = {
+  searchPlaces,
+  resolvePlace,
+  normalizeName,
+};
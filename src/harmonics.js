@@ -0,0 +1,74 @@
+const { natalOrb } = require("./orbs");
+const { angleDelta } = require("./ephemerisSearch");
+
+/**
+ * Longitude in the Nth harmonic chart.
+ * @param {number} longitude
+ * @param {number} harmonic
+ * @returns {number}
+ */
+function harmonicLongitude(longitude, harmonic) {
+  return parseFloat(((((longitude * harmonic) % 360) + 360) % 360).toFixed(3));
+}
+
+/**
+ * Harmonic spectrum: for every harmonic, the conjunctions of the harmonic chart
+ * scored 1 (exact) to 0 (at the natal conjunction orb of the pair).
+ *
+ * A random pair scores orb / 360 in every harmonic on average, so `strength`
+ * (score over that expectation) compares the harmonics: above 1 the harmonic is
+ * emphasised.
+ *
+ * @param {Object} points - { name: { longitude } }: planets and angles
+ * @param {Object} orbs - Resolved orbs (orbs.resolveOrbs)
+ * @param {number} maxHarmonic - Last harmonic of the spectrum
+ * @returns {Array<Object>} { harmonic, score, strength, pairs: [{ planet1, planet2, orb }] }
+ */
+function harmonicSpectrum(points, orbs, maxHarmonic) {
+  const names = Object.keys(points);
+  const pairs = names.flatMap((planet1, index) =>
+    names.slice(index + 1).map((planet2) => ({
+      planet1,
+      planet2,
+      orb: natalOrb(orbs, "conjunction", planet1, planet2),
+    })),
+  );
+  const expected = pairs.reduce((sum, pair) => sum + pair.orb / 360, 0);
+
+  const spectrum = [];
+  for (let harmonic = 1; harmonic <= maxHarmonic; harmonic++) {
+    let score = 0;
+    const conjunctions = [];
+
+    for (const { planet1, planet2, orb } of pairs) {
+      const distance = Math.abs(
+        angleDelta(
+          points[planet1].longitude * harmonic,
+          points[planet2].longitude * harmonic,
+        ),
+      );
+      if (orb > 0 && distance <= orb) {
+        score += 1 - distance / orb;
+        conjunctions.push({
+          planet1,
+          planet2,
+          orb: parseFloat(distance.toFixed(2)),
+        });
+      }
+    }
+
+    spectrum.push({
+      harmonic,
+      score: parseFloat(score.toFixed(3)),
+      strength: expected > 0 ? parseFloat((score / expected).toFixed(3)) : 0,
+      pairs: conjunctions.sort((a, b) => a.orb - b.orb),
+    });
+  }
+
+  return spectrum;
+}
+
+module.exports = {
+  harmonicLongitude,
+  harmonicSpectrum,
+};
@@ -0,0 +1,224 @@
+const DateTimeUtils = require("./DateTimeUtils");
+const { resolvePlace } = require("./gazetteer");
+
+/**
+ * Raised when a request field cannot be turned into calculation input.
+ */
+class InputError extends Error {
+  constructor(message, field = null, code = "INVALID_INPUT") {
+    super(message);
+    this.name = "InputError";
+    this.code = code;
+    this.status = 400;
+    this.field = field;
+  }
+}
+
+/**
+ * Resolves a moment given either as an absolute instant or as local wall-clock time.
+ *
+ * - "1990-05-12T12:30:00Z" / "1990-05-12T14:30:00+02:00" are used as-is.
+ * - "1990-05-12T14:30" with a timezone is resolved through the IANA database.
+ * - "1990-05-12T14:30" without a timezone is read as UTC.
+ *
+ * @param {string} value - Date string.
+ * @param {string|null} timezone - IANA zone or fixed offset.
+ * @param {string} field - Request field name, used in error messages.
+ * @param {string} disambiguation - "reject", "earlier" or "later" (see DateTimeUtils.resolveLocalDateTime).
+ * @returns {Object} { date, local_datetime, timezone, utc_offset, status }
+ */
+function resolveMoment(
+  value,
+  timezone = null,
+  field = "date",
+  disambiguation = "reject",
+) {
+  if (value === undefined || value === null || value === "") {
+    throw new InputError(
+      `Missing required parameter: ${field}`,
+      field,
+      "MISSING_FIELD",
+    );
+  }
+
+  const wallClock = DateTimeUtils.parseWallClock(value);
+
+  if (
+    wallClock &&
+    timezone !== undefined &&
+    timezone !== null &&
+    timezone !== ""
+  ) {
+    if (!DateTimeUtils.isValidZone(timezone)) {
+      throw new InputError(
+        `Invalid timezone: ${timezone}`,
+        "timezone",
+        "INVALID_TIMEZONE",
+      );
+    }
+
+    let resolved;
+    try {
+      resolved = DateTimeUtils.resolveLocalDateTime(
+        value,
+        timezone,
+        disambiguation,
+      );
+    } catch (err) {
+      err.field = field;
+      throw err;
+    }
+    return {
+      date: resolved.date,
+      local_datetime: value,
+      timezone: resolved.zone,
+      utc_offset: resolved.offset,
+      status: resolved.status,
+    };
+  }
+
+  const date = wallClock
+    ? wallClock.toJSDate()
+    : DateTimeUtils.parseInstant(value);
+
+  if (!date) {
+    throw new InputError(
+      `Invalid date format for ${field}: ${value}`,
+      field,
+      "INVALID_DATE",
+    );
+  }
+
+  return {
+    date,
+    local_datetime: null,
+    timezone: null,
+    utc_offset: "+00:00",
+    status: "exact",
+  };
+}
+
+/**
+ * Parses a coordinate, rejecting values outside the allowed range.
+ */
+function parseCoordinate(value, field, limit) {
+  if (value === undefined || value === null || value === "") {
+    throw new InputError(
+      `Missing required parameter: ${field}`,
+      field,
+      "MISSING_FIELD",
+    );
+  }
+  const number = typeof value === "string" ? Number(value) : value;
+  if (typeof number !== "number" || !isFinite(number)) {
+    throw new InputError(`${field} must be a number`, field, "INVALID_TYPE");
+  }
+  if (Math.abs(number) > limit) {
+    throw new InputError(
+      `${field} must be between -${limit} and ${limit}`,
+      field,
+      "OUT_OF_RANGE",
+    );
+  }
+  return number;
+}
+
+/**
+ * Looks up birth.place in the gazetteer when coordinates are not given.
+ * @returns {Object|null} The resolved place, or null when the block has coordinates.
+ */
+function resolveBirthPlace(birth, prefix) {
+  const hasCoordinates =
+    birth.latitude !== undefined && birth.longitude !== undefined;
+  if (hasCoordinates || birth.place === undefined) {
+    return null;
+  }
+
+  if (typeof birth.place !== "string" || !birth.place.trim()) {
+    throw new InputError(
+      `${prefix}place must be a non-empty string`,
+      `${prefix}place`,
+      "INVALID_TYPE",
+    );
+  }
+
+  const place = resolvePlace(birth.place);
+  if (!place) {
+    throw new InputError(
+      `Place not found: ${birth.place}. Use GET /places?q= to search, or send latitude and longitude`,
+      `${prefix}place`,
+      "PLACE_NOT_FOUND",
+    );
+  }
+  return place;
+}
+
+/**
+ * Normalizes a birth block from a request into calculator input.
+ *
+ * Accepts either the legacy UTC form:
+ *   { date: "1990-05-12T12:30:00Z", latitude, longitude }
+ * or local time with an IANA zone:
+ *   { local_datetime: "1990-05-12T14:30", timezone: "Europe/Bucharest", latitude, longitude }
+ * or a place name instead of coordinates, resolved through the offline gazetteer:
+ *   { local_datetime: "1990-05-12T14:30", place: "Cluj-Napoca, RO" }
+ * The place's timezone is used when no timezone is given.
+ *
+ * @param {Object} birth - Birth block from the request body.
+ * @param {string|null} field - Name of the block in the request ("birth", "birth2", ...),
+ *   null when the fields sit directly on the request body.
+ * @returns {Object} { date, latitude, longitude, input }
+ */
+function normalizeBirth(birth, field = "birth") {
+  if (!birth || typeof birth !== "object") {
+    throw new InputError(
+      `Missing required parameters: ${field} with fields like date, latitude, longitude`,
+      field,
+      "MISSING_FIELD",
+    );
+  }
+
+  const prefix = field ? `${field}.` : "";
+  const place = resolveBirthPlace(birth, prefix);
+
+  const timezone =
+    birth.timezone !== undefined &&
+    birth.timezone !== null &&
+    birth.timezone !== ""
+      ? birth.timezone
+      : place && place.timezone;
+
+  const dateField =
+    birth.local_datetime !== undefined ? "local_datetime" : "date";
+  const moment = resolveMoment(
+    birth[dateField],
+    timezone,
+    `${prefix}${dateField}`,
+    birth.disambiguation,
+  );
+
+  return {
+    date: moment.date,
+    latitude: place
+      ? place.latitude
+      : parseCoordinate(birth.latitude, `${prefix}latitude`, 90),
+    longitude: place
+      ? place.longitude
+      : parseCoordinate(birth.longitude, `${prefix}longitude`, 180),
+    input: {
+      utc: moment.date.toISOString(),
+      local_datetime: moment.local_datetime,
+      timezone: moment.timezone,
+      utc_offset: moment.utc_offset,
+      resolution: moment.status,
+      place,
+    },
+  };
+}
+
+module.exports = {
+  InputError,
+  resolveMoment,
+  parseCoordinate,
+  normalizeBirth,
+};
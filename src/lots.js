@@ -0,0 +1,93 @@
+const { InputError } = require("./inputNormalizer");
+
+/**
+ * Hellenistic lots: the distance from `minus` to `plus`, projected from the
+ * Ascendant (or another base). Lots with `reverse` swap `plus` and `minus` in
+ * night charts. A lot may use the lots defined before it (Eros uses Spirit).
+ *
+ * `label` is the text drawn on the wheel; Fortune has its own glyph.
+ */
+const LOTS = {
+  Fortune: { plus: "Moon", minus: "Sun", reverse: true, label: null },
+  Spirit: { plus: "Sun", minus: "Moon", reverse: true, label: "Sp" },
+  Eros: { plus: "Venus", minus: "Spirit", reverse: true, label: "Er" },
+  Necessity: { plus: "Fortune", minus: "Mercury", reverse: true, label: "Ne" },
+  Courage: { plus: "Fortune", minus: "Mars", reverse: true, label: "Co" },
+  Victory: { plus: "Jupiter", minus: "Spirit", reverse: true, label: "Vi" },
+  Nemesis: { plus: "Fortune", minus: "Saturn", reverse: true, label: "Nm" },
+  Marriage: { plus: "Venus", minus: "Saturn", reverse: false, label: "Ma" },
+  Father: { plus: "Saturn", minus: "Sun", reverse: true, label: "Fa" },
+  Mother: { plus: "Moon", minus: "Venus", reverse: true, label: "Mo" },
+  Children: { plus: "Saturn", minus: "Jupiter", reverse: true, label: "Ch" },
+  Siblings: { plus: "Jupiter", minus: "Saturn", reverse: false, label: "Sb" },
+};
+
+const normalize = (longitude) => ((longitude % 360) + 360) % 360;
+
+/**
+ * Longitudes of the standard lots and of the custom ones, in order.
+ * @param {Object} points - { name: { longitude } }: planets and angles
+ * @param {boolean} isDay - Sect of the chart (see dignities.isDayChart)
+ * @param {Array<Object>} customLots - { name, plus, minus, base = "AS",
+ *   reverse = true } - validated settings.custom_lots
+ * @returns {Object} { name: { longitude, formula, label } }
+ */
+function calculateLots(points, isDay, customLots = []) {
+  const lots = {};
+  const definitions = [
+    ...Object.entries(LOTS).map(([name, lot]) => ({
+      name,
+      base: "AS",
+      ...lot,
+    })),
+    ...customLots.map((lot, index) => ({
+      ...lot,
+      label: lot.name.slice(0, 2),
+      field: `settings.custom_lots[${index}]`,
+    })),
+  ];
+
+  for (const lot of definitions) {
+    if (lot.field && (points[lot.name] || lots[lot.name])) {
+      throw new InputError(
+        `${lot.field}.name "${lot.name}" is already a chart point`,
+        `${lot.field}.name`,
+        "INVALID_VALUE",
+      );
+    }
+
+    const swap = lot.reverse && !isDay;
+    const plus = swap ? lot.minus : lot.plus;
+    const minus = swap ? lot.plus : lot.minus;
+    const longitudeOf = (name, key) => {
+      const point = lots[name] || points[name];
+      if (!point) {
+        throw new InputError(
+          `${lot.field}.${key} must be a planet, an angle or a previous lot`,
+          `${lot.field}.${key}`,
+          "INVALID_VALUE",
+        );
+      }
+      return point.longitude;
+    };
+
+    lots[lot.name] = {
+      longitude: parseFloat(
+        normalize(
+          longitudeOf(lot.base, "base") +
+            longitudeOf(plus, "plus") -
+            longitudeOf(minus, "minus"),
+        ).toFixed(3),
+      ),
+      formula: `${lot.base} + ${plus} - ${minus}`,
+      label: lot.label,
+    };
+  }
+
+  return lots;
+}
+
+module.exports = {
+  LOTS,
+  calculateLots,
+};
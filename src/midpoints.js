@@ -0,0 +1,128 @@
+const { angleDelta } = require("./ephemerisSearch");
+
+// Modulele discurilor uraniene; 90° aduce aspectele dure în conjuncție
+const MODULI = [360, 90, 45];
+
+const normalize = (longitude) => ((longitude % 360) + 360) % 360;
+
+/**
+ * Near midpoint of two longitudes: the middle of the shorter arc.
+ * @returns {number} Longitude
+ */
+function midpoint(longitude1, longitude2) {
+  return normalize(longitude2 + angleDelta(longitude1, longitude2) / 2);
+}
+
+/**
+ * Distance of two longitudes on a dial of the modulus.
+ * @returns {number} Degrees, at most modulus / 2
+ */
+function dialDistance(longitude1, longitude2, modulus) {
+  const delta = (((longitude1 - longitude2) % modulus) + modulus) % modulus;
+  return Math.min(delta, modulus - delta);
+}
+
+/**
+ * Midpoints of every pair of points.
+ * @param {Object} points - { name: { longitude } }: planets and angles
+ * @returns {Object} { "Sun/Moon": { planet1, planet2, longitude } }
+ */
+function calculateMidpoints(points) {
+  const names = Object.keys(points);
+  const midpoints = {};
+
+  names.forEach((planet1, index) => {
+    for (const planet2 of names.slice(index + 1)) {
+      midpoints[`${planet1}/${planet2}`] = {
+        planet1,
+        planet2,
+        longitude: parseFloat(
+          midpoint(
+            points[planet1].longitude,
+            points[planet2].longitude,
+          ).toFixed(3),
+        ),
+      };
+    }
+  });
+
+  return midpoints;
+}
+
+/**
+ * Points on midpoints on a dial of the modulus.
+ * @param {Object} points - { name: { longitude } }: transiting, directed or
+ *   natal points
+ * @param {Object} midpoints - From calculateMidpoints
+ * @param {number} modulus - 360, 90 or 45
+ * @param {number} orb - Degrees (orbs.midpoint)
+ * @param {boolean} samePoints - Whether the points are the ones the midpoints
+ *   come from: a midpoint then does not count for its own points
+ * @returns {Array<Object>} { point, midpoint, orb }, closest first
+ */
+function findMidpointContacts(
+  points,
+  midpoints,
+  modulus,
+  orb,
+  samePoints = false,
+) {
+  const contacts = [];
+
+  for (const [point, position] of Object.entries(points)) {
+    for (const [name, mid] of Object.entries(midpoints)) {
+      if (samePoints && (mid.planet1 === point || mid.planet2 === point)) {
+        continue;
+      }
+
+      const distance = dialDistance(position.longitude, mid.longitude, modulus);
+      if (distance <= orb) {
+        contacts.push({
+          point,
+          midpoint: name,
+          orb: parseFloat(distance.toFixed(2)),
+        });
+      }
+    }
+  }
+
+  return contacts.sort((a, b) => a.orb - b.orb);
+}
+
+/**
+ * Midpoint trees of the chart: for every point, the midpoints it falls on.
+ * @param {Object} points - { name: { longitude } }
+ * @param {Object} midpoints - From calculateMidpoints
+ * @param {number} modulus - 360, 90 or 45
+ * @param {number} orb - Degrees (orbs.midpoint)
+ * @returns {Object} { name: { longitude, dial, midpoints: [{ midpoint, orb }] } } -
+ *   dial: the longitude on the dial of the modulus
+ */
+function midpointTrees(points, midpoints, modulus, orb) {
+  const contacts = findMidpointContacts(points, midpoints, modulus, orb, true);
+
+  return Object.fromEntries(
+    Object.entries(points).map(([name, position]) => [
+      name,
+      {
+        longitude: position.longitude,
+        dial: parseFloat((position.longitude % modulus).toFixed(3)),
+        midpoints: contacts
+          .filter((contact) => contact.point === name)
+          .map(({ midpoint: pair, orb: distance }) => ({
+            midpoint: pair,
+            orb: distance,
+          })),
+      },
+    ]),
+  );
+}
+
+module.exports = {
+  MODULI,
+  midpoint,
+  dialDistance,
+  calculateMidpoints,
+  findMidpointContacts,
+  midpointTrees,
+};
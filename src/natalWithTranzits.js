@@ -1,86 +1,79 @@
 const swisseph = require("swisseph");
 const { filterAspects } = require("./astroUtils");
+const { resolveOrbs, natalOrb, transitOrb } = require("./orbs");
+const { getAspects } = require("./aspects");
+const {
+  julianDayFromDate,
+  dateFromJulianDay,
+  sampleTrack,
+  findCrossings,
+  findHits,
+  searchStep,
+} = require("./ephemerisSearch");
+const {
+  isDayChart,
+  calculateDignities,
+  calculateAlmuten,
+  findMutualReceptions,
+} = require("./dignities");
+const { calculateLots } = require("./lots");
+const { calculateFixedStars } = require("./fixedStars");
+const {
+  isOutOfBounds,
+  declinationAspect,
+  findParallels,
+} = require("./declinations");
+const { calculateAntiscia, findAntisciaContacts } = require("./antiscia");
+const { harmonicLongitude } = require("./harmonics");
+const { midpoint } = require("./midpoints");
+const { BODIES, resolveBodies, isBodyName } = require("./bodies");
+const {
+  resolveZodiac,
+  applyZodiac,
+  ayanamsaAt,
+  describeZodiac,
+} = require("./zodiac");
 
 /**
  * Professional Astrological Calculator using Swiss Ephemeris
- * Calculates natal charts, transits, synastry aspects, and solar returns.
+ * Calculates natal charts, transits, synastry aspects, solar and planetary returns.
  */
 class AstrologicalCalculator {
-  constructor(houseSystem = "P", considerAspectsCompatibility = true) {
+  /**
+   * @param {string} houseSystem - Swiss Ephemeris house system letter.
+   * @param {boolean} considerAspectsCompatibility
+   * @param {Object} orbs - Resolved orb profile (see orbs.resolveOrbs), "modern" by default.
+   * @param {string} aspectSet - "major", "major+minor" or "all" (see aspects.ASPECT_SETS).
+   * @param {Object} bodies - Resolved body list (see bodies.resolveBodies).
+   * @param {Object} zodiac - Resolved zodiac (see zodiac.resolveZodiac), tropical by default.
+   */
+  constructor(
+    houseSystem = "P",
+    considerAspectsCompatibility = true,
+    orbs = resolveOrbs(),
+    aspectSet = "major",
+    bodies = resolveBodies(),
+    zodiac = resolveZodiac(),
+  ) {
     // Initialize Swiss Ephemeris
     swisseph.swe_set_ephe_path("./ephemeris");
 
-    // Planet constants
-    this.planets = {
-      Sun: swisseph.SE_SUN,
-      Moon: swisseph.SE_MOON,
-      Mercury: swisseph.SE_MERCURY,
-      Venus: swisseph.SE_VENUS,
-      Mars: swisseph.SE_MARS,
-      Jupiter: swisseph.SE_JUPITER,
-      Saturn: swisseph.SE_SATURN,
-      Uranus: swisseph.SE_URANUS,
-      Neptune: swisseph.SE_NEPTUNE,
-      Pluto: swisseph.SE_PLUTO,
-      NNode: swisseph.SE_TRUE_NODE,
-      Chiron: swisseph.SE_CHIRON,
-      Lilith: swisseph.SE_MEAN_APOG, // Mean Black Moon Lilith
-      // Vertex: swisseph.SE_VERTEX,
-      // Ceres: swisseph.SE_CERES,
-      // Pallas: swisseph.SE_PALLAS,
-      Juno: swisseph.SE_JUNO,
-      // Vesta: swisseph.SE_VESTA,
-    };
+    // Zodiac of the ecliptic longitudes; right ascension and declination do not depend on it
+    this.zodiac = zodiac;
+    this.ephemerisFlags = swisseph.SEFLG_SWIEPH | zodiac.flags;
+    applyZodiac(zodiac);
 
-    // Natal Aspect definitions (in degrees)
-    this.aspects = {
-      CONJUNCTION: { angle: 0, orb: 8, name: "conjunction" },
-      OPPOSITION: { angle: 180, orb: 8, name: "opposition" },
-      TRINE: { angle: 120, orb: 8, name: "trine" },
-      SQUARE: { angle: 90, orb: 8, name: "square" },
-      SEXTILE: { angle: 60, orb: 6, name: "sextile" },
-    };
+    // Bodies by name: ephemeris ids, null for the Vertex (see bodies.resolveBodies)
+    this.planets = bodies;
 
-    // Transit/Synastry aspect definitions
-    this.transitAspects = {
-      CONJUNCTION: { angle: 0, name: "conjunction", symbol: "☌" },
-      OPPOSITION: { angle: 180, name: "opposition", symbol: "☍" },
-      TRINE: { angle: 120, name: "trine", symbol: "△" },
-      SQUARE: { angle: 90, name: "square", symbol: "□" },
-      SEXTILE: { angle: 60, name: "sextile", symbol: "⚹" },
-    };
+    // Aspect definitions (in degrees) for natal, transit and synastry aspects;
+    // orbs come from this.orbs
+    this.aspectSet = aspectSet;
+    this.aspects = getAspects(aspectSet);
+    this.transitAspects = this.aspects;
 
-    // Transit orbs based on the transiting planet
-    this.transitOrbs = {
-      Saturn: { major: 2, minor: 1 },
-      Uranus: { major: 2, minor: 1 },
-      Neptune: { major: 2, minor: 1 },
-      Pluto: { major: 2, minor: 1 },
-      Jupiter: { major: 1.5, minor: 0.5 },
-      Sun: { major: 1, minor: 0.5 },
-      Moon: { major: 1, minor: 0.5 },
-      Mercury: { major: 1, minor: 0.5 },
-      Venus: { major: 1, minor: 0.5 },
-      Mars: { major: 1, minor: 0.5 },
-      NNode: { major: 1, minor: 0.5 },
-      SNode: { major: 1, minor: 0.5 },
-      Chiron: { major: 1, minor: 0.5 },
-      Lilith: { major: 1, minor: 0.5 },
-    };
-
-    this.majorAspects = [
-      "conjunction",
-      "opposition",
-      "trine",
-      "square",
-      "sextile",
-    ];
-    this.minorAspects = [
-      "quincunx",
-      "semisextile",
-      "semisquare",
-      "sesquiquadrate",
-    ];
+    // Natal, transit and progressed orbs (profile "modern" by default)
+    this.orbs = orbs;
 
     // House system (Placidus by default)
     this.houseSystem = houseSystem;
@@ -102,26 +95,78 @@ class AstrologicalCalculator {
   /**
    * Generates a complete astrological chart for a specific moment.
    * @param {Object} birthData - Birth information { date, latitude, longitude }.
-   * @returns {Object} Complete chart with planets, houses, and natal aspects.
+   * @param {Object} options - { customLots, fixedStars: { orb, paranOrb } or null
+   *   when the fixed stars are not wanted }.
+   * @returns {Object} Complete chart with planets (with essential dignities), houses,
+   *   natal aspects, lots, sect, almuten, mutual receptions, parallels and
+   *   contraparallels, antiscia with their contacts, fixed star contacts and
+   *   the zodiac ({ type, ayanamsa, ayanamsa_value }).
    */
-  generateChart(birthData) {
+  generateChart(birthData, { customLots = [], fixedStars = null } = {}) {
     const { date, latitude, longitude } = birthData;
     const julianDay = this.dateToJulianDay(date);
     const houses = this.calculateHouses(julianDay, latitude, longitude);
-    let planets = this.calculatePlanetaryPositions(julianDay, houses.houses);
+    let planets = this.addVertex(
+      this.calculatePlanetaryPositions(julianDay, houses.houses),
+      houses,
+    );
 
     const { AS, MC } = houses.angles;
     let angles = { AS, MC };
 
+    const isDay = isDayChart({ planets, angles });
+    for (const [planetName, position] of Object.entries(planets)) {
+      position.dignities = calculateDignities(
+        planetName,
+        position.longitude,
+        isDay,
+      );
+    }
+
+    const lots = this.calculateChartLots(
+      { ...planets, ...houses.angles },
+      houses.houses,
+      isDay,
+      customLots,
+    );
+
+    // almutenul figurii: Soarele, Luna, Ascendentul, Roata Norocului și sizigia prenatală
+    const almuten = calculateAlmuten(
+      {
+        Sun: planets.Sun.longitude,
+        Moon: planets.Moon.longitude,
+        AS: AS.longitude,
+        Fortune: lots.Fortune.longitude,
+        Syzygy: parseFloat(
+          this.findPrenatalSyzygy(julianDay).longitude.toFixed(3),
+        ),
+      },
+      isDay,
+    );
+
     angles = this.addHouse(angles, houses.houses);
 
-    let aspects = this.calculateNatalAspects(planets, angles);
+    let aspects = [
+      ...this.calculateNatalAspects(planets, angles),
+      ...this.calculateLotAspects(lots, planets),
+    ];
     aspects = filterAspects(
       aspects,
-      { ...planets, ...angles },
+      { ...planets, ...angles, ...lots },
       this.considerAspectsCompatibility,
     );
 
+    const antiscia = calculateAntiscia(
+      planets,
+      ayanamsaAt(this.zodiac, julianDay),
+    );
+    const antisciaContacts = findAntisciaContacts(
+      antiscia,
+      planets,
+      this.orbs.antiscia,
+      true,
+    );
+
     planets = this.addAnglesToPositions(planets, houses.angles, houses.houses);
 
     return {
@@ -129,6 +174,27 @@ class AstrologicalCalculator {
       houses: houses.houses,
       angles: houses.angles,
       aspects,
+      lots,
+      sect: isDay ? "day" : "night",
+      almuten,
+      receptions: findMutualReceptions(planets),
+      parallels: findParallels(
+        { ...planets, AS: houses.angles.AS, MC: houses.angles.MC },
+        this.orbs.declination,
+      ),
+      antiscia: {
+        points: this.describeAntiscia(antiscia),
+        contacts: antisciaContacts,
+      },
+      fixedStars: fixedStars
+        ? calculateFixedStars(
+            julianDay,
+            { ...planets, ...houses.angles },
+            latitude,
+            { ...fixedStars, flags: this.ephemerisFlags },
+          )
+        : null,
+      zodiac: describeZodiac(this.zodiac, julianDay),
       // meta: {
       //     julianDay,
       //     date: date.toISOString(),
@@ -167,6 +233,214 @@ class AstrologicalCalculator {
     };
   }
 
+  /**
+   * Nth harmonic chart: every longitude multiplied by the harmonic, with equal
+   * houses from the harmonic Ascendant and the aspects recalculated on it.
+   * @param {Object} natalChart - From generateChart.
+   * @param {number} harmonic - 1 and up.
+   * @returns {Object} { harmonic, planets, angles, houses, aspects }
+   */
+  generateHarmonicChart(natalChart, harmonic) {
+    const toHarmonic = (position) => {
+      const longitude = harmonicLongitude(position.longitude, harmonic);
+      return {
+        longitude,
+        longitudeSpeed: (position.longitudeSpeed || 0) * harmonic,
+        isRetrograde: Boolean(position.isRetrograde),
+        sign: this.getZodiacSign(longitude),
+        degree: this.formatDegree(longitude),
+      };
+    };
+    const opposite = (position) =>
+      toHarmonic({ longitude: position.longitude + 180 / harmonic });
+
+    const { AS, MC } = natalChart.angles;
+    const angles = {
+      AS: toHarmonic(AS),
+      MC: toHarmonic(MC),
+    };
+    angles.DS = { ...angles.AS, ...opposite(AS) };
+    angles.IC = { ...angles.MC, ...opposite(MC) };
+
+    const houses = Array.from({ length: 12 }, (_, index) => {
+      const cusp = (angles.AS.longitude + index * 30) % 360;
+      return {
+        house: index + 1,
+        cusp: parseFloat(cusp.toFixed(3)),
+        sign: this.getZodiacSign(cusp),
+        degree: this.formatDegree(cusp),
+      };
+    });
+
+    const planets = this.addHouse(
+      Object.fromEntries(
+        Object.entries(natalChart.planets)
+          .filter(([name]) => !natalChart.angles[name])
+          .map(([name, position]) => [name, toHarmonic(position)]),
+      ),
+      houses,
+    );
+    this.addHouse(angles, houses);
+
+    const aspects = filterAspects(
+      this.calculateNatalAspects(planets, { AS: angles.AS, MC: angles.MC }),
+      { ...planets, ...angles },
+      this.considerAspectsCompatibility,
+    );
+
+    return { harmonic, planets, angles, houses, aspects };
+  }
+
+  // =========================================================================
+  // == RELATIONSHIP CHARTS (COMPOSITE, DAVISON)
+  // =========================================================================
+
+  /**
+   * Composite chart: the near midpoint of every pair of bodies. The houses are
+   * derived from the composite MC (midpoint of the two MCs) at the mean birth
+   * latitude ("derived") or at the latitude of the place of the relationship
+   * ("reference_place").
+   * @param {Object} chart1 - From generateChart.
+   * @param {Object} chart2 - From generateChart.
+   * @param {Object} birthData1 - { date, latitude, longitude }
+   * @param {Object} birthData2 - { date, latitude, longitude }
+   * @param {Object} options - { houseMethod, latitude (of the reference place) }
+   * @returns {Object} { planets, houses, angles, aspects, meta }
+   */
+  generateCompositeChart(
+    chart1,
+    chart2,
+    birthData1,
+    birthData2,
+    { houseMethod = "derived", latitude = null } = {},
+  ) {
+    // ayanamsa și oblicitatea la momentul mediu
+    const julianDay =
+      (this.dateToJulianDay(birthData1.date) +
+        this.dateToJulianDay(birthData2.date)) /
+      2;
+    const houseLatitude =
+      houseMethod === "reference_place"
+        ? latitude
+        : (birthData1.latitude + birthData2.latitude) / 2;
+    const houses = this.calculateCompositeHouses(
+      midpoint(chart1.angles.MC.longitude, chart2.angles.MC.longitude),
+      houseLatitude,
+      julianDay,
+    );
+
+    const planets = {};
+    for (const [name, position1] of Object.entries(chart1.planets)) {
+      const position2 = chart2.planets[name];
+      if (!position2 || chart1.angles[name]) continue;
+
+      const longitude = parseFloat(
+        midpoint(position1.longitude, position2.longitude).toFixed(3),
+      );
+      const longitudeSpeed =
+        (position1.longitudeSpeed + position2.longitudeSpeed) / 2;
+      planets[name] = {
+        longitude,
+        longitudeSpeed,
+        isRetrograde: longitudeSpeed < 0,
+        sign: this.getZodiacSign(longitude),
+        degree: this.formatDegree(longitude),
+        house: this.determinePlanetHouse(longitude, houses.houses).number,
+      };
+    }
+
+    const { AS, MC } = houses.angles;
+    const aspects = filterAspects(
+      this.calculateNatalAspects(planets, { AS, MC }),
+      { ...planets, AS, MC },
+      this.considerAspectsCompatibility,
+    );
+
+    return {
+      planets,
+      houses: houses.houses,
+      angles: houses.angles,
+      aspects,
+      meta: {
+        method: "composite",
+        house_method: houseMethod,
+        house_latitude: houseLatitude,
+      },
+    };
+  }
+
+  /**
+   * Houses of a composite chart from its MC, at a latitude.
+   * @param {number} mc - Composite MC, in the zodiac of the chart.
+   * @param {number} latitude - Latitude the houses are cast for.
+   * @param {number} julianDay - Moment of the ayanamsa and of the obliquity.
+   * @returns {Object} { houses, angles: { AS, MC, DS, IC } }
+   */
+  calculateCompositeHouses(mc, latitude, julianDay) {
+    const ayanamsa = ayanamsaAt(this.zodiac, julianDay);
+    const obliquity = this.getObliquity(julianDay);
+    // casele se calculează din ARMC, în zodiacul tropical
+    const armc = this.toEquatorial(mc + ayanamsa, obliquity).rightAscension;
+    const result = swisseph.swe_houses_armc(
+      armc,
+      latitude,
+      obliquity,
+      this.houseSystem,
+    );
+
+    const point = (tropical) => {
+      const longitude = parseFloat(
+        ((((tropical - ayanamsa) % 360) + 360) % 360).toFixed(3),
+      );
+      return {
+        longitude,
+        sign: this.getZodiacSign(longitude),
+        degree: this.formatDegree(longitude),
+      };
+    };
+
+    return {
+      houses: result.house.map((cusp, index) => {
+        const { longitude, sign, degree } = point(cusp);
+        return { house: index + 1, cusp: longitude, sign, degree };
+      }),
+      angles: {
+        AS: point(result.ascendant),
+        MC: point(result.mc),
+        DS: point(result.ascendant + 180),
+        IC: point(result.mc + 180),
+      },
+    };
+  }
+
+  /**
+   * Davison chart: a real chart cast at the midpoint in time of the two births
+   * and at the midpoint of the two birth places.
+   * @param {Object} birthData1 - { date, latitude, longitude }
+   * @param {Object} birthData2 - { date, latitude, longitude }
+   * @returns {Object} Chart as from generateChart, with meta { method, date,
+   *   latitude, longitude }
+   */
+  generateDavisonChart(birthData1, birthData2) {
+    const date = new Date(
+      (birthData1.date.getTime() + birthData2.date.getTime()) / 2,
+    );
+    const latitude = (birthData1.latitude + birthData2.latitude) / 2;
+    // longitudinea de mijloc pe arcul scurt, în (-180, 180]
+    const middle = midpoint(birthData1.longitude, birthData2.longitude);
+    const longitude = middle > 180 ? middle - 360 : middle;
+
+    return {
+      ...this.generateChart({ date, latitude, longitude }),
+      meta: {
+        method: "davison",
+        date: date.toISOString(),
+        latitude: parseFloat(latitude.toFixed(4)),
+        longitude: parseFloat(longitude.toFixed(4)),
+      },
+    };
+  }
+
   // =========================================================================
   // == SOLAR RETURN CALCULATION METHODS
   // =========================================================================
@@ -241,6 +515,140 @@ class AstrologicalCalculator {
     }
   }
 
+  /**
+   * Calculate every return of a planet to its natal longitude in a period.
+   * Each return gets its chart for the given location, with the natal house of
+   * every point (natal_house).
+   * @param {Object} returnData - { planet, birthDate, birthPlace, startDate, endDate, currentLocation }
+   * @param {Object} natalChart - Natal chart (generateChart)
+   * @returns {Array<Object>} Return charts, each with its meta
+   */
+  calculatePlanetaryReturns(returnData, natalChart) {
+    const {
+      planet,
+      birthDate,
+      birthPlace,
+      startDate,
+      endDate,
+      currentLocation,
+    } = returnData;
+
+    const natalLongitude = this.getNatalLongitude(birthDate, planet);
+    const location = currentLocation || birthPlace;
+
+    return this.findReturnMoments(
+      planet,
+      natalLongitude,
+      startDate,
+      endDate,
+    ).map((moment) => {
+      const returnChart = this.generateChart({
+        date: moment.date,
+        latitude: location.latitude,
+        longitude: location.longitude,
+      });
+
+      returnChart.planets = this.addHouse(
+        returnChart.planets,
+        natalChart.houses,
+        "natal_house",
+      );
+      returnChart.angles = this.addHouse(
+        returnChart.angles,
+        natalChart.houses,
+        "natal_house",
+      );
+
+      return {
+        ...returnChart,
+        meta: {
+          planet,
+          date: moment.date.toISOString(),
+          natal_longitude: natalLongitude,
+          pass: moment.pass,
+          passes: moment.passes,
+          retrograde: moment.retrograde,
+          station: moment.station,
+          ...location,
+          same_location:
+            JSON.stringify(location) === JSON.stringify(birthPlace),
+          house_system: this.houseSystem,
+        },
+      };
+    });
+  }
+
+  /**
+   * Find every moment a planet returns to a longitude in a period.
+   *
+   * A retrograde loop over the natal degree gives three returns (direct,
+   * retrograde, direct); they are numbered as passes of the same loop and the
+   * later passes carry the station that caused them.
+   *
+   * @param {string} planet - Planet name (see bodies.BODIES)
+   * @param {number} longitude - Natal longitude
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Array<Object>} { date, pass, passes, retrograde, station }
+   */
+  findReturnMoments(planet, longitude, startDate, endDate) {
+    const startJd = julianDayFromDate(startDate);
+    const endJd = julianDayFromDate(endDate);
+    const { step, pad } = searchStep(planet);
+    const track = sampleTrack(
+      this.bodyId(planet),
+      startJd - pad,
+      endJd + pad,
+      step,
+      this.ephemerisFlags,
+    );
+
+    return findHits(track, longitude)
+      .filter((hit) => hit.jd >= startJd && hit.jd <= endJd)
+      .map((hit) => ({
+        date: dateFromJulianDay(hit.jd),
+        pass: hit.pass,
+        passes: hit.passes,
+        retrograde: hit.direction === "retrograde",
+        station: hit.station
+          ? {
+              type: hit.station.type,
+              date: dateFromJulianDay(hit.station.jd).toISOString(),
+              longitude: hit.station.longitude,
+            }
+          : null,
+      }));
+  }
+
+  /**
+   * Ephemeris id of a planet: the calculated variant (mean or true Node) or,
+   * for a planet left out of the body list, the registry id.
+   * @param {string} planet
+   * @returns {number}
+   */
+  bodyId(planet) {
+    return planet in this.planets ? this.planets[planet] : BODIES[planet].id;
+  }
+
+  /**
+   * Get the exact natal longitude of a planet.
+   * @param {Date} birthDate
+   * @param {string} planet - Planet name (see bodies.BODIES)
+   * @returns {number}
+   */
+  getNatalLongitude(birthDate, planet) {
+    const julianDay = this.dateToJulianDay(birthDate);
+    const result = swisseph.swe_calc_ut(
+      julianDay,
+      this.bodyId(planet),
+      this.ephemerisFlags,
+    );
+    if (result.rflag < 0) {
+      throw new Error(`Failed to calculate natal ${planet} position`);
+    }
+    return result.longitude;
+  }
+
   /**
    * Get the exact longitude of the natal Sun.
    * ...
@@ -248,7 +656,7 @@ class AstrologicalCalculator {
   getNatalSunLongitude(birthDate) {
     // ... funcția ta este corectă, nu necesită modificări
     const julianDay = this.dateToJulianDay(birthDate);
-    const flags = swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED;
+    const flags = this.ephemerisFlags | swisseph.SEFLG_SPEED;
 
     // for Swiss Ephemeris => swisseph.SEFLG_SPEED | swisseph.SEFLG_SWIEPH
 
@@ -289,7 +697,7 @@ class AstrologicalCalculator {
 
     let searchJD = this.dateToJulianDay(searchStartDate);
 
-    const flags = swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED;
+    const flags = this.ephemerisFlags | swisseph.SEFLG_SPEED;
     const tolerance = 0.00001; // O toleranță mică pentru precizie
     const maxIterations = 20; // Ar trebui să conveargă în 2-3 iterații acum
 
@@ -389,18 +797,29 @@ class AstrologicalCalculator {
   }
 
   /**
-   * Calculate planetary positions, including speed and house placement.
+   * Calculate planetary positions, including speed, equatorial coordinates,
+   * out-of-bounds flag and house placement.
    * @param {number} julianDay - Julian Day Number.
    * @param {Object} houses - House data object from calculateHouses.
    * @returns {Object} A map of planets to their positional data.
    */
   calculatePlanetaryPositions(julianDay, houses = null) {
     const positions = {};
-    const flags = swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED;
+    const flags = this.ephemerisFlags | swisseph.SEFLG_SPEED;
+    const obliquity = this.getObliquity(julianDay);
 
     for (const [planetName, planetId] of Object.entries(this.planets)) {
+      // Vertexul vine din calculul caselor
+      if (planetId === null) continue;
       try {
         const result = swisseph.swe_calc_ut(julianDay, planetId, flags);
+        const equatorial = swisseph.swe_calc_ut(
+          julianDay,
+          planetId,
+          swisseph.SEFLG_SWIEPH |
+            swisseph.SEFLG_EQUATORIAL |
+            swisseph.SEFLG_SPEED,
+        );
         if (result.rflag >= 0) {
           const planetData = {
             longitude: parseFloat(result.longitude.toFixed(3)),
@@ -408,6 +827,10 @@ class AstrologicalCalculator {
             isRetrograde: result.longitudeSpeed < 0,
             sign: this.getZodiacSign(result.longitude),
             degree: this.formatDegree(result.longitude),
+            rightAscension: parseFloat(equatorial.rectAscension.toFixed(3)),
+            declination: parseFloat(equatorial.declination.toFixed(3)),
+            declinationSpeed: equatorial.declinationSpeed,
+            outOfBounds: isOutOfBounds(equatorial.declination, obliquity),
           };
 
           if (houses) {
@@ -449,12 +872,27 @@ class AstrologicalCalculator {
    */
   calculateHouses(julianDay, latitude, longitude) {
     try {
-      const result = swisseph.swe_houses(
+      const result = swisseph.swe_houses_ex(
         julianDay,
+        this.zodiac.flags,
         latitude,
         longitude,
         this.houseSystem,
       );
+      // coordonatele ecuatoriale se calculează din longitudinile tropicale
+      const obliquity = this.getObliquity(julianDay);
+      const ayanamsa = ayanamsaAt(this.zodiac, julianDay);
+      const ascendant = this.toEquatorial(
+        result.ascendant + ayanamsa,
+        obliquity,
+      );
+      const mc = this.toEquatorial(result.mc + ayanamsa, obliquity);
+      const vertex = this.toEquatorial(result.vertex + ayanamsa, obliquity);
+      const opposite = ({ rightAscension, declination }) => ({
+        rightAscension: parseFloat(((rightAscension + 180) % 360).toFixed(3)),
+        declination: -declination,
+      });
+
       return {
         houses: result.house.map((cusp, index) => ({
           house: index + 1,
@@ -467,23 +905,33 @@ class AstrologicalCalculator {
             longitude: parseFloat(result.ascendant.toFixed(3)),
             sign: this.getZodiacSign(result.ascendant),
             degree: this.formatDegree(result.ascendant),
+            ...ascendant,
           },
           MC: {
             longitude: parseFloat(result.mc.toFixed(3)),
             sign: this.getZodiacSign(result.mc),
             degree: this.formatDegree(result.mc),
+            ...mc,
           },
           DS: {
             longitude: parseFloat(((result.ascendant + 180) % 360).toFixed(3)),
             sign: this.getZodiacSign((result.ascendant + 180) % 360),
             degree: this.formatDegree((result.ascendant + 180) % 360),
+            ...opposite(ascendant),
           },
           IC: {
             longitude: parseFloat(((result.mc + 180) % 360).toFixed(3)),
             sign: this.getZodiacSign((result.mc + 180) % 360),
             degree: this.formatDegree((result.mc + 180) % 360),
+            ...opposite(mc),
           },
         },
+        vertex: {
+          longitude: parseFloat(result.vertex.toFixed(3)),
+          sign: this.getZodiacSign(result.vertex),
+          degree: this.formatDegree(result.vertex),
+          ...vertex,
+        },
       };
     } catch (error) {
       console.error("Error calculating houses:", error.message);
@@ -519,7 +967,7 @@ class AstrologicalCalculator {
           positions[planet2].longitude,
         );
 
-        const aspect = this.findNatalAspect(angle);
+        const aspect = this.findNatalAspect(angle, planet1, planet2);
         if (aspect) {
           if (this.filterAspect(planet1, planet2, aspect)) {
             aspects.push({
@@ -550,7 +998,7 @@ class AstrologicalCalculator {
           positions[planet2].longitude,
         );
 
-        const aspect = this.findNatalAspect(angle);
+        const aspect = this.findNatalAspect(angle, planet1, planet2);
         if (aspect) {
           if (this.filterAspect(planet1, planet2, aspect)) {
             aspects.push({
@@ -575,6 +1023,70 @@ class AstrologicalCalculator {
     return aspects.sort((a, b) => a.orb - b.orb);
   }
 
+  /**
+   * Lots of the chart with their sign and house (see lots.calculateLots).
+   * @param {Object} points - Planets and angles.
+   * @param {Array} houses - House cusps from calculateHouses.
+   * @param {boolean} isDay - Sect of the chart.
+   * @param {Array<Object>} customLots - Lots defined in the request settings.
+   * @returns {Object} { name: { longitude, sign, degree, house, formula, label, isLot } }
+   */
+  calculateChartLots(points, houses, isDay, customLots = []) {
+    const lots = calculateLots(points, isDay, customLots);
+
+    for (const [name, lot] of Object.entries(lots)) {
+      lots[name] = {
+        longitude: lot.longitude,
+        sign: this.getZodiacSign(lot.longitude),
+        degree: this.formatDegree(lot.longitude),
+        house: this.determinePlanetHouse(lot.longitude, houses).number,
+        formula: lot.formula,
+        label: lot.label,
+        isLot: true,
+      };
+    }
+
+    return lots;
+  }
+
+  /**
+   * Aspects from the lots to the planets. Lots do not move: the aspects are
+   * applying or separating by the planet's motion alone.
+   * @param {Object} lots - From calculateChartLots.
+   * @param {Object} positions - Planetary positions.
+   * @returns {Array} { planet1 (lot), planet2, aspect, angle, orb, applying }
+   */
+  calculateLotAspects(lots, positions) {
+    const aspects = [];
+
+    for (const [lot, lotPosition] of Object.entries(lots)) {
+      for (const [planet, position] of Object.entries(positions)) {
+        const angle = this.calculateAngleBetweenPlanets(
+          lotPosition.longitude,
+          position.longitude,
+        );
+
+        const aspect = this.findNatalAspect(angle, lot, planet);
+        if (aspect && this.filterAspect(lot, planet, aspect)) {
+          aspects.push({
+            planet1: lot,
+            planet2: planet,
+            aspect: aspect.name,
+            angle: aspect.angle,
+            orb: parseFloat(Math.abs(angle - aspect.angle).toFixed(2)),
+            applying: this.isNatalAspectApplying(
+              { ...lotPosition, longitudeSpeed: 0 },
+              position,
+              aspect.angle,
+            ),
+          });
+        }
+      }
+    }
+
+    return aspects;
+  }
+
   // =========================================================================
   // == TRANSIT & SYNASTRY CALCULATION METHODS (from synastry.js)
   // =========================================================================
@@ -612,6 +1124,7 @@ class AstrologicalCalculator {
 
         if (aspectData) {
           let aspect = {
+            type: "ecliptic",
             title: `${transit_planet} (${transit_position.sign}, H${transit_position.house}) ${aspectData.aspect.name} ${natal_planet} (${natal_position.sign}, H${natal_position.house})`,
             // transit_planet: transit_planet,
             // transit_sign: transit_position.sign,
@@ -623,18 +1136,11 @@ class AstrologicalCalculator {
             orb: parseFloat(aspectData.orb.toFixed(2)),
           };
 
-          aspect[index1] = {
-            planet: transit_planet,
-            sign: transit_position.sign,
-            house: transit_position.house,
-            longitude: transit_position.longitude,
-          };
-          aspect[index2] = {
-            planet: natal_planet,
-            sign: natal_position.sign,
-            house: natal_position.house,
-            longitude: natal_position.longitude,
-          };
+          aspect[index1] = this.crossChartPoint(
+            transit_planet,
+            transit_position,
+          );
+          aspect[index2] = this.crossChartPoint(natal_planet, natal_position);
 
           if (isTransit) {
             aspect.title = `${transit_planet} in transit (${transit_position.sign}, H${transit_position.house}) ${aspectData.aspect.name} ${natal_planet} natal (${natal_position.sign}, H${natal_position.house})`;
@@ -656,10 +1162,179 @@ class AstrologicalCalculator {
       }
     }
 
-    return aspects;
+    aspects.push(
+      ...this.calculateParallelsOfTwoCharts(
+        transitPositions,
+        natalPositions,
+        index1,
+        index2,
+        isTransit,
+        transitDate,
+      ),
+    );
     return aspects.sort((a, b) => a.orb - b.orb);
   }
 
+  /**
+   * One side of a row of calculateAspectsOfTwoCharts: the same shape for
+   * ecliptic, declination and antiscia rows.
+   * @returns {Object} { planet, sign, house, longitude, declination }
+   */
+  crossChartPoint(planet, position) {
+    return {
+      planet,
+      sign: position.sign,
+      house: position.house,
+      longitude: position.longitude,
+      declination: position.declination,
+    };
+  }
+
+  /**
+   * Antiscia of the chart with their sign and degree.
+   * @param {Object} antiscia - From antiscia.calculateAntiscia.
+   * @returns {Object} { name: { antiscion, contraAntiscion } } - each
+   *   { longitude, sign, degree }
+   */
+  describeAntiscia(antiscia) {
+    const describe = (longitude) => ({
+      longitude,
+      sign: this.getZodiacSign(longitude),
+      degree: this.formatDegree(longitude),
+    });
+
+    return Object.fromEntries(
+      Object.entries(antiscia).map(([name, mirrors]) => [
+        name,
+        {
+          antiscion: describe(mirrors.antiscion),
+          contraAntiscion: describe(mirrors.contraAntiscion),
+        },
+      ]),
+    );
+  }
+
+  /**
+   * Planets of the first chart on the antiscia and contra-antiscia of the
+   * bodies of the second one; the orb is orbs.antiscia. [index1] and [index2]
+   * are the two bodies, as in calculateAspectsOfTwoCharts; mirrorPoint is the
+   * mirror of [index2] that [index1] contacts. ayanamsa is the one of the
+   * second chart (zodiac.ayanamsa_value), 0 for tropical.
+   * @returns {Array<Object>} { type, title, aspect, mirror, mirrorPoint, orb,
+   *   [index1], [index2] } - transits also have applying and peakDate
+   */
+  calculateAntisciaOfTwoCharts(
+    positions1,
+    positions2,
+    index1,
+    index2,
+    isTransit = false,
+    transitDate = new Date(),
+    ayanamsa = 0,
+  ) {
+    const bodies = Object.fromEntries(
+      Object.entries(positions2).filter(([name]) => isBodyName(name)),
+    );
+    const antiscia = calculateAntiscia(bodies, ayanamsa);
+    const mirrorNames = {
+      antiscion: "antiscion",
+      contraAntiscion: "contra-antiscion",
+    };
+
+    return findAntisciaContacts(antiscia, positions1, this.orbs.antiscia).map(
+      (contact) => {
+        const position1 = positions1[contact.planet];
+        const position2 = positions2[contact.point];
+        const mirrorLongitude = antiscia[contact.point][contact.mirror];
+        const mirror = `${contact.point} ${mirrorNames[contact.mirror]}`;
+        const row = {
+          type: "antiscia",
+          title: isTransit
+            ? `${contact.planet} in transit (${position1.sign}, H${position1.house}) ${contact.aspect} ${mirror} natal`
+            : `${contact.planet} (${position1.sign}, H${position1.house}) ${contact.aspect} ${mirror}`,
+          aspect: contact.aspect,
+          mirror: contact.mirror,
+          mirrorPoint: {
+            longitude: mirrorLongitude,
+            sign: this.getZodiacSign(mirrorLongitude),
+            degree: this.formatDegree(mirrorLongitude),
+          },
+          orb: contact.orb,
+          [index1]: this.crossChartPoint(contact.planet, position1),
+          [index2]: this.crossChartPoint(contact.point, position2),
+        };
+
+        if (isTransit) {
+          const mirrorPosition = { longitude: mirrorLongitude };
+          row.applying = this.isTransitApplying(position1, mirrorPosition, 0);
+          row.peakDate = this.estimatePeakDate(
+            position1,
+            mirrorPosition,
+            0,
+            transitDate,
+          );
+        }
+        return row;
+      },
+    );
+  }
+
+  /**
+   * Parallels and contraparallels between two charts, in the format of
+   * calculateAspectsOfTwoCharts; the orb is orbs.declination.
+   * @returns {Array<Object>} { type, title, aspect, orb, [index1], [index2] } -
+   *   transits also have applying and peakDate
+   */
+  calculateParallelsOfTwoCharts(
+    positions1,
+    positions2,
+    index1,
+    index2,
+    isTransit = false,
+    transitDate = new Date(),
+  ) {
+    const parallels = [];
+
+    for (const [planet1, position1] of Object.entries(positions1)) {
+      if (typeof position1.declination !== "number") continue;
+      for (const [planet2, position2] of Object.entries(positions2)) {
+        if (typeof position2.declination !== "number") continue;
+
+        const found = declinationAspect(
+          position1.declination,
+          position2.declination,
+          this.orbs.declination,
+        );
+        if (found) {
+          const parallel = {
+            type: "declination",
+            title: isTransit
+              ? `${planet1} in transit (${position1.declination}°) ${found.aspect} ${planet2} natal (${position2.declination}°)`
+              : `${planet1} (${position1.declination}°) ${found.aspect} ${planet2} (${position2.declination}°)`,
+            aspect: found.aspect,
+            orb: parseFloat(found.orb.toFixed(2)),
+            [index1]: this.crossChartPoint(planet1, position1),
+            [index2]: this.crossChartPoint(planet2, position2),
+          };
+          if (isTransit) {
+            Object.assign(
+              parallel,
+              this.declinationTiming(
+                position1,
+                position2,
+                found.aspect,
+                transitDate,
+              ),
+            );
+          }
+          parallels.push(parallel);
+        }
+      }
+    }
+
+    return parallels;
+  }
+
   // /**
   //  * Calculate transits for a natal chart
   //  * @param {Object} natalPositions - Natal planet positions
@@ -717,7 +1392,7 @@ class AstrologicalCalculator {
   // }
 
   /**
-   * Find a transit aspect for a given angle, using transit orbs.
+   * Find the closest transit aspect for a given angle, using transit orbs.
    * @param {number} transitLong - Longitude of the transiting planet.
    * @param {number} natalLong - Longitude of the natal planet.
    * @param {string} transitPlanet - Name of the transiting planet (to determine orb).
@@ -725,20 +1400,19 @@ class AstrologicalCalculator {
    */
   findTransitAspect(transitLong, natalLong, transitPlanet) {
     const angle = this.calculateAngleBetweenPlanets(transitLong, natalLong);
-    for (const [aspectName, aspectData] of Object.entries(
-      this.transitAspects,
-    )) {
+    let closest = null;
+    for (const [, aspectData] of Object.entries(this.transitAspects)) {
       const orb = this.getTransitOrb(transitPlanet, aspectData.name);
       const angleDiff = Math.abs(angle - aspectData.angle);
-      if (angleDiff <= orb) {
-        return {
+      if (angleDiff <= orb && (!closest || angleDiff < closest.orb)) {
+        closest = {
           aspect: aspectData,
           orb: angleDiff,
           targetAngle: aspectData.angle,
         };
       }
     }
-    return null;
+    return closest;
   }
 
   /**
@@ -748,13 +1422,7 @@ class AstrologicalCalculator {
    * @returns {number} Orb in degrees.
    */
   getTransitOrb(transitPlanet, aspectName) {
-    const planetOrbs = this.transitOrbs[transitPlanet] || {
-      major: 1,
-      minor: 0.5,
-    };
-    return this.majorAspects.includes(aspectName)
-      ? planetOrbs.major
-      : planetOrbs.minor;
+    return transitOrb(this.orbs, transitPlanet, aspectName);
   }
 
   /**
@@ -800,6 +1468,37 @@ class AstrologicalCalculator {
     return new Date(currentDate.getTime() + daysToExact * 24 * 60 * 60 * 1000);
   }
 
+  /**
+   * Applying state and estimated exact date of a transiting parallel or
+   * contraparallel, from the declination speed of the transiting planet.
+   * @param {Object} transitPos - Transiting planet position data.
+   * @param {Object} natalPos - Natal planet position data.
+   * @param {string} aspect - "parallel" or "contraparallel".
+   * @param {Date} currentDate - The date of the transit chart.
+   * @returns {Object} { applying, peakDate } - null without a declination speed
+   */
+  declinationTiming(transitPos, natalPos, aspect, currentDate) {
+    const speed = transitPos.declinationSpeed;
+    if (typeof speed !== "number") return { applying: null, peakDate: null };
+
+    // exact când declinațiile sunt egale (paralel) sau opuse (contraparalel)
+    const distance =
+      aspect === "parallel"
+        ? transitPos.declination - natalPos.declination
+        : transitPos.declination + natalPos.declination;
+    const applying = distance * speed < 0;
+    if (Math.abs(speed) < 0.0001) return { applying, peakDate: null }; // Stationary
+
+    const daysToExact = -distance / speed;
+    if (Math.abs(daysToExact) > 365 * 5) return { applying, peakDate: null };
+    return {
+      applying,
+      peakDate: new Date(
+        currentDate.getTime() + daysToExact * 24 * 60 * 60 * 1000,
+      ),
+    };
+  }
+
   // =========================================================================
   // == HELPER & UTILITY METHODS
   // =========================================================================
@@ -814,17 +1513,25 @@ class AstrologicalCalculator {
   }
 
   /**
-   * Find a natal aspect for a given angle.
+   * Find the closest natal aspect for a given angle.
    * @param {number} angle - Angle between planets.
-   * @returns {Object|null} Aspect object or null.
+   * @param {string} planet1 - Points forming the aspect (for per-planet orbs).
+   * @param {string} planet2
+   * @returns {Object|null} Aspect object (with the orb allowed) or null.
    */
-  findNatalAspect(angle) {
+  findNatalAspect(angle, planet1, planet2) {
+    let closest = null;
     for (const [, aspectData] of Object.entries(this.aspects)) {
-      if (Math.abs(angle - aspectData.angle) <= aspectData.orb) {
-        return aspectData;
+      const orb = natalOrb(this.orbs, aspectData.name, planet1, planet2);
+      const angleDiff = Math.abs(angle - aspectData.angle);
+      if (
+        angleDiff <= orb &&
+        (!closest || angleDiff < Math.abs(angle - closest.angle))
+      ) {
+        closest = { ...aspectData, orb };
       }
     }
-    return null;
+    return closest;
   }
 
   /**
@@ -904,6 +1611,89 @@ class AstrologicalCalculator {
     return `${d}°${String(m).padStart(2, "0")}'`;
   }
 
+  /**
+   * Last New or Full Moon before a moment (prenatal syzygy).
+   * @param {number} julianDay - Julian Day Number (UT).
+   * @returns {Object} { phase: "new" | "full", julianDay, longitude } - the Moon's degree
+   */
+  findPrenatalSyzygy(julianDay) {
+    const sunAt = (jd) =>
+      swisseph.swe_calc_ut(jd, swisseph.SE_SUN, this.ephemerisFlags).longitude;
+    // o lunație durează ~29.5 zile: o Lună Nouă sau Plină cade în ultimele 16
+    const moon = sampleTrack(
+      swisseph.SE_MOON,
+      julianDay - 16,
+      julianDay,
+      searchStep("Moon").step,
+      this.ephemerisFlags,
+    );
+    const elongation = (jd) => ({
+      jd,
+      longitude: (moon.position(jd).longitude - sunAt(jd) + 360) % 360,
+    });
+    const track = {
+      samples: moon.samples.map((sample) => elongation(sample.jd)),
+      position: elongation,
+    };
+
+    const [syzygy] = [0, 180]
+      .flatMap((angle) =>
+        findCrossings(track, angle).map((crossing) => ({ ...crossing, angle })),
+      )
+      .sort((a, b) => b.jd - a.jd);
+
+    return {
+      phase: syzygy.angle === 0 ? "new" : "full",
+      julianDay: syzygy.jd,
+      longitude: moon.position(syzygy.jd).longitude,
+    };
+  }
+
+  /**
+   * True obliquity of the ecliptic.
+   * @param {number} julianDay - Julian Day Number (UT).
+   * @returns {number} Degrees.
+   */
+  getObliquity(julianDay) {
+    return swisseph.swe_calc_ut(julianDay, swisseph.SE_ECL_NUT, 0).longitude;
+  }
+
+  /**
+   * Right ascension and declination of an ecliptic point without latitude (angles).
+   * @param {number} longitude - Ecliptic longitude in degrees.
+   * @param {number} obliquity - Obliquity of the ecliptic in degrees.
+   * @returns {Object} { rightAscension, declination }
+   */
+  toEquatorial(longitude, obliquity) {
+    const result = swisseph.swe_cotrans([longitude, 0, 1], -obliquity);
+    return {
+      rightAscension: parseFloat(result.longitude.toFixed(3)),
+      declination: parseFloat(result.latitude.toFixed(3)),
+    };
+  }
+
+  /**
+   * Adds the Vertex to the positions when it is in the body list. It is a
+   * point of the house frame: it has no speed of its own.
+   * @param {Object} positions - From calculatePlanetaryPositions
+   * @param {Object} houses - From calculateHouses
+   * @returns {Object} positions
+   */
+  addVertex(positions, houses) {
+    if (this.planets.Vertex === null && houses.vertex) {
+      positions.Vertex = {
+        ...houses.vertex,
+        longitudeSpeed: 0,
+        declinationSpeed: 0,
+        isRetrograde: false,
+        outOfBounds: false,
+        house: this.determinePlanetHouse(houses.vertex.longitude, houses.houses)
+          .number,
+      };
+    }
+    return positions;
+  }
+
   /**
    * Calculate South Node position.
    * @returns {Object} South Node data.
@@ -917,6 +1707,11 @@ class AstrologicalCalculator {
       longitudeSpeed: positions.NNode.longitudeSpeed, // Same speed
       sign: this.getZodiacSign(southNodeLongitude),
       degree: this.formatDegree(southNodeLongitude),
+      rightAscension: parseFloat(
+        ((positions.NNode.rightAscension + 180) % 360).toFixed(3),
+      ),
+      declination: -positions.NNode.declination,
+      declinationSpeed: -positions.NNode.declinationSpeed,
     };
   }
 
@@ -0,0 +1,348 @@
+const { InputError } = require("./inputNormalizer");
+const { MAJOR_ASPECTS } = require("./aspects");
+
+const LUMINARIES = ["Sun", "Moon"];
+
+// Orbite pentru tranzit, după planeta care tranzitează
+const TRANSIT_ORBS = {
+  Saturn: { major: 2, minor: 1 },
+  Uranus: { major: 2, minor: 1 },
+  Neptune: { major: 2, minor: 1 },
+  Pluto: { major: 2, minor: 1 },
+  Jupiter: { major: 1.5, minor: 0.5 },
+};
+
+// Orbite natale pentru aspectele minore (settings.aspect_set)
+const MINOR_ORBS = {
+  quincunx: 3,
+  semisextile: 2,
+  semisquare: 2,
+  sesquiquadrate: 2,
+  quintile: 2,
+  biquintile: 2,
+};
+
+/**
+ * Named orb profiles.
+ *
+ *   aspects        - natal/synastry orb per aspect
+ *   planets        - per-planet natal orbs, a number or per-aspect values
+ *                    ({ conjunction: 10, sextile: 5 }); a pair gets the mean of its
+ *                    two orbs, planets without one count with the aspect orb.
+ *                    A number is the conjunction orb, scaled down for other aspects
+ *                    by aspects[name] / aspects.conjunction
+ *   luminary_bonus - added to the natal orb when the Sun or the Moon is involved
+ *   transit        - { default, planets }: { major, minor } orbs by transiting planet
+ *   progressed     - orb for progressed aspects, a number or per-aspect values
+ *   declination    - orb in degrees of declination for parallels and contraparallels
+ *   antiscia       - orb of the antiscia and contra-antiscia contacts
+ *   midpoint       - orb of the points on midpoints (natal, transits and directions)
+ *
+ * "modern" keeps the orbs the calculators used before profiles existed.
+ */
+const ORB_PROFILES = {
+  modern: {
+    aspects: {
+      conjunction: 8,
+      opposition: 8,
+      trine: 8,
+      square: 8,
+      sextile: 6,
+      ...MINOR_ORBS,
+    },
+    planets: {},
+    luminary_bonus: 0,
+    transit: { default: { major: 1, minor: 0.5 }, planets: TRANSIT_ORBS },
+    progressed: 1,
+    declination: 1,
+    antiscia: 1,
+    midpoint: 1.5,
+  },
+  traditional: {
+    aspects: {
+      conjunction: 8,
+      opposition: 8,
+      trine: 8,
+      square: 8,
+      sextile: 6,
+      ...MINOR_ORBS,
+    },
+    // orbitele lui Lilly; perechea primește media lor (suma moietăților)
+    planets: {
+      Sun: 15,
+      Moon: 12,
+      Mercury: 7,
+      Venus: 7,
+      Mars: 7.5,
+      Jupiter: 9,
+      Saturn: 9,
+    },
+    luminary_bonus: 0,
+    transit: { default: { major: 1, minor: 0.5 }, planets: TRANSIT_ORBS },
+    progressed: 1,
+    declination: 1,
+    antiscia: 1,
+    midpoint: 1.5,
+  },
+  tight: {
+    aspects: {
+      conjunction: 5,
+      opposition: 5,
+      trine: 4,
+      square: 4,
+      sextile: 3,
+      quincunx: 1.5,
+      semisextile: 1,
+      semisquare: 1,
+      sesquiquadrate: 1,
+      quintile: 1,
+      biquintile: 1,
+    },
+    planets: {},
+    luminary_bonus: 1,
+    transit: {
+      default: { major: 0.5, minor: 0.25 },
+      planets: {
+        Saturn: { major: 1, minor: 0.5 },
+        Uranus: { major: 1, minor: 0.5 },
+        Neptune: { major: 1, minor: 0.5 },
+        Pluto: { major: 1, minor: 0.5 },
+        Jupiter: { major: 1, minor: 0.5 },
+      },
+    },
+    progressed: 0.5,
+    declination: 0.5,
+    antiscia: 0.5,
+    midpoint: 1,
+  },
+};
+
+const DEFAULT_PROFILE = "modern";
+
+function checkOrb(value, field) {
+  if (
+    typeof value !== "number" ||
+    !isFinite(value) ||
+    value < 0 ||
+    value > 30
+  ) {
+    throw new InputError(
+      `${field} must be a number between 0 and 30`,
+      field,
+      "INVALID_ORB",
+    );
+  }
+  return value;
+}
+
+/**
+ * Checks a number or an object of numbers ({ conjunction: 8, major: 2, ... }).
+ */
+function checkOrbTable(value, field) {
+  if (typeof value === "number") {
+    return checkOrb(value, field);
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new InputError(
+      `${field} must be a number or an object of orbs`,
+      field,
+      "INVALID_ORB",
+    );
+  }
+  for (const [key, orb] of Object.entries(value)) {
+    checkOrb(orb, `${field}.${key}`);
+  }
+  return { ...value };
+}
+
+/**
+ * Resolves settings.orbs into a complete orb table.
+ *
+ * Accepts a profile name ("traditional") or an object overriding parts of a
+ * profile: { profile: "modern", aspects: { sextile: 4 }, planets: { Sun: 10 },
+ * luminary_bonus: 2, transit: { planets: { Mars: { major: 2, minor: 1 } } },
+ * progressed: 1.5, declination: 1.2, antiscia: 1.5,
+ * midpoint: 1 }.
+ *
+ * @param {string|Object} orbs - Value of settings.orbs.
+ * @param {string} field - Request field name, used in error messages.
+ * @returns {Object} { profile, aspects, planets, luminary_bonus, transit, progressed,
+ *   declination, antiscia, midpoint }
+ */
+function resolveOrbs(orbs = DEFAULT_PROFILE, field = "settings.orbs") {
+  if (typeof orbs === "string") {
+    orbs = { profile: orbs };
+  }
+  if (!orbs || typeof orbs !== "object" || Array.isArray(orbs)) {
+    throw new InputError(
+      `${field} must be a profile name or an object`,
+      field,
+      "INVALID_ORB",
+    );
+  }
+
+  const profileName = orbs.profile || DEFAULT_PROFILE;
+  const base = ORB_PROFILES[profileName];
+  if (!base) {
+    throw new InputError(
+      `${field}.profile must be one of: ${Object.keys(ORB_PROFILES).join(", ")}`,
+      `${field}.profile`,
+      "INVALID_ORB",
+    );
+  }
+
+  const {
+    aspects,
+    planets,
+    luminary_bonus,
+    progressed,
+    declination,
+    antiscia,
+    midpoint,
+  } = orbs;
+  const transit = orbs.transit || {};
+  const isCustom = [
+    aspects,
+    planets,
+    luminary_bonus,
+    orbs.transit,
+    progressed,
+    declination,
+    antiscia,
+    midpoint,
+  ].some((value) => value !== undefined);
+
+  const planetOrbs = { ...base.planets };
+  for (const [planet, value] of Object.entries(planets || {})) {
+    planetOrbs[planet] = checkOrbTable(value, `${field}.planets.${planet}`);
+  }
+
+  const transitPlanets = { ...base.transit.planets };
+  for (const [planet, value] of Object.entries(transit.planets || {})) {
+    transitPlanets[planet] = checkOrbTable(
+      value,
+      `${field}.transit.planets.${planet}`,
+    );
+  }
+
+  let aspectOrbs = base.aspects;
+  if (aspects !== undefined) {
+    const table = checkOrbTable(aspects, `${field}.aspects`);
+    aspectOrbs =
+      typeof table === "number"
+        ? Object.fromEntries(
+            Object.keys(base.aspects).map((name) => [name, table]),
+          )
+        : { ...base.aspects, ...table };
+  }
+
+  let transitDefault = base.transit.default;
+  if (transit.default !== undefined) {
+    const table = checkOrbTable(transit.default, `${field}.transit.default`);
+    transitDefault =
+      typeof table === "number" ? table : { ...base.transit.default, ...table };
+  }
+
+  return {
+    profile: isCustom ? `${profileName}+custom` : profileName,
+    aspects: aspectOrbs,
+    planets: planetOrbs,
+    luminary_bonus:
+      luminary_bonus !== undefined
+        ? checkOrb(luminary_bonus, `${field}.luminary_bonus`)
+        : base.luminary_bonus,
+    transit: {
+      default: transitDefault,
+      planets: transitPlanets,
+    },
+    progressed:
+      progressed !== undefined
+        ? checkOrbTable(progressed, `${field}.progressed`)
+        : base.progressed,
+    declination:
+      declination !== undefined
+        ? checkOrb(declination, `${field}.declination`)
+        : base.declination,
+    antiscia:
+      antiscia !== undefined
+        ? checkOrb(antiscia, `${field}.antiscia`)
+        : base.antiscia,
+    midpoint:
+      midpoint !== undefined
+        ? checkOrb(midpoint, `${field}.midpoint`)
+        : base.midpoint,
+  };
+}
+
+/**
+ * Picks the value for an aspect from a number or a per-aspect table.
+ * Tables may use aspect names or the "major" / "minor" groups.
+ */
+function pickOrb(table, aspectName, fallback) {
+  if (typeof table === "number") {
+    return table;
+  }
+  if (!table) {
+    return fallback;
+  }
+  const name = aspectName.toLowerCase();
+  if (table[name] !== undefined) {
+    return table[name];
+  }
+  const group = MAJOR_ASPECTS.includes(name) ? "major" : "minor";
+  return table[group] !== undefined ? table[group] : fallback;
+}
+
+/**
+ * Orb for a natal or synastry aspect between two points.
+ * @param {Object} orbs - Resolved orbs (resolveOrbs).
+ * @param {string} aspectName - "conjunction", "trine", ...
+ * @param {string} planet1
+ * @param {string} planet2
+ * @returns {number}
+ */
+function natalOrb(orbs, aspectName, planet1, planet2) {
+  const aspectOrb = pickOrb(orbs.aspects, aspectName, 0);
+  if (aspectOrb <= 0) {
+    return 0; // aspect dezactivat
+  }
+  const conjunctionOrb = orbs.aspects.conjunction || aspectOrb;
+  const planetOrb = (planet) => {
+    const value = orbs.planets[planet];
+    return typeof value === "number"
+      ? (value * aspectOrb) / conjunctionOrb
+      : pickOrb(value, aspectName, aspectOrb);
+  };
+  const orb = (planetOrb(planet1) + planetOrb(planet2)) / 2;
+  const hasLuminary =
+    LUMINARIES.includes(planet1) || LUMINARIES.includes(planet2);
+  return hasLuminary ? orb + orbs.luminary_bonus : orb;
+}
+
+/**
+ * Orb for a transit aspect, by transiting planet.
+ */
+function transitOrb(orbs, transitPlanet, aspectName) {
+  const table = orbs.transit.planets[transitPlanet] || orbs.transit.default;
+  return pickOrb(
+    table,
+    aspectName,
+    pickOrb(orbs.transit.default, aspectName, 0),
+  );
+}
+
+/**
+ * Orb for a progressed aspect.
+ */
+function progressedOrb(orbs, aspectName) {
+  return pickOrb(orbs.progressed, aspectName, 0);
+}
+
+module.exports = {
+  ORB_PROFILES,
+  MAJOR_ASPECTS,
+  resolveOrbs,
+  natalOrb,
+  transitOrb,
+  progressedOrb,
+};
@@ -0,0 +1,316 @@
+const swisseph = require("swisseph");
+const {
+  julianDayFromDate,
+  angleDelta,
+  refineRoot,
+  sampleTrack,
+  findCrossings,
+} = require("./ephemerisSearch");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+// Cheia Naibod: mișcarea medie a Soarelui într-o zi, un an de viață
+const NAIBOD_RATE = 0.98564733;
+
+const TIME_KEYS = ["ptolemy", "naibod", "solar_arc"];
+const DIRECTION_METHODS = ["placidus", "regiomontanus"];
+
+const DEFAULT_PROMISSORS = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+const DEFAULT_SIGNIFICATORS = ["AS", "MC", "Sun", "Moon"];
+
+// Unghiurile sunt cadrul direcțiilor: nu sunt purtate de mișcarea primară
+const ANGLES = ["AS", "MC"];
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+const degrees = (radians) => (radians * 180) / Math.PI;
+const normalize = (angle) => ((angle % 360) + 360) % 360;
+
+/**
+ * Mundane positions measure where a point stands in the diurnal rotation:
+ * 0 rising, 90 culminating, 180 setting, 270 anti-culminating. A direction
+ * carries a point by primary motion until it reaches another point's position.
+ */
+const MUNDANE_POSITIONS = {
+  /**
+   * Placidus: the proportion of the point's own semi-arc already travelled.
+   */
+  placidus(hourAngle, declination, latitude) {
+    // punctele circumpolare nu au semiarc: sunt ținute aproape de orizont
+    const tangents = Math.max(
+      -0.999999,
+      Math.min(
+        0.999999,
+        Math.tan(radians(declination)) * Math.tan(radians(latitude)),
+      ),
+    );
+    const diurnal = 90 + degrees(Math.asin(tangents));
+    const fromMC = angleDelta(hourAngle, 0);
+
+    if (Math.abs(fromMC) <= diurnal) {
+      return 90 + (90 * fromMC) / diurnal;
+    }
+    return normalize(270 + (90 * angleDelta(hourAngle, 180)) / (180 - diurnal));
+  },
+
+  /**
+   * Regiomontanus: the equator division of the point's position circle (the
+   * great circle through the north and south points of the horizon).
+   */
+  regiomontanus(hourAngle, declination, latitude) {
+    const [h, d, f] = [hourAngle, declination, latitude].map(radians);
+    const west = Math.cos(d) * Math.sin(h);
+    const zenith =
+      Math.cos(d) * Math.cos(h) * Math.cos(f) + Math.sin(d) * Math.sin(f);
+    const circle = Math.atan2(zenith, -west);
+    const equator = Math.atan2(
+      -Math.cos(circle) * Math.cos(f),
+      Math.sin(circle),
+    );
+    return normalize(90 + degrees(equator));
+  },
+};
+
+/**
+ * Ecliptic point without latitude in equatorial coordinates.
+ * @returns {Object} { rightAscension, declination }
+ */
+function eclipticPoint(longitude, obliquity) {
+  const result = swisseph.swe_cotrans([longitude, 0, 1], -obliquity);
+  return { rightAscension: result.longitude, declination: result.latitude };
+}
+
+/**
+ * Arc of primary motion (degrees of right ascension) that carries a point to a
+ * mundane position.
+ * @param {Function} position - From MUNDANE_POSITIONS
+ * @param {Object} point - { rightAscension, declination }
+ * @param {Object} frame - { ramc, latitude }
+ * @param {number} target - Mundane position
+ * @returns {number|null} Arc in [0, 360), null when the position is never reached
+ */
+function arcToPosition(position, point, frame, target) {
+  const offset = (arc) =>
+    angleDelta(
+      position(
+        frame.ramc + arc - point.rightAscension,
+        point.declination,
+        frame.latitude,
+      ),
+      target,
+    );
+
+  // poziția crește cu rotația: o singură trecere prin țintă într-un cerc
+  const step = 5;
+  for (let arc = step; arc <= 360; arc += step) {
+    const before = offset(arc - step);
+    const after = offset(arc);
+    if (before < 0 && after >= 0 && after - before < 180) {
+      return refineRoot(arc - step, arc, offset);
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts arcs of direction into years of life.
+ * @param {string} key - "ptolemy" (1° a year), "naibod" (the Sun's mean motion)
+ *   or "solar_arc" (the secondary progressed Sun's motion in right ascension)
+ * @param {Date} birthDate
+ * @param {number} obliquity
+ * @param {number} maxAge - Oldest age needed (solar arc search span)
+ * @returns {Function} arc -> age in years, or null beyond maxAge
+ */
+function timeKey(key, birthDate, obliquity, maxAge) {
+  if (key === "ptolemy") return (arc) => arc;
+  if (key === "naibod") return (arc) => arc / NAIBOD_RATE;
+
+  // o zi de efemeride după naștere = un an de viață
+  const birthJd = julianDayFromDate(birthDate);
+  const sun = sampleTrack(swisseph.SE_SUN, birthJd, birthJd + maxAge + 1, 1);
+  const natalSun = eclipticPoint(sun.samples[0].longitude, obliquity);
+
+  return (arc) => {
+    const rightAscension = radians(natalSun.rightAscension + arc);
+    const longitude = degrees(
+      Math.atan2(
+        Math.sin(rightAscension),
+        Math.cos(rightAscension) * Math.cos(radians(obliquity)),
+      ),
+    );
+    const crossing = findCrossings(sun, normalize(longitude))[0];
+    return crossing ? crossing.jd - birthJd : null;
+  };
+}
+
+/**
+ * Primary directions of a natal chart, direct and converse, in zodiaco and in mundo.
+ *
+ * Direct directions carry the promissor by primary motion to the significator;
+ * converse directions carry the significator to the promissor. Zodiacal
+ * directions use the promissor's aspect points on the ecliptic (without
+ * latitude); mundane directions use the body itself and aspects measured in
+ * mundane position (90° = one quadrant). The sinister side is the aspect cast
+ * forward in the zodiac, the dexter side the one cast backwards.
+ *
+ * @param {Object} natalChart - From AstrologicalCalculator.generateChart
+ *   (planets and angles with rightAscension and declination, zodiac)
+ * @param {Object} birthData - { date, latitude }
+ * @param {Object} options - { method, key, aspects: [{ name, angle }], promissors,
+ *   significators, directions, modes, fromAge, toAge }
+ * @returns {Array<Object>} { promissor, significator, aspect, side, mode, direction,
+ *   arc, age, date }, by date
+ */
+function calculatePrimaryDirections(
+  natalChart,
+  birthData,
+  {
+    method = "placidus",
+    key = "naibod",
+    aspects,
+    promissors = DEFAULT_PROMISSORS,
+    significators = DEFAULT_SIGNIFICATORS,
+    directions = ["direct", "converse"],
+    modes = ["zodiacal", "mundo"],
+    fromAge = 0,
+    toAge = 90,
+  },
+) {
+  const { date: birthDate, latitude } = birthData;
+  const position = MUNDANE_POSITIONS[method];
+  const obliquity = swisseph.swe_calc_ut(
+    julianDayFromDate(birthDate),
+    swisseph.SE_ECL_NUT,
+    0,
+  ).longitude;
+  const frame = { ramc: natalChart.angles.MC.rightAscension, latitude };
+  const ageOf = timeKey(key, birthDate, obliquity, toAge);
+  const points = { ...natalChart.planets, ...natalChart.angles };
+  // punctele de aspect trec în coordonate ecuatoriale din longitudinea tropicală
+  const ayanamsa = natalChart.zodiac.ayanamsa_value || 0;
+  const positionOf = (point) =>
+    position(
+      frame.ramc - point.rightAscension,
+      point.declination,
+      frame.latitude,
+    );
+
+  const results = [];
+  const add = (fields, arc) => {
+    const age = arc === null ? null : ageOf(arc);
+    if (age === null || age < fromAge || age > toAge) return;
+
+    results.push({
+      ...fields,
+      arc: parseFloat(arc.toFixed(3)),
+      age: parseFloat(age.toFixed(2)),
+      date: new Date(
+        birthDate.getTime() + age * YEAR_DAYS * DAY_MS,
+      ).toISOString(),
+    });
+  };
+
+  for (const promissor of promissors.filter((name) => points[name])) {
+    for (const significator of significators.filter((name) => points[name])) {
+      if (promissor === significator) continue;
+      const significatorPoint = points[significator];
+
+      for (const aspect of aspects) {
+        // conjuncția și opoziția au un singur punct de aspect
+        const sides =
+          aspect.angle % 180 === 0 ? [null] : ["sinister", "dexter"];
+
+        for (const side of sides) {
+          const angle = side === "dexter" ? -aspect.angle : aspect.angle;
+          const fields = {
+            promissor,
+            significator,
+            aspect: aspect.name,
+            side,
+          };
+
+          if (modes.includes("zodiacal")) {
+            const aspectPoint = eclipticPoint(
+              points[promissor].longitude + ayanamsa + angle,
+              obliquity,
+            );
+            if (directions.includes("direct")) {
+              add(
+                { ...fields, mode: "zodiacal", direction: "direct" },
+                arcToPosition(
+                  position,
+                  aspectPoint,
+                  frame,
+                  positionOf(significatorPoint),
+                ),
+              );
+            }
+            if (
+              directions.includes("converse") &&
+              !ANGLES.includes(significator)
+            ) {
+              add(
+                { ...fields, mode: "zodiacal", direction: "converse" },
+                arcToPosition(
+                  position,
+                  significatorPoint,
+                  frame,
+                  positionOf(aspectPoint),
+                ),
+              );
+            }
+          }
+
+          if (modes.includes("mundo")) {
+            // un aspect înainte în zodiac stă cu atât mai jos în rotația diurnă
+            if (directions.includes("direct")) {
+              add(
+                { ...fields, mode: "mundo", direction: "direct" },
+                arcToPosition(
+                  position,
+                  points[promissor],
+                  frame,
+                  normalize(positionOf(significatorPoint) + angle),
+                ),
+              );
+            }
+            if (
+              directions.includes("converse") &&
+              !ANGLES.includes(significator)
+            ) {
+              add(
+                { ...fields, mode: "mundo", direction: "converse" },
+                arcToPosition(
+                  position,
+                  significatorPoint,
+                  frame,
+                  normalize(positionOf(points[promissor]) - angle),
+                ),
+              );
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return results.sort((a, b) => a.age - b.age);
+}
+
+module.exports = {
+  TIME_KEYS,
+  DIRECTION_METHODS,
+  MUNDANE_POSITIONS,
+  calculatePrimaryDirections,
+};
@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const swisseph = require("swisseph");
+const {
+  MUNDANE_POSITIONS,
+  calculatePrimaryDirections,
+} = require("./primaryDirections");
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+const degrees = (radians) => (radians * 180) / Math.PI;
+
+const birthDate = new Date("1985-06-15T11:30:00Z");
+const latitude = 44.43;
+const obliquity = swisseph.swe_calc_ut(
+  2446231.979,
+  swisseph.SE_ECL_NUT,
+  0,
+).longitude;
+
+// un punct pe ecliptică (fără latitudine) în coordonate ecuatoriale
+const onEcliptic = (longitude) => {
+  const [l, e] = [longitude, obliquity].map(radians);
+  return {
+    longitude,
+    rightAscension:
+      (degrees(Math.atan2(Math.sin(l) * Math.cos(e), Math.cos(l))) + 360) % 360,
+    declination: degrees(Math.asin(Math.sin(e) * Math.sin(l))),
+  };
+};
+
+describe("MUNDANE_POSITIONS.placidus", () => {
+  it("should place the meridian at 90 and the rising point at 0", () => {
+    const declination = 20;
+    // semiarcul diurn: 90° + arcsin(tan δ · tan φ)
+    const diurnal =
+      90 +
+      degrees(
+        Math.asin(Math.tan(radians(declination)) * Math.tan(radians(latitude))),
+      );
+
+    assert.equal(MUNDANE_POSITIONS.placidus(0, declination, latitude), 90);
+    assert.ok(
+      Math.abs(MUNDANE_POSITIONS.placidus(-diurnal, declination, latitude)) <
+        1e-9,
+    );
+  });
+});
+
+describe("calculatePrimaryDirections", () => {
+  // RAMC 30°, Soarele la 60° (RA ≈ 57.8°)
+  const sun = onEcliptic(60);
+  const natalChart = {
+    planets: { Sun: sun },
+    angles: {
+      MC: { ...onEcliptic(32.4), rightAscension: 30 },
+      AS: onEcliptic(150),
+    },
+    zodiac: { ayanamsa_value: null },
+  };
+  const directionToMC = (options) =>
+    calculatePrimaryDirections(
+      natalChart,
+      { date: birthDate, latitude },
+      {
+        aspects: [{ name: "conjunction", angle: 0 }],
+        promissors: ["Sun"],
+        significators: ["MC"],
+        directions: ["direct"],
+        ...options,
+      },
+    );
+
+  it("should direct the Sun to the MC by the difference in right ascension", () => {
+    const arc = sun.rightAscension - 30;
+    const results = directionToMC({ method: "placidus", key: "naibod" });
+
+    assert.equal(results.length, 2);
+    for (const result of results) {
+      assert.ok(Math.abs(result.arc - arc) < 0.001);
+      // Naibod: 0.98563° pe an
+      assert.ok(Math.abs(result.age - arc / 0.98563) < 0.01);
+    }
+  });
+
+  it("should give the same arc to the MC in Regiomontanus", () => {
+    const [placidus] = directionToMC({ method: "placidus", modes: ["mundo"] });
+    const [regiomontanus] = directionToMC({
+      method: "regiomontanus",
+      modes: ["mundo"],
+    });
+
+    assert.equal(regiomontanus.arc, placidus.arc);
+  });
+
+  it("should convert the arc with the Ptolemy key at one degree a year", () => {
+    const [result] = directionToMC({ key: "ptolemy", modes: ["zodiacal"] });
+
+    assert.equal(result.age, parseFloat(result.arc.toFixed(2)));
+  });
+});
@@ -1,40 +1,68 @@
 const swisseph = require('swisseph');
 const DateTimeUtils = require("./DateTimeUtils");
+const { resolveBodies, ephemerisBodies } = require("./bodies");
+const { resolveZodiac, applyZodiac } = require("./zodiac");
+const { resolveOrbs, progressedOrb } = require("./orbs");
+const { sampleTrack, findCrossings, searchStep } = require("./ephemerisSearch");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+const LUNAR_MONTH_DAYS = 27.321582; // luna tropică
+
+// Fazele principale ale lunației progresate (elongația Lunii față de Soare)
+const LUNATIONS = [
+    { angle: 0, name: 'New Moon' },
+    { angle: 90, name: 'First Quarter' },
+    { angle: 180, name: 'Full Moon' },
+    { angle: 270, name: 'Last Quarter' }
+];
+
+// Cele opt faze ale ciclului de lunație progresat, câte 45° de la Luna Nouă
+const LUNATION_PHASES = [
+    'New Moon', 'Crescent', 'First Quarter', 'Gibbous',
+    'Full Moon', 'Disseminating', 'Last Quarter', 'Balsamic'
+];
+
+/**
+ * Progression methods: days of ephemeris time per day of life.
+ * Converse methods move the same distance backwards from birth.
+ */
+const PROGRESSION_METHODS = {
+    secondary: { rate: 1 / YEAR_DAYS, label: 'Secondary Progression (Day for Year)' },
+    tertiary: { rate: 1 / LUNAR_MONTH_DAYS, label: 'Tertiary Progression (Day for Lunar Month)' },
+    minor: { rate: LUNAR_MONTH_DAYS / YEAR_DAYS, label: 'Minor Progression (Lunar Month for Year)' },
+    converse_secondary: { rate: -1 / YEAR_DAYS, label: 'Converse Secondary Progression (Day for Year)' },
+    converse_tertiary: { rate: -1 / LUNAR_MONTH_DAYS, label: 'Converse Tertiary Progression (Day for Lunar Month)' },
+    converse_minor: { rate: -LUNAR_MONTH_DAYS / YEAR_DAYS, label: 'Converse Minor Progression (Lunar Month for Year)' }
+};
 
 /**
  * Professional Progressive Chart Calculator using Swiss Ephemeris
- * Calculates progressed planetary positions using the "day-for-a-year" method
+ * Calculates secondary, tertiary, minor and converse progressions
+ * and solar arc directions
  */
 
 class ProgressiveCalculator {
-    constructor(houseSystem = "P") {
+    /**
+     * @param {string} houseSystem - House system letter
+     * @param {Object} orbs - Resolved orb profile (see orbs.resolveOrbs)
+     * @param {Object} bodies - Resolved body list (see bodies.resolveBodies)
+     * @param {Object} zodiac - Resolved zodiac (see zodiac.resolveZodiac)
+     */
+    constructor(houseSystem = "P", orbs = resolveOrbs(), bodies = resolveBodies(), zodiac = resolveZodiac()) {
         // Initialize Swiss Ephemeris
         swisseph.swe_set_ephe_path('./ephemeris');
 
+        // Tropical or sidereal longitudes
+        this.zodiac = zodiac;
+        this.ephemerisFlags = swisseph.SEFLG_SWIEPH | zodiac.flags;
+        applyZodiac(zodiac);
+
         // House system (Placidus by default)
         this.houseSystem = houseSystem;
 
-        // Planet constants
-        this.planets = {
-            Sun: swisseph.SE_SUN,
-            Moon: swisseph.SE_MOON,
-            Mercury: swisseph.SE_MERCURY,
-            Venus: swisseph.SE_VENUS,
-            Mars: swisseph.SE_MARS,
-            Jupiter: swisseph.SE_JUPITER,
-            Saturn: swisseph.SE_SATURN,
-            Uranus: swisseph.SE_URANUS,
-            Neptune: swisseph.SE_NEPTUNE,
-            Pluto: swisseph.SE_PLUTO,
-            NNode: swisseph.SE_TRUE_NODE,
-            Chiron: swisseph.SE_CHIRON,
-            Lilith: swisseph.SE_MEAN_APOG,           // Mean Black Moon Lilith
-            // VERTEX: swisseph.SE_VERTEX,
-            // CERES: swisseph.SE_CERES,
-            // PALLAS: swisseph.SE_PALLAS,
-            // JUNO: swisseph.SE_JUNO,
-            // VESTA: swisseph.SE_VESTA,
-        };
+        // Bodies by name, without the Vertex (it has no ephemeris of its own)
+        this.planets = ephemerisBodies(bodies);
 
         // Progression methods for different planets
         this.progressionMethods = {
@@ -65,13 +93,16 @@ class ProgressiveCalculator {
             // VESTA: 'static'
         };
 
+        // Progressed aspect orbs (profile "modern" by default)
+        this.orbs = orbs;
+
         // Aspect definitions for progressed chart
         this.aspects = {
-            CONJUNCTION: { angle: 0, orb: 1, name: 'Conjunction' },
-            OPPOSITION: { angle: 180, orb: 1, name: 'Opposition' },
-            TRINE: { angle: 120, orb: 1, name: 'Trine' },
-            SQUARE: { angle: 90, orb: 1, name: 'Square' },
-            SEXTILE: { angle: 60, orb: 1, name: 'Sextile' },
+            CONJUNCTION: { angle: 0, name: 'Conjunction' },
+            OPPOSITION: { angle: 180, name: 'Opposition' },
+            TRINE: { angle: 120, name: 'Trine' },
+            SQUARE: { angle: 90, name: 'Square' },
+            SEXTILE: { angle: 60, name: 'Sextile' },
             // Progressed aspects use tighter orbs
             // QUINCUNX: { angle: 150, orb: 0.5, name: 'Quincunx' },
             // SEMISEXTILE: { angle: 30, orb: 0.5, name: 'Semi-sextile' }
@@ -84,10 +115,10 @@ class ProgressiveCalculator {
      * @returns {number} Julian Day Number
      */
     dateToJulianDay(date) {
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const hour = date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        const hour = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
 
         return swisseph.swe_julday(year, month, day, hour, swisseph.SE_GREG_CAL);
     }
@@ -96,14 +127,15 @@ class ProgressiveCalculator {
      * Calculate the progressed date based on birth date and target age
      * @param {Date} birthDate - Birth date
      * @param {number} ageInYears - Current age in years (can be fractional)
+     * @param {string} method - Progression method, a key of PROGRESSION_METHODS
      * @returns {Date} Progressed date for planetary calculations
      */
-    calculateProgressedDate(birthDate, ageInYears) {
-        // Secondary progression: 1 day = 1 year
-        const progressedDate = new Date(birthDate);
-        progressedDate.setDate(progressedDate.getDate() + ageInYears);
+    calculateProgressedDate(birthDate, ageInYears, method = 'secondary') {
+        // ex. secundară: 1 zi = 1 an; conversă: aceeași distanță înainte de naștere
+        const { rate } = PROGRESSION_METHODS[method];
+        const lifeDays = ageInYears * YEAR_DAYS;
 
-        return progressedDate;
+        return new Date(birthDate.getTime() + lifeDays * rate * DAY_MS);
     }
 
     /**
@@ -123,11 +155,12 @@ class ProgressiveCalculator {
      * @param {number} julianDay - Julian Day for progressed positions
      * @param {Object} natalPositions - Natal planetary positions
      * @param {Object} houses - House data (optional)
+     * @param {string} method - Progression method, reported on each planet
      * @returns {Object} Progressed planetary positions
      */
-    calculateProgressedPositions(julianDay, natalPositions, houses = null) {
+    calculateProgressedPositions(julianDay, natalPositions, houses = null, method = 'secondary') {
         const progressedPositions = {};
-        const flags = swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED;
+        const flags = this.ephemerisFlags | swisseph.SEFLG_SPEED;
 
         for (const [planetName, planetId] of Object.entries(this.planets)) {
             const progressionMethod = this.progressionMethods[planetName] || 'secondary';
@@ -153,7 +186,7 @@ class ProgressiveCalculator {
                             // distanceSpeed: result.distanceSpeed,
                             sign: this.getZodiacSign(result.longitude),
                             degree: this.formatDegree(result.longitude),
-                            progressionMethod: 'secondary'
+                            progressionMethod: method
                         };
 
                         // Add natal comparison
@@ -240,18 +273,12 @@ class ProgressiveCalculator {
      */
     calculateProgressedHouses(birthDate, progressedDate, targetDate, latitude, longitude, method = 'secondary') {
         let houseJulianDay;
+        let solarArc = 0;
 
         switch (method) {
             case 'solar_arc':
-                // Calculate solar arc progression
-                const natalSunJD = this.dateToJulianDay(birthDate);
-                const progressedSunJD = this.dateToJulianDay(progressedDate);
-
-                const natalSun = swisseph.swe_calc_ut(natalSunJD, swisseph.SE_SUN, swisseph.SEFLG_SWIEPH);
-                const progressedSun = swisseph.swe_calc_ut(progressedSunJD, swisseph.SE_SUN, swisseph.SEFLG_SWIEPH);
-
-                const solarArc = progressedSun.longitude - natalSun.longitude;
-                // For houses, we typically use the birth time with solar arc adjustment
+                // Natal houses directed by the solar arc
+                solarArc = this.calculateSolarArc(birthDate, targetDate);
                 houseJulianDay = this.dateToJulianDay(birthDate);
                 break;
 
@@ -268,7 +295,10 @@ class ProgressiveCalculator {
         }
 
         try {
-            const result = swisseph.swe_houses(houseJulianDay, latitude, longitude, this.houseSystem);
+            const result = swisseph.swe_houses_ex(houseJulianDay, this.zodiac.flags, latitude, longitude, this.houseSystem);
+            result.house = result.house.map(cusp => (cusp + solarArc) % 360);
+            result.ascendant = (result.ascendant + solarArc) % 360;
+            result.mc = (result.mc + solarArc) % 360;
 
             return {
                 method: method,
@@ -434,17 +464,191 @@ class ProgressiveCalculator {
     }
 
     /**
-     * Find aspect for given angle
+     * Find the closest aspect for given angle
      * @param {number} angle - Angle between planets
-     * @returns {Object|null} Aspect object or null
+     * @returns {Object|null} Aspect object (with the orb allowed) or null
      */
     findAspect(angle) {
-        for (const [aspectName, aspectData] of Object.entries(this.aspects)) {
-            if (Math.abs(angle - aspectData.angle) <= aspectData.orb) {
-                return aspectData;
+        let closest = null;
+        for (const [, aspectData] of Object.entries(this.aspects)) {
+            const orb = progressedOrb(this.orbs, aspectData.name);
+            const angleDiff = Math.abs(angle - aspectData.angle);
+            if (angleDiff <= orb && (!closest || angleDiff < Math.abs(angle - closest.angle))) {
+                closest = { ...aspectData, orb };
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Solar arc for a date: the distance the secondary progressed Sun has moved from the natal Sun
+     * @param {Date} birthDate - Birth date
+     * @param {Date} targetDate - Date of the direction
+     * @returns {number} Arc in degrees
+     */
+    calculateSolarArc(birthDate, targetDate) {
+        const birthJD = this.dateToJulianDay(birthDate);
+        const age = this.calculateAge(birthDate, targetDate);
+
+        const natalSun = swisseph.swe_calc_ut(birthJD, swisseph.SE_SUN, this.ephemerisFlags);
+        const progressedSun = swisseph.swe_calc_ut(birthJD + age, swisseph.SE_SUN, this.ephemerisFlags);
+
+        return (progressedSun.longitude - natalSun.longitude + 360) % 360;
+    }
+
+    /**
+     * Calculate directed-to-natal aspects
+     * @param {Object} directedPositions - Directed positions
+     * @param {Object} natalPositions - Natal planetary positions
+     * @returns {Array} Array of directed aspects
+     */
+    calculateDirectedAspects(directedPositions, natalPositions) {
+        const aspects = [];
+
+        for (const [directedPlanet, directedPos] of Object.entries(directedPositions)) {
+            for (const [natalPlanet, natalPos] of Object.entries(natalPositions)) {
+                // un punct dirijat față de el însuși dă doar arcul
+                if (directedPlanet === natalPlanet) {
+                    continue;
+                }
+
+                const angle = this.calculateAngleBetweenPlanets(directedPos.longitude, natalPos.longitude);
+                const aspect = this.findAspect(angle);
+                if (aspect) {
+                    aspects.push({
+                        directedPlanet,
+                        natalPlanet,
+                        aspect: aspect.name,
+                        angle: aspect.angle,
+                        orb: Math.abs(angle - aspect.angle),
+                        exactness: ((aspect.orb - Math.abs(angle - aspect.angle)) / aspect.orb) * 100,
+                        type: 'directed-to-natal'
+                    });
+                }
             }
         }
-        return null;
+
+        return aspects.sort((a, b) => a.orb - b.orb);
+    }
+
+    /**
+     * Find the dates when solar arc directed points perfect aspects to natal points
+     *
+     * A point perfects an aspect when the solar arc reaches (aspect point - natal point).
+     * The arc follows the progressed Sun, so the progressed Sun is searched (one day
+     * per year of life) for the longitude natal Sun + needed arc.
+     *
+     * @param {Date} birthDate - Birth date
+     * @param {Object} natalPositions - Natal planetary positions (planets and angles)
+     * @param {Date} startDate - Start of the span
+     * @param {Date} endDate - End of the span
+     * @returns {Array} Perfections sorted by date: { directedPlanet, natalPlanet, aspect, angle, date, age, arc }
+     */
+    findSolarArcPerfections(birthDate, natalPositions, startDate, endDate) {
+        const birthJD = this.dateToJulianDay(birthDate);
+        const natalSun = swisseph.swe_calc_ut(birthJD, swisseph.SE_SUN, this.ephemerisFlags).longitude;
+        const startAge = this.calculateAge(birthDate, startDate);
+        const endAge = this.calculateAge(birthDate, endDate);
+        const track = sampleTrack(swisseph.SE_SUN, birthJD + startAge, birthJD + endAge, 1, this.ephemerisFlags);
+
+        const perfections = [];
+        for (const [directedPlanet, directedPos] of Object.entries(natalPositions)) {
+            for (const [natalPlanet, natalPos] of Object.entries(natalPositions)) {
+                if (directedPlanet === natalPlanet) continue;
+
+                for (const aspect of Object.values(this.aspects)) {
+                    const targets = [(natalPos.longitude + aspect.angle) % 360];
+                    if (aspect.angle % 180 !== 0) {
+                        targets.push((natalPos.longitude - aspect.angle + 360) % 360);
+                    }
+
+                    for (const target of targets) {
+                        const arc = (target - directedPos.longitude + 360) % 360;
+
+                        for (const crossing of findCrossings(track, (natalSun + arc) % 360)) {
+                            const age = crossing.jd - birthJD;
+                            perfections.push({
+                                directedPlanet,
+                                natalPlanet,
+                                aspect: aspect.name,
+                                angle: aspect.angle,
+                                date: new Date(birthDate.getTime() + age * 365.25 * DAY_MS).toISOString(),
+                                age: parseFloat(age.toFixed(2)),
+                                arc: parseFloat(arc.toFixed(4))
+                            });
+                        }
+                    }
+                }
+            }
+        }
+
+        return perfections.sort((a, b) => a.age - b.age);
+    }
+
+    /**
+     * Generate a solar arc directed chart: every natal planet and angle moved by the solar arc
+     * @param {Object} birthData - { date, latitude, longitude }
+     * @param {Object} natalChart - Natal chart (AstrologicalCalculator.generateChart)
+     * @param {Date} targetDate - Date of the direction
+     * @param {number} spanYears - Years after targetDate searched for perfections
+     * @returns {Object} { chart, perfections, meta }
+     */
+    generateSolarArcChart(birthData, natalChart, targetDate = new Date(), spanYears = 10) {
+        const { date: birthDate } = birthData;
+        const arc = this.calculateSolarArc(birthDate, targetDate);
+        const direct = longitude => (longitude + arc) % 360;
+        const point = longitude => ({
+            longitude: direct(longitude),
+            sign: this.getZodiacSign(direct(longitude)),
+            degree: this.formatDegree(direct(longitude))
+        });
+
+        const planets = {};
+        for (const [planetName, natalPos] of Object.entries(natalChart.planets)) {
+            planets[planetName] = {
+                ...point(natalPos.longitude),
+                natalLongitude: natalPos.longitude,
+                natal_house: this.determinePlanetHouse(direct(natalPos.longitude), natalChart.houses).number,
+                progressionMethod: 'solar_arc'
+            };
+        }
+
+        const angles = {};
+        for (const [angleName, natalAngle] of Object.entries(natalChart.angles)) {
+            angles[angleName] = point(natalAngle.longitude);
+        }
+
+        const houses = natalChart.houses.map(house => ({
+            house: house.house,
+            cusp: direct(house.cusp),
+            sign: this.getZodiacSign(direct(house.cusp)),
+            degree: this.formatDegree(direct(house.cusp))
+        }));
+
+        const endDate = new Date(targetDate.getTime() + spanYears * 365.25 * DAY_MS);
+
+        return {
+            chart: {
+                method: 'solar_arc',
+                planets,
+                houses,
+                angles,
+                aspects: this.calculateDirectedAspects(planets, natalChart.planets)
+            },
+            perfections: this.findSolarArcPerfections(birthDate, natalChart.planets, targetDate, endDate),
+            meta: {
+                birthDate: birthDate.toISOString(),
+                targetDate: targetDate.toISOString(),
+                age: this.calculateAge(birthDate, targetDate),
+                solarArc: arc,
+                perfectionsUntil: endDate.toISOString(),
+                calculatedAt: new Date().toISOString(),
+                ephemerisVersion: 'Swiss Ephemeris',
+                progressionMethod: 'Solar Arc Direction',
+                houseSystem: this.houseSystem,
+                orbs: this.orbs
+            }
+        };
     }
 
     /**
@@ -478,12 +682,13 @@ class ProgressiveCalculator {
      * * @param {Object} natalPlanets
      * @param {Date} targetDate - Date for which to calculate progression
      * @param {string} houseMethod - House progression method
+     * @param {string} method - Progression method, a key of PROGRESSION_METHODS
      * @returns {Object} Complete progressed chart
      */
-    generateProgressedChart(birthData, natalPlanets, targetDate = new Date(), houseMethod = 'secondary') {
+    generateProgressedChart(birthData, natalPlanets, targetDate = new Date(), houseMethod = 'secondary', method = 'secondary') {
         const { date: birthDate, latitude, longitude } = birthData;
         const age = this.calculateAge(birthDate, targetDate);
-        const progressedDate = this.calculateProgressedDate(birthDate, age);
+        const progressedDate = this.calculateProgressedDate(birthDate, age, method);
         const progressedJulianDay = this.dateToJulianDay(progressedDate);
 
         // Calculate progressed houses
@@ -500,7 +705,8 @@ class ProgressiveCalculator {
         const progressedPositions = this.calculateProgressedPositions(
             progressedJulianDay,
             natalPlanets,
-            progressedHouses
+            progressedHouses,
+            method
         );
 
         // Calculate progressed South Node
@@ -530,12 +736,140 @@ class ProgressiveCalculator {
                 houseMethod: houseMethod,
                 calculatedAt: new Date().toISOString(),
                 ephemerisVersion: 'Swiss Ephemeris',
-                progressionMethod: 'Secondary Progression (Day for Year)',
-                houseSystem: this.houseSystem
+                method: method,
+                progressionMethod: PROGRESSION_METHODS[method].label,
+                houseSystem: this.houseSystem,
+                orbs: this.orbs
             },
         };
     }
 
+    /**
+     * Generate a progressed timeline: progressed lunations, progressed Moon sign and
+     * house ingresses, progressed planets changing sign or direction, each with its
+     * calendar date
+     *
+     * The progressed sky moves in ephemeris time (one day per year for secondary
+     * progressions); events are found there and mapped back to dates of life.
+     *
+     * @param {Object} birthData - { date, latitude, longitude }
+     * @param {Object} natalChart - Natal chart (houses for the Moon's house ingresses)
+     * @param {Date} endDate - End of the timeline
+     * @param {string} method - Progression method, a key of PROGRESSION_METHODS
+     * @returns {Array} Events sorted by date: { date, age, type, planet, ... }
+     */
+    generateProgressedTimeline(birthData, natalChart, endDate, method = 'secondary') {
+        const { date: birthDate } = birthData;
+        const { rate } = PROGRESSION_METHODS[method];
+        const birthJD = this.dateToJulianDay(birthDate);
+        const endJD = this.dateToJulianDay(this.calculateProgressedDate(birthDate, this.calculateAge(birthDate, endDate), method));
+        const [fromJD, toJD] = [birthJD, endJD].sort((a, b) => a - b);
+
+        // progresiile converse merg înapoi în efemeride: direcțiile se inversează
+        const forward = direction => (direction === 'direct') === (rate > 0);
+        const event = (jd, fields) => {
+            const lifeDays = (jd - birthJD) / rate;
+            return {
+                date: new Date(birthDate.getTime() + lifeDays * DAY_MS).toISOString(),
+                age: parseFloat((lifeDays / YEAR_DAYS).toFixed(2)),
+                ...fields
+            };
+        };
+
+        const events = [];
+        const tracks = {};
+        for (const [planetName, planetId] of Object.entries(this.planets)) {
+            tracks[planetName] = sampleTrack(planetId, fromJD, toJD, Math.min(searchStep(planetName).step, 1), this.ephemerisFlags);
+        }
+
+        // Lunațiile progresate
+        const elongation = jd => ({
+            jd,
+            longitude: (tracks.Moon.position(jd).longitude - tracks.Sun.position(jd).longitude + 360) % 360
+        });
+        const elongationTrack = {
+            samples: tracks.Moon.samples.map(sample => elongation(sample.jd)),
+            position: elongation
+        };
+        for (const lunation of LUNATIONS) {
+            for (const crossing of findCrossings(elongationTrack, lunation.angle)) {
+                const moonLongitude = tracks.Moon.position(crossing.jd).longitude;
+                events.push(event(crossing.jd, {
+                    type: 'lunation',
+                    planet: 'Moon',
+                    phase: lunation.name,
+                    sign: this.getZodiacSign(moonLongitude),
+                    degree: this.formatDegree(moonLongitude),
+                    house: this.determinePlanetHouse(moonLongitude, natalChart.houses).number
+                }));
+            }
+        }
+
+        // Ingresiile în semne și stațiile planetelor progresate
+        for (const [planetName, track] of Object.entries(tracks)) {
+            for (let cusp = 0; cusp < 360; cusp += 30) {
+                for (const crossing of findCrossings(track, cusp)) {
+                    const retrograde = !forward(crossing.direction);
+                    events.push(event(crossing.jd, {
+                        type: 'sign_ingress',
+                        planet: planetName,
+                        sign: this.getZodiacSign(retrograde ? (cusp + 330) % 360 : cusp),
+                        retrograde
+                    }));
+                }
+            }
+
+            // Nodul adevărat oscilează continuu; stațiile lui nu sunt evenimente
+            if (planetName === 'NNode') continue;
+
+            for (const station of track.stations) {
+                const turnsRetrograde = (station.type === 'retrograde') === (rate > 0);
+                events.push(event(station.jd, {
+                    type: 'station',
+                    planet: planetName,
+                    direction: turnsRetrograde ? 'retrograde' : 'direct',
+                    sign: this.getZodiacSign(station.longitude),
+                    degree: this.formatDegree(station.longitude)
+                }));
+            }
+        }
+
+        // Luna progresată prin casele natale
+        natalChart.houses.forEach((house, index) => {
+            for (const crossing of findCrossings(tracks.Moon, house.cusp)) {
+                const houseNumber = forward(crossing.direction) ? index + 1 : ((index + 11) % 12) + 1;
+                events.push(event(crossing.jd, {
+                    type: 'house_ingress',
+                    planet: 'Moon',
+                    house: houseNumber
+                }));
+            }
+        });
+
+        // după dată, nu după vârsta rotunjită
+        return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Phase of the progressed lunation cycle (about 30 years) at a date
+     * @param {Date} birthDate - Birth date
+     * @param {Date} targetDate - Date
+     * @param {string} method - Progression method
+     * @returns {Object} { phase, elongation }
+     */
+    calculateLunationPhase(birthDate, targetDate, method = 'secondary') {
+        const progressedDate = this.calculateProgressedDate(birthDate, this.calculateAge(birthDate, targetDate), method);
+        const julianDay = this.dateToJulianDay(progressedDate);
+        const sun = swisseph.swe_calc_ut(julianDay, swisseph.SE_SUN, this.ephemerisFlags);
+        const moon = swisseph.swe_calc_ut(julianDay, swisseph.SE_MOON, this.ephemerisFlags);
+        const elongation = (moon.longitude - sun.longitude + 360) % 360;
+
+        return {
+            phase: LUNATION_PHASES[Math.floor(elongation / 45)],
+            elongation: elongation
+        };
+    }
+
     /**
      * Get major progressed aspects (most significant)
      * @param {Array} aspects - Progressed aspects
@@ -606,4 +940,6 @@ class ProgressiveCalculator {
     }
 }
 
+ProgressiveCalculator.PROGRESSION_METHODS = PROGRESSION_METHODS;
+
 module.exports = ProgressiveCalculator;
\ No newline at end of file
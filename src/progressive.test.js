@@ -0,0 +1,27 @@
+// fusul orar al serverului nu are voie să schimbe momentele calculate
+process.env.TZ = "Asia/Tokyo";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const ProgressiveCalculator = require("./progressive");
+
+describe("ProgressiveCalculator.dateToJulianDay", () => {
+  const calculator = new ProgressiveCalculator();
+
+  it("should read the date in UTC, not in the server's zone", () => {
+    assert.notEqual(new Date("2000-01-01T12:00:00Z").getHours(), 12);
+
+    // J2000.0: 2000-01-01 12:00 UT
+    assert.equal(
+      calculator.dateToJulianDay(new Date("2000-01-01T12:00:00Z")),
+      2451545,
+    );
+  });
+
+  it("should keep the UTC day when the local day is another one", () => {
+    // 1990-05-12 20:00 UT is already May 13 in Tokyo
+    const jd = calculator.dateToJulianDay(new Date("1990-05-12T20:00:00Z"));
+
+    assert.ok(Math.abs(jd - 2448024.3333333) < 1e-6);
+  });
+});
@@ -2,14 +2,35 @@ const express = require("express");
 const TransitCalculator = require("./transit");
 const AstrologicalCalculator = require("./natalWithTranzits");
 const ProgressiveCalculator = require("./progressive"); // Import the progressive calculator
-const { generateChartSVG } = require("./chartGenerator");
-const { toAstrochart } = require("./astroUtils");
+const { generateChartSVG, generateDialSVG } = require("./chartGenerator");
+const {
+  toAstrochart,
+  toAstrochartCrossAspects,
+  toAstrochartPoints,
+} = require("./astroUtils");
+const { searchPlaces } = require("./gazetteer");
+const { findEclipses, natalSensitivity } = require("./eclipse");
+const { describeZodiac } = require("./zodiac");
+const { julianDayFromDate } = require("./ephemerisSearch");
+const { resolveOrbs } = require("./orbs");
+const { ephemerisBodies } = require("./bodies");
+const {
+  calculateDeclinations,
+  declinationGraphSVG,
+} = require("./declinations");
+const { harmonicSpectrum } = require("./harmonics");
+const {
+  calculateMidpoints,
+  findMidpointContacts,
+  midpointTrees,
+} = require("./midpoints");
+const { getAspects } = require("./aspects");
+const { calculatePrimaryDirections } = require("./primaryDirections");
+const { calculateTimeLords } = require("./timeLords");
+const { schemas, validate, sendError } = require("./validation");
 
 const cors = require("cors");
 
-// const { DateTime } = require("luxon");
-// const DateTimeUtils = require("./DateTimeUtils");
-
 const app = express();
 app.use(express.json());
 app.use(
@@ -33,51 +54,77 @@ app.use(
   }),
 );
 
+// Rutele API; /health și răspunsul 404 le listează de aici
+const ENDPOINTS = [
+  { method: "GET", path: "/" },
+  { method: "POST", path: "/natal" },
+  { method: "POST", path: "/upcoming_transit_natal" },
+  { method: "POST", path: "/synastry" },
+  { method: "POST", path: "/progressed" },
+  { method: "POST", path: "/progressed_timeline" },
+  { method: "POST", path: "/solar_return" },
+  { method: "POST", path: "/planetary_return" },
+  { method: "POST", path: "/primary_directions" },
+  { method: "POST", path: "/time_lords" },
+  { method: "POST", path: "/harmonics" },
+  { method: "POST", path: "/midpoints" },
+  { method: "POST", path: "/eclipses" },
+  { method: "POST", path: "/declinations" },
+  { method: "GET", path: "/places" },
+  { method: "GET", path: "/health" },
+];
+
 app.get("/", (req, res) => {
   res.json(`Astro API listening on port ${PORT}`);
 });
 
-app.post("/natal", (req, res) => {
-  const { settings, birth } = req.body;
-
-  const { date, latitude, longitude } = birth;
+app.post("/natal", validate(schemas.natal), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
   const {
-    house_system = "W",
-    target_date = null,
-    transits = false,
-    aspects_compatibility = true,
+    house_system,
+    target_date: targetDate,
+    transits,
+    aspects_compatibility,
+    orbs,
+    bodies,
+    zodiac,
+    aspect_set,
+    custom_lots: customLots,
+    fixed_stars,
+    star_orb,
+    paran_orb,
+    show_antiscia,
+    harmonic,
   } = settings;
-
-  if (!date || latitude === undefined || longitude === undefined) {
-    return res.status(400).json({
-      error: "Missing required parameters: date, latitude, longitude",
-    });
-  }
+  const { latitude, longitude } = birthData;
 
   let response = {};
 
   let natal = null;
   let transitChart = null;
   let crossAspects = null;
+  let crossAntiscia = null;
+  let harmonicChart = null;
 
   try {
     const astrologicalCalculator = new AstrologicalCalculator(
       house_system,
       aspects_compatibility,
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
     );
-    const birthData = {
-      date: new Date(date), // must be utc date "Z" format. you should reduce with 2h to reflect astro.com ???
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-    };
-
-    natal = astrologicalCalculator.generateChart(birthData);
+    natal = astrologicalCalculator.generateChart(birthData, {
+      customLots,
+      fixedStars: fixed_stars ? { orb: star_orb, paranOrb: paran_orb } : null,
+    });
 
     if (transits) {
       const transitData = {
-        date: target_date ? new Date(target_date) : new Date(),
-        latitude: parseFloat(latitude ?? latitude),
-        longitude: parseFloat(longitude ?? longitude),
+        date: targetDate,
+        latitude,
+        longitude,
       };
 
       transitChart = astrologicalCalculator.generateTransitsChart(
@@ -93,6 +140,22 @@ app.post("/natal", (req, res) => {
         true,
         transitData.date,
       );
+      crossAntiscia = astrologicalCalculator.calculateAntisciaOfTwoCharts(
+        transitChart.planets,
+        natal.planets,
+        "transit",
+        "natal",
+        true,
+        transitData.date,
+        natal.zodiac.ayanamsa_value || 0,
+      );
+    }
+
+    if (harmonic > 1) {
+      harmonicChart = astrologicalCalculator.generateHarmonicChart(
+        natal,
+        harmonic,
+      );
     }
 
     // Generate SVG and add it to the response
@@ -102,10 +165,29 @@ app.post("/natal", (req, res) => {
 
     try {
       dataRadix = toAstrochart(
-        { ...natal.planets, ...natal.angles },
+        { ...natal.planets, ...natal.angles, ...natal.lots },
         natal.houses,
         natal.aspects,
       );
+      // pe roată apar doar stelele în conjuncție (paranele nu țin de zodiac)
+      if (natal.fixedStars && natal.fixedStars.conjunctions.length > 0) {
+        const { stars, conjunctions } = natal.fixedStars;
+        dataRadix.pointsOfInterest = toAstrochartPoints(
+          Object.fromEntries(
+            conjunctions.map(({ star }) => [star, stars[star]]),
+          ),
+        );
+      }
+      if (show_antiscia) {
+        dataRadix.hollowMarkers = toAstrochartPoints(
+          Object.fromEntries(
+            Object.entries(natal.antiscia.points).flatMap(([name, mirrors]) => [
+              [`${name}-antiscion`, mirrors.antiscion],
+              [`${name}-contra-antiscion`, mirrors.contraAntiscion],
+            ]),
+          ),
+        );
+      }
 
       if (transits) {
         dataTransits = toAstrochart(
@@ -116,7 +198,21 @@ app.post("/natal", (req, res) => {
         dataTransits = {
           planets: dataTransits.planets,
           cusps: dataRadix.cusps,
+          labels: dataTransits.labels,
+        };
+      }
+
+      // roata armonică o înlocuiește pe cea natală
+      if (harmonicChart) {
+        dataRadix = {
+          ...toAstrochart(
+            { ...harmonicChart.planets, ...harmonicChart.angles },
+            harmonicChart.houses,
+            harmonicChart.aspects,
+          ),
+          title: `H${harmonic}`,
         };
+        dataTransits = null;
       }
 
       svg = generateChartSVG(dataRadix, dataTransits);
@@ -128,46 +224,59 @@ app.post("/natal", (req, res) => {
       natal_chart: natal,
       transit_chart: transitChart,
       cross_aspects: crossAspects,
+      cross_antiscia: crossAntiscia,
+      harmonic_chart: harmonicChart,
+      meta: {
+        birth: birthData.input,
+        orbs,
+        aspect_set,
+        harmonic,
+        zodiac: natal.zodiac,
+      },
       svg: svg,
     };
 
     res.json(response);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-app.post("/upcoming_transit_natal", (req, res) => {
+app.post("/upcoming_transit_natal", validate(schemas.upcoming), (req, res) => {
   const {
-    date,
-    latitude,
-    longitude,
-    houseSystem = "W",
-    start_date,
-    end_date,
-    days = 30,
-  } = req.body;
+    birth: birthData,
+    houseSystem,
+    orbs,
+    bodies,
+    zodiac,
+    aspect_set,
+    start_date: startDate,
+    end_date: endDate,
+    days,
+  } = req.valid;
 
-  if (!date || latitude === undefined || longitude === undefined) {
-    return res.status(400).json({
-      error: "Missing required parameters: date, latitude, longitude",
-    });
-  }
   try {
-    const natalCalc = new AstrologicalCalculator(houseSystem);
-    const transitCalculator = new TransitCalculator();
+    const natalCalc = new AstrologicalCalculator(
+      houseSystem,
+      true,
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
+    );
+    const transitCalculator = new TransitCalculator(
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
+    );
 
-    const birthData = {
-      date: new Date(date),
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-    };
     const natalChart = natalCalc.generateChart(birthData);
 
     const transitData = {
-      date: start_date ? new Date(start_date) : new Date(),
-      latitude: parseFloat(latitude ?? latitude),
-      longitude: parseFloat(longitude ?? longitude),
+      date: startDate,
+      latitude: birthData.latitude,
+      longitude: birthData.longitude,
     };
 
     const transitChart = natalCalc.generateTransitsChart(
@@ -183,70 +292,59 @@ app.post("/upcoming_transit_natal", (req, res) => {
       true,
       transitData.date,
     );
-
-    // Determine start and end dates
-    let startDate, endDate;
-
-    if (start_date) {
-      startDate = new Date(start_date);
-      if (isNaN(startDate.getTime())) {
-        return res.status(400).json({ error: "Invalid start_date format" });
-      }
-    } else {
-      startDate = new Date(); // Default to current date
-    }
-
-    if (end_date) {
-      endDate = new Date(end_date);
-      if (isNaN(endDate.getTime())) {
-        return res.status(400).json({ error: "Invalid end_date format" });
-      }
-    } else {
-      // If no end_date provided, use start_date + days (or current date + days if no start_date)
-      endDate = new Date(startDate.getTime() + days * 24 * 60 * 60 * 1000);
-    }
-
-    // Validate date range
-    if (endDate <= startDate) {
-      return res
-        .status(400)
-        .json({ error: "end_date must be after start_date" });
-    }
-
-    // Check if date range is not too large (optional safety check)
-    const daysDifference = Math.ceil(
-      (endDate - startDate) / (24 * 60 * 60 * 1000),
+    const crossAntiscia = natalCalc.calculateAntisciaOfTwoCharts(
+      transitChart.planets,
+      natalChart.planets,
+      "transit",
+      "natal",
+      true,
+      transitData.date,
+      natalChart.zodiac.ayanamsa_value || 0,
     );
-    if (daysDifference > 365) {
-      return res
-        .status(400)
-        .json({ error: "Date range cannot exceed 365 days" });
-    }
 
     // Prepare meta information
     const metaInfo = {
-      birthDate: date,
-      latitude: latitude,
-      longitude: longitude,
+      birthDate: birthData.input.utc,
+      birth: birthData.input,
+      latitude: birthData.latitude,
+      longitude: birthData.longitude,
       startDate: startDate.toISOString(),
       endDate: endDate.toISOString(),
-      days: days,
+      // intervalul real: end_date are prioritate față de days
+      days: parseFloat(
+        ((endDate - startDate) / (24 * 60 * 60 * 1000)).toFixed(2),
+      ),
       houseSystem: houseSystem,
+      orbs,
+      aspect_set,
+      zodiac: natalChart.zodiac,
     };
 
+    const exactTransits = transitCalculator.findExactTransits(
+      natalChart.planets,
+      startDate,
+      endDate,
+    );
     const upcomingTransits = transitCalculator.getTransitsInPeriod(
       natalChart.planets,
       natalChart.houses,
       startDate,
       endDate,
       1,
+      exactTransits,
     );
     // Create formatted response using TransitCalculator method
     const upcomingTransitsTextual =
       transitCalculator.createUpcomingTransitsResponse(
         upcomingTransits,
         metaInfo,
+        natalChart.houses,
       );
+    const lunarPhases = transitCalculator.findLunarPhases(
+      startDate,
+      endDate,
+      natalChart.houses,
+    );
 
     // Generate SVG and add it to the response
     let dataRadix;
@@ -265,6 +363,7 @@ app.post("/upcoming_transit_natal", (req, res) => {
         dataTransits = {
           planets: dataTransits.planets,
           cusps: dataRadix.cusps,
+          labels: dataTransits.labels,
         };
       }
 
@@ -273,92 +372,98 @@ app.post("/upcoming_transit_natal", (req, res) => {
       console.error("Failed to generate SVG:", svgErr);
     }
 
-    response = {
+    const response = {
       meta: metaInfo,
       natal_chart: natalChart,
       transit_chart: transitChart,
       cross_aspects: crossAspects,
+      cross_antiscia: crossAntiscia,
       upcoming_transits: upcomingTransitsTextual,
+      exact_transits: exactTransits,
+      lunar_phases: lunarPhases,
       svg: svg,
     };
 
     res.json(response);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-app.post("/synastry", (req, res) => {
-  const { settings, birth, birth2 } = req.body;
-
-  const { date, latitude, longitude } = birth;
-  const { house_system = "W" } = settings;
-
-  if (!birth || birth === undefined) {
-    return res.status(400).json({
-      error:
-        "Missing required parameters: birth with fields like date, latitude, longitude",
-    });
-  }
-  if (!birth2 || birth2 === undefined) {
-    return res.status(400).json({
-      error:
-        "Missing required parameters: birth2 with fields like date, latitude, longitude",
-    });
-  }
-
-  if (!date || latitude === undefined || longitude === undefined) {
-    return res.status(400).json({
-      error: "Missing required parameters: date, latitude, longitude",
-    });
-  }
-
-  if (
-    !birth2.date ||
-    birth2.latitude === undefined ||
-    birth2.longitude === undefined
-  ) {
-    return res.status(400).json({
-      error: "Missing required parameters: date, latitude, longitude",
-    });
-  }
+app.post("/synastry", validate(schemas.synastry), (req, res) => {
+  const { birth: birthData1, birth2: birthData2, settings } = req.valid;
+  const {
+    house_system,
+    orbs,
+    bodies,
+    zodiac,
+    aspect_set,
+    mode,
+    composite_houses,
+    reference_place,
+  } = settings;
 
   try {
-    const birthData1 = {
-      date: new Date(birth.date),
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-    };
-
-    const birthData2 = {
-      date: new Date(birth2.date),
-      latitude: parseFloat(birth2.latitude),
-      longitude: parseFloat(birth2.longitude),
-    };
-
-    const astroCalc = new AstrologicalCalculator(house_system);
+    const astroCalc = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
+    );
 
     const natal1 = astroCalc.generateChart(birthData1);
     const natal2 = astroCalc.generateChart(birthData2);
 
-    cross_aspects = astroCalc.calculateAspectsOfTwoCharts(
+    const cross_aspects = astroCalc.calculateAspectsOfTwoCharts(
       natal2.planets,
       natal1.planets,
       "partner",
       "me",
     );
 
-    let svg = null;
-    try {
-      dataRadix = toAstrochart(
-        { ...natal1.planets, ...natal1.angles },
-        natal1.houses,
+    // harta relației: compozită (puncte mediane) sau Davison (moment și loc de mijloc)
+    let relationshipChart = null;
+    if (mode === "composite") {
+      relationshipChart = astroCalc.generateCompositeChart(
+        natal1,
+        natal2,
+        birthData1,
+        birthData2,
+        {
+          houseMethod: composite_houses,
+          latitude: reference_place ? reference_place.latitude : null,
+        },
       );
-      dataPartner = toAstrochart(
-        { ...natal2.planets, ...natal2.angles },
-        natal1.houses,
+    } else if (mode === "davison") {
+      relationshipChart = astroCalc.generateDavisonChart(
+        birthData1,
+        birthData2,
       );
-      svg = generateChartSVG(dataRadix, dataPartner, settings);
+    }
+
+    let svg = null;
+    try {
+      if (relationshipChart) {
+        svg = generateChartSVG(
+          toAstrochart(
+            { ...relationshipChart.planets, ...relationshipChart.angles },
+            relationshipChart.houses,
+            relationshipChart.aspects,
+          ),
+        );
+      } else {
+        const dataRadix = toAstrochart(
+          { ...natal1.planets, ...natal1.angles },
+          natal1.houses,
+        );
+        const dataPartner = toAstrochart(
+          { ...natal2.planets, ...natal2.angles },
+          natal1.houses,
+        );
+        svg = generateChartSVG(dataRadix, dataPartner, settings);
+      }
     } catch (svgErr) {
       console.error("Failed to generate Synastry SVG:", svgErr);
     }
@@ -367,44 +472,189 @@ app.post("/synastry", (req, res) => {
       personal_natal_chart: natal1,
       partner_natal_chart: natal2,
       cross_aspects: cross_aspects,
+      composite_chart: mode === "composite" ? relationshipChart : null,
+      davison_chart: mode === "davison" ? relationshipChart : null,
+      meta: {
+        birth: birthData1.input,
+        birth2: birthData2.input,
+        orbs,
+        aspect_set,
+        mode,
+        zodiac: natal1.zodiac,
+      },
       svg: svg,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// New endpoint for progressed chart
-app.post("/progressed", (req, res) => {
-  const { settings, birth } = req.body;
-  const { date, latitude, longitude } = birth;
-  const {
-    house_system = "W",
-    house_method = "secondary",
-    target_date = null,
-  } = settings;
+/**
+ * Bi-wheel SVG of a chart (return, directions) in the outer ring over the natal chart.
+ * Cross aspects ({ planet1 outer, planet2 natal, aspect, angle, orb }) are drawn
+ * as lines between the rings.
+ * @returns {string|null} null when the chart cannot be drawn
+ */
+function biwheelChartSVG(natalChart, outerChart, crossAspects, settings) {
+  try {
+    const dataRadix = toAstrochart(
+      { ...natalChart.planets, ...natalChart.angles },
+      natalChart.houses,
+      natalChart.aspects,
+    );
+    const dataOuter = toAstrochart(
+      { ...outerChart.planets, ...outerChart.angles },
+      natalChart.houses,
+    );
 
-  if (!date || latitude === undefined || longitude === undefined) {
-    return res.status(400).json({
-      error: "Missing required parameters: date, latitude, longitude",
-    });
+    return generateChartSVG(
+      dataRadix,
+      {
+        planets: dataOuter.planets,
+        cusps: dataOuter.cusps,
+        labels: dataOuter.labels,
+        aspects: toAstrochartCrossAspects(
+          crossAspects,
+          outerChart.planets,
+          natalChart.planets,
+        ),
+      },
+      settings,
+    );
+  } catch (svgErr) {
+    console.error("Failed to generate bi-wheel SVG:", svgErr);
+    return null;
   }
+}
+
+/**
+ * Progressed or directed aspects of one type, with the point names the chart
+ * drawing reads (planet1, planet2).
+ */
+function progressedAspectLines(aspects, type) {
+  return aspects
+    .filter((aspect) => aspect.type === type)
+    .map((aspect) => ({
+      ...aspect,
+      planet1: aspect.progressedPlanet || aspect.directedPlanet,
+      planet2: aspect.natalPlanet,
+    }));
+}
+
+/**
+ * A progressed chart with its angles named as on the natal chart (AS, MC), the
+ * names the chart drawing keeps. Directed charts already use them.
+ */
+function withChartAngles(chart) {
+  if (!chart.angles || !chart.angles.ascendant) return chart;
+  const { ascendant, midheaven } = chart.angles;
+  return { ...chart, angles: { AS: ascendant, MC: midheaven } };
+}
+
+/**
+ * SVG of a progressed or directed chart, for settings.chart_view:
+ * natal, progressed, or the progressed ring over the natal wheel (biwheel).
+ * @returns {string|null} null when the chart cannot be drawn
+ */
+function progressedChartSVG(view, natalChart, progressedChart, settings) {
+  const outerChart = withChartAngles(progressedChart);
+  if (view === "biwheel") {
+    return biwheelChartSVG(
+      natalChart,
+      outerChart,
+      progressedAspectLines(
+        progressedChart.aspects,
+        progressedChart.method === "solar_arc"
+          ? "directed-to-natal"
+          : "progressed-to-natal",
+      ),
+      settings,
+    );
+  }
+
+  const chart =
+    view === "natal"
+      ? natalChart
+      : {
+          ...outerChart,
+          aspects: progressedAspectLines(
+            progressedChart.aspects,
+            "progressed-to-progressed",
+          ),
+        };
 
   try {
-    const natalCalc = new AstrologicalCalculator(house_system);
-    const progressiveCalc = new ProgressiveCalculator(house_method);
+    const dataRadix = toAstrochart(
+      { ...chart.planets, ...chart.angles },
+      chart.houses,
+      chart.aspects,
+    );
+    return generateChartSVG(dataRadix, null, settings);
+  } catch (svgErr) {
+    console.error("Failed to generate Progressed SVG:", svgErr);
+    return null;
+  }
+}
 
-    const birthData = {
-      date: new Date(date),
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-    };
+// New endpoint for progressed chart
+app.post("/progressed", validate(schemas.progressed), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
+  const {
+    house_system,
+    house_method,
+    method,
+    span_years,
+    chart_view,
+    target_date: progressionDate,
+    orbs,
+    bodies,
+    zodiac,
+  } = settings;
+
+  try {
+    const natalCalc = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      "major",
+      bodies,
+      zodiac,
+    );
+    const progressiveCalc = new ProgressiveCalculator(
+      house_system,
+      orbs,
+      bodies,
+      zodiac,
+    );
 
     // Generate natal chart first
     const natalChart = natalCalc.generateChart(birthData);
 
-    // Set target date (default to current date if not provided)
-    const progressionDate = target_date ? new Date(target_date) : new Date();
+    if (method === "solar_arc") {
+      const directedChart = progressiveCalc.generateSolarArcChart(
+        birthData,
+        natalChart,
+        progressionDate,
+        span_years,
+      );
+
+      return res.json({
+        progressed_chart: directedChart.chart,
+        perfections: directedChart.perfections,
+        meta: {
+          ...directedChart.meta,
+          method,
+          birth: birthData.input,
+          zodiac: natalChart.zodiac,
+        },
+        svg: progressedChartSVG(
+          chart_view,
+          natalChart,
+          directedChart.chart,
+          settings,
+        ),
+      });
+    }
 
     // Generate progressed chart
     const progressedChart = progressiveCalc.generateProgressedChart(
@@ -412,91 +662,135 @@ app.post("/progressed", (req, res) => {
       natalChart.planets,
       progressionDate,
       house_method,
+      method,
     );
 
-    const response = {
+    res.json({
       progressed_chart: progressedChart.chart,
-      meta: progressedChart.meta,
-    };
+      meta: {
+        ...progressedChart.meta,
+        method,
+        birth: birthData.input,
+        zodiac: natalChart.zodiac,
+      },
+      svg: progressedChartSVG(
+        chart_view,
+        natalChart,
+        progressedChart.chart,
+        settings,
+      ),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Progressed timeline: progressed lunations, ingresses and stations over a lifetime
+app.post(
+  "/progressed_timeline",
+  validate(schemas.progressedTimeline),
+  (req, res) => {
+    const { birth: birthData, settings } = req.valid;
+    const { house_system, method, years, target_date, orbs, bodies, zodiac } =
+      settings;
 
-    // Generate SVG and add it to the response
     try {
-      // const dataRadix = toAstrochart({ ...natalChart.planets, ...natalChart.angles }, natalChart.houses, natalChart.aspects);
-      const dataRadix = toAstrochart(
-        { ...progressedChart.chart.planets, ...progressedChart.chart.angles },
-        progressedChart.chart.houses,
-        progressedChart.chart.aspects,
+      const natalCalc = new AstrologicalCalculator(
+        house_system,
+        true,
+        orbs,
+        "major",
+        bodies,
+        zodiac,
       );
-      response.svg = generateChartSVG(dataRadix);
-    } catch (svgErr) {
-      console.error("Failed to generate Progressed SVG:", svgErr);
-      response.svg = null;
-    }
+      const progressiveCalc = new ProgressiveCalculator(
+        house_system,
+        orbs,
+        bodies,
+        zodiac,
+      );
+      const natalChart = natalCalc.generateChart(birthData);
 
-    res.json(response);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+      const endDate = new Date(birthData.date);
+      endDate.setUTCFullYear(endDate.getUTCFullYear() + years);
 
-// Solar Return endpoint
-app.post("/solar_return", (req, res) => {
-  const { settings, birth } = req.body;
-  const {
-    date: birthDate,
-    latitude: birthLatitude,
-    longitude: birthLongitude,
-  } = birth;
-  const { house_system = "W", return_year, current_location } = settings;
-
-  // Validate required parameters
-  if (
-    !birthDate ||
-    birthLatitude === undefined ||
-    birthLongitude === undefined
-  ) {
-    return res.status(400).json({
-      error: "Missing required birth parameters: date, latitude, longitude",
-    });
-  }
+      const timeline = progressiveCalc.generateProgressedTimeline(
+        birthData,
+        natalChart,
+        endDate,
+        method,
+      );
 
-  if (return_year === undefined) {
-    return res.status(400).json({
-      error: "Missing required parameter: return_year",
-    });
-  }
+      res.json({
+        timeline,
+        current: {
+          date: target_date.toISOString(),
+          age: parseFloat(
+            progressiveCalc
+              .calculateAge(birthData.date, target_date)
+              .toFixed(2),
+          ),
+          lunation: progressiveCalc.calculateLunationPhase(
+            birthData.date,
+            target_date,
+            method,
+          ),
+          // ultima lunație progresată dinaintea datei deschide faza curentă
+          lastLunation:
+            timeline
+              .filter(
+                (e) => e.type === "lunation" && new Date(e.date) <= target_date,
+              )
+              .pop() || null,
+        },
+        meta: {
+          birth: birthData.input,
+          method,
+          progressionMethod:
+            ProgressiveCalculator.PROGRESSION_METHODS[method].label,
+          years,
+          endDate: endDate.toISOString(),
+          houseSystem: house_system,
+          zodiac: natalChart.zodiac,
+        },
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  },
+);
 
-  // Validate year is reasonable
-  const year = parseInt(return_year);
-  const return_yearActual = new Date().getFullYear();
-  if (year < 2024 || year > return_yearActual + 50) {
-    return res.status(400).json({
-      error: "Year must be between 2024 and " + (return_yearActual + 50),
-    });
-  }
+// Solar Return endpoint
+app.post("/solar_return", validate(schemas.solarReturn), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
+  const {
+    house_system,
+    return_year: year,
+    current_location,
+    orbs,
+    bodies,
+    zodiac,
+    aspect_set,
+  } = settings;
 
   try {
-    const astrologicalCalculator = new AstrologicalCalculator(house_system);
-
-    const birthData = {
-      date: new Date(birthDate), // must be utc date "Z" format. you should reduce with 2h to reflect astro.com ???
-      latitude: parseFloat(birthLatitude),
-      longitude: parseFloat(birthLongitude),
-    };
+    const astrologicalCalculator = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
+    );
 
     const solarReturnData = {
-      birthDate: new Date(birthDate),
+      birthDate: birthData.date,
       birthPlace: {
-        latitude: parseFloat(birthLatitude),
-        longitude: parseFloat(birthLongitude),
+        latitude: birthData.latitude,
+        longitude: birthData.longitude,
       },
       returnYear: year,
-      currentLocation: current_location
-        ? {
-            latitude: parseFloat(current_location.latitude),
-            longitude: parseFloat(current_location.longitude),
-          }
-        : null,
+      currentLocation: current_location || null,
     };
 
     const natalChart = astrologicalCalculator.generateChart(birthData);
@@ -514,36 +808,24 @@ app.post("/solar_return", (req, res) => {
 
     const { meta, ...solar_return_chart_clean } = solarReturnChart;
 
-    let svg = null;
-    try {
-      const dataRadix = toAstrochart(
-        { ...natalChart.planets, ...natalChart.angles },
-        natalChart.houses,
-        natalChart.aspects,
-      );
-      const dataSolar = toAstrochart(
-        { ...solarReturnChart.planets, ...solarReturnChart.angles },
-        natalChart.houses,
-      );
-
-      svg = generateChartSVG(
-        dataRadix,
-        {
-          planets: dataSolar.planets,
-          cusps: dataSolar.cusps,
-          aspects: cross_chart_aspects,
-        },
-        settings,
-      );
-    } catch (svgErr) {
-      console.error("Failed to generate Solar Return SVG:", svgErr);
-    }
+    const svg = biwheelChartSVG(
+      natalChart,
+      solarReturnChart,
+      cross_chart_aspects,
+      settings,
+    );
 
     const response = {
       natal_chart: natalChart,
       solar_return_chart: solar_return_chart_clean,
       cross_chart_aspects,
-      metadata: meta,
+      metadata: {
+        ...meta,
+        birth_input: birthData.input,
+        orbs,
+        aspect_set,
+        zodiac: natalChart.zodiac,
+      },
       svg: svg,
     };
 
@@ -551,7 +833,438 @@ app.post("/solar_return", (req, res) => {
     res.json(response);
   } catch (err) {
     console.error("Solar return calculation error:", err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+app.post("/planetary_return", validate(schemas.planetaryReturn), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
+  const {
+    house_system,
+    planet,
+    start_date,
+    end_date,
+    current_location,
+    orbs,
+    bodies,
+    zodiac,
+    aspect_set,
+  } = settings;
+
+  try {
+    const astrologicalCalculator = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
+    );
+
+    const natalChart = astrologicalCalculator.generateChart(birthData);
+    const returnCharts = astrologicalCalculator.calculatePlanetaryReturns(
+      {
+        planet,
+        birthDate: birthData.date,
+        birthPlace: {
+          latitude: birthData.latitude,
+          longitude: birthData.longitude,
+        },
+        startDate: start_date,
+        endDate: end_date,
+        currentLocation: current_location || null,
+      },
+      natalChart,
+    );
+
+    const returns = returnCharts.map(({ meta, ...returnChart }) => {
+      const cross_chart_aspects =
+        astrologicalCalculator.calculateAspectsOfTwoCharts(
+          returnChart.planets,
+          natalChart.planets,
+          "return",
+          "natal",
+        );
+
+      return {
+        ...meta,
+        return_chart: returnChart,
+        cross_chart_aspects,
+        svg: biwheelChartSVG(
+          natalChart,
+          returnChart,
+          cross_chart_aspects,
+          settings,
+        ),
+      };
+    });
+
+    astrologicalCalculator.close();
+    res.json({
+      natal_chart: natalChart,
+      returns,
+      metadata: {
+        planet,
+        start_date: start_date.toISOString(),
+        end_date: end_date.toISOString(),
+        birth_input: birthData.input,
+        house_system,
+        orbs,
+        aspect_set,
+        zodiac: natalChart.zodiac,
+      },
+    });
+  } catch (err) {
+    console.error("Planetary return calculation error:", err);
+    sendError(res, err);
+  }
+});
+
+// Primary directions over an age range
+app.post(
+  "/primary_directions",
+  validate(schemas.primaryDirections),
+  (req, res) => {
+    const { birth: birthData, settings } = req.valid;
+    const {
+      house_system,
+      orbs,
+      bodies,
+      zodiac,
+      aspect_set,
+      method,
+      key,
+      direction,
+      mode,
+      from_age,
+      to_age,
+    } = settings;
+
+    try {
+      const natalChart = new AstrologicalCalculator(
+        house_system,
+        true,
+        orbs,
+        aspect_set,
+        bodies,
+        zodiac,
+      ).generateChart(birthData);
+
+      const directions = calculatePrimaryDirections(natalChart, birthData, {
+        method,
+        key,
+        aspects: Object.values(getAspects(aspect_set)),
+        directions: direction === "both" ? ["direct", "converse"] : [direction],
+        modes: mode === "both" ? ["zodiacal", "mundo"] : [mode],
+        fromAge: from_age,
+        toAge: to_age,
+      });
+
+      res.json({
+        directions,
+        meta: {
+          birth: birthData.input,
+          method,
+          key,
+          direction,
+          mode,
+          from_age,
+          to_age,
+          aspect_set,
+          ramc: natalChart.angles.MC.rightAscension,
+          zodiac: natalChart.zodiac,
+        },
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  },
+);
+
+// Time lords: profections, firdaria and zodiacal releasing over an age range
+app.post("/time_lords", validate(schemas.timeLords), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
+  const { house_system, orbs, bodies, zodiac, from_age, to_age } = settings;
+
+  try {
+    const natalChart = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      "major",
+      bodies,
+      zodiac,
+    ).generateChart(birthData);
+
+    const timeLords = calculateTimeLords(natalChart, birthData.date, {
+      fromAge: from_age,
+      toAge: to_age,
+    });
+
+    res.json({
+      sect: timeLords.sect,
+      lots: timeLords.lots,
+      profections: timeLords.profections,
+      firdaria: timeLords.firdaria,
+      zodiacal_releasing: timeLords.zodiacalReleasing,
+      meta: {
+        birth: birthData.input,
+        from_age,
+        to_age,
+        zodiac: natalChart.zodiac,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Spectrul armonic: cât de accentuată e fiecare armonică în harta natală
+app.post("/harmonics", validate(schemas.harmonics), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
+  const { house_system, orbs, bodies, zodiac, max_harmonic } = settings;
+
+  try {
+    const natalChart = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      "major",
+      bodies,
+      zodiac,
+    ).generateChart(birthData);
+
+    // Nodul Sud ar puncta toate armonicele pare împreună cu Nodul Nord
+    const points = Object.fromEntries(
+      Object.entries(natalChart.planets).filter(([name]) => name !== "SNode"),
+    );
+    const spectrum = harmonicSpectrum(points, orbs, max_harmonic);
+
+    res.json({
+      spectrum,
+      strongest: spectrum
+        .filter((entry) => entry.harmonic > 1)
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, 5)
+        .map((entry) => entry.harmonic),
+      meta: {
+        birth: birthData.input,
+        max_harmonic,
+        orbs,
+        zodiac: natalChart.zodiac,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Puncte mediane: arborii natali, tranzitele și direcțiile de arc solar pe ele
+app.post("/midpoints", validate(schemas.midpoints), (req, res) => {
+  const { birth: birthData, settings } = req.valid;
+  const { house_system, orbs, bodies, zodiac, modulus, target_date, pointer } =
+    settings;
+
+  try {
+    const astrologicalCalculator = new AstrologicalCalculator(
+      house_system,
+      true,
+      orbs,
+      "major",
+      bodies,
+      zodiac,
+    );
+    const natalChart = astrologicalCalculator.generateChart(birthData);
+
+    // Nodul Sud repetă Nodul Nord pe discurile de 90° și 45°
+    const withoutSouthNode = (positions) =>
+      Object.fromEntries(
+        Object.entries(positions).filter(([name]) => name !== "SNode"),
+      );
+    const points = withoutSouthNode(natalChart.planets);
+    const midpoints = calculateMidpoints(points);
+
+    const transitPoints = withoutSouthNode(
+      astrologicalCalculator.calculatePlanetaryPositions(
+        astrologicalCalculator.dateToJulianDay(target_date),
+      ),
+    );
+
+    const solarArc = new ProgressiveCalculator(
+      house_system,
+      orbs,
+      bodies,
+      zodiac,
+    ).calculateSolarArc(birthData.date, target_date);
+    const directedPoints = Object.fromEntries(
+      Object.entries(points).map(([name, position]) => [
+        name,
+        { longitude: (position.longitude + solarArc) % 360 },
+      ]),
+    );
+
+    let svg = null;
+    try {
+      const dataDial = toAstrochart(points, natalChart.houses);
+      dataDial.planets.AS = [points.AS.longitude];
+      dataDial.planets.MC = [points.MC.longitude];
+      dataDial.labels = { ...dataDial.labels, AS: "AS", MC: "MC" };
+      svg = generateDialSVG(dataDial, modulus, points[pointer].longitude);
+    } catch (svgErr) {
+      console.error("Failed to generate dial SVG:", svgErr);
+    }
+
+    res.json({
+      midpoints,
+      trees: midpointTrees(points, midpoints, modulus, orbs.midpoint),
+      transits: findMidpointContacts(
+        transitPoints,
+        midpoints,
+        modulus,
+        orbs.midpoint,
+      ),
+      directions: findMidpointContacts(
+        directedPoints,
+        midpoints,
+        modulus,
+        orbs.midpoint,
+      ),
+      meta: {
+        birth: birthData.input,
+        modulus,
+        target_date: target_date.toISOString(),
+        solar_arc: parseFloat(solarArc.toFixed(4)),
+        pointer,
+        orbs,
+        zodiac: natalChart.zodiac,
+      },
+      svg,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post("/eclipses", validate(schemas.eclipses), (req, res) => {
+  const { birth, location, start_date, end_date, settings } = req.valid;
+  const { house_system, aspect_set, bodies, zodiac, kind, orb } = settings;
+
+  try {
+    // orbita eclipsei înlocuiește orbitele de tranzit ale Soarelui și Lunii
+    const orbs = resolveOrbs({ transit: { default: orb } });
+    const transitCalculator = new TransitCalculator(
+      orbs,
+      aspect_set,
+      bodies,
+      zodiac,
+    );
+    const natalChart = birth
+      ? new AstrologicalCalculator(
+          house_system,
+          true,
+          orbs,
+          aspect_set,
+          bodies,
+          zodiac,
+        ).generateChart(birth)
+      : null;
+
+    const eclipses = findEclipses(start_date, end_date, {
+      kinds: kind === "all" ? ["solar", "lunar"] : [kind],
+      location,
+      zodiac,
+    }).map((eclipse) => ({
+      ...eclipse,
+      sign: transitCalculator.getZodiacSign(eclipse.longitude),
+      degree: transitCalculator.formatDegree(eclipse.longitude),
+      natal: natalChart
+        ? natalSensitivity(eclipse, natalChart, transitCalculator)
+        : null,
+    }));
+
+    res.json({
+      meta: {
+        birth: birth ? birth.input : null,
+        location: location || null,
+        start_date: start_date.toISOString(),
+        end_date: end_date.toISOString(),
+        settings: { house_system, aspect_set, kind, orb },
+        zodiac: describeZodiac(zodiac, julianDayFromDate(start_date)),
+      },
+      eclipses,
+    });
+  } catch (err) {
+    console.error("Eclipse calculation error:", err);
+    sendError(res, err);
+  }
+});
+
+// Declinațiile pe un interval: perioadele out-of-bounds și graficul lor
+app.post("/declinations", validate(schemas.declinations), (req, res) => {
+  const { birth, start_date, end_date, settings } = req.valid;
+  const { bodies, orbs, step_days } = settings;
+
+  try {
+    const days = (end_date - start_date) / (24 * 60 * 60 * 1000);
+    const step = step_days || Math.max(0.25, days / 1000);
+    const declinations = calculateDeclinations(
+      ephemerisBodies(bodies),
+      start_date,
+      end_date,
+      step,
+    );
+
+    const natalChart = birth
+      ? new AstrologicalCalculator(
+          "W",
+          true,
+          orbs,
+          "major",
+          bodies,
+        ).generateChart(birth)
+      : null;
+    const natalDeclinations = natalChart
+      ? Object.fromEntries(
+          Object.entries(natalChart.planets)
+            .filter(([, position]) => typeof position.declination === "number")
+            .map(([name, position]) => [name, position.declination]),
+        )
+      : {};
+
+    res.json({
+      meta: {
+        birth: birth ? birth.input : null,
+        start_date: start_date.toISOString(),
+        end_date: end_date.toISOString(),
+        step_days: step,
+        orbs,
+      },
+      obliquity: declinations.obliquity,
+      out_of_bounds: declinations.outOfBounds,
+      natal: natalChart
+        ? {
+            declinations: natalDeclinations,
+            parallels: natalChart.parallels,
+          }
+        : null,
+      series: declinations.series,
+      svg: declinationGraphSVG(declinations, { natal: natalDeclinations }),
+    });
+  } catch (err) {
+    console.error("Declination calculation error:", err);
+    sendError(res, err);
+  }
+});
+
+// Autocomplete pentru locul nașterii, din gazetteer-ul offline (geonames/)
+app.get("/places", validate(schemas.places), (req, res) => {
+  const { q, limit, country } = req.valid;
+
+  try {
+    res.json({ places: searchPlaces(q, { limit, country }) });
+  } catch (err) {
+    console.error("Place search error:", err);
+    sendError(res, err);
   }
 });
 
@@ -560,15 +1273,32 @@ app.get("/health", (req, res) => {
   res.json({
     status: "OK",
     timestamp: new Date().toISOString(),
-    endpoints: ["/natal", "/solar-return"],
+    endpoints: ENDPOINTS.map(({ path }) => path).filter(
+      (path) => path !== "/" && path !== "/health",
+    ),
   });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  // corp JSON invalid (express.json)
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({
+      error: {
+        code: "INVALID_JSON",
+        field: null,
+        message: "Malformed JSON body",
+      },
+    });
+  }
+
   console.error("Unhandled error:", error);
   res.status(500).json({
-    error: "Internal server error",
+    error: {
+      code: "INTERNAL_ERROR",
+      field: null,
+      message: "Internal server error",
+    },
     timestamp: new Date().toISOString(),
   });
 });
@@ -576,13 +1306,14 @@ app.use((error, req, res, next) => {
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
-    error: "Endpoint not found",
-    availableEndpoints: [
-      "GET /",
-      "POST /natal",
-      "POST /solar-return",
-      "GET /health",
-    ],
+    error: {
+      code: "NOT_FOUND",
+      field: null,
+      message: "Endpoint not found",
+    },
+    availableEndpoints: ENDPOINTS.map(
+      ({ method, path }) => `${method} ${path}`,
+    ),
   });
 });
 
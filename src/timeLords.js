@@ -0,0 +1,312 @@
+const { SIGN_RULERS, isDayChart } = require("./dignities");
+const { calculateLots } = require("./lots");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SIGNS = [
+  "Aries",
+  "Taurus",
+  "Gemini",
+  "Cancer",
+  "Leo",
+  "Virgo",
+  "Libra",
+  "Scorpio",
+  "Sagittarius",
+  "Capricorn",
+  "Aquarius",
+  "Pisces",
+];
+
+// Anii minori ai stăpânului fiecărui semn (Vettius Valens)
+const MINOR_YEARS = [15, 8, 20, 25, 19, 20, 8, 15, 12, 27, 30, 12];
+
+/**
+ * Firdaria: planetary periods in years, by sect. The nodes close the 75-year
+ * cycle and have no sub-periods.
+ */
+const FIRDARIA = {
+  day: [
+    ["Sun", 10],
+    ["Venus", 8],
+    ["Mercury", 13],
+    ["Moon", 9],
+    ["Saturn", 11],
+    ["Jupiter", 12],
+    ["Mars", 7],
+    ["NNode", 3],
+    ["SNode", 2],
+  ],
+  night: [
+    ["Moon", 9],
+    ["Saturn", 11],
+    ["Jupiter", 12],
+    ["Mars", 7],
+    ["Sun", 10],
+    ["Venus", 8],
+    ["Mercury", 13],
+    ["NNode", 3],
+    ["SNode", 2],
+  ],
+};
+
+// Sub-perioadele urmează ordinea caldeeană, începând cu stăpânul perioadei
+const CHALDEAN_ORDER = [
+  "Saturn",
+  "Jupiter",
+  "Mars",
+  "Sun",
+  "Venus",
+  "Mercury",
+  "Moon",
+];
+
+// Zodiacal releasing: ani de 360 de zile, luni de 30 de zile
+const RELEASING_UNITS = { 1: 360, 2: 30 };
+
+const signIndex = (longitude) =>
+  Math.floor((((longitude % 360) + 360) % 360) / 30);
+
+/**
+ * Date at a fractional age, counting calendar years from the birthday.
+ */
+function dateAtAge(birthDate, age) {
+  const years = Math.floor(age);
+  const start = new Date(birthDate);
+  start.setUTCFullYear(start.getUTCFullYear() + years);
+  const end = new Date(birthDate);
+  end.setUTCFullYear(end.getUTCFullYear() + years + 1);
+  return new Date(start.getTime() + (age - years) * (end - start));
+}
+
+const overlaps = (period, range) =>
+  period.end > range.from && period.start < range.to;
+
+const toISO = (period) => ({
+  ...period,
+  start: period.start.toISOString(),
+  end: period.end.toISOString(),
+});
+
+/**
+ * Annual profections: the Ascendant moves one whole sign a year; each year is
+ * divided into twelve monthly profections starting from the year's sign.
+ * @param {Object} range - { fromAge, toAge, from, to } (see calculateTimeLords)
+ * @returns {Array<Object>} { age, sign, house, lord, planets, start, end, months }
+ */
+function annualProfections(natalChart, birthDate, range) {
+  const ascendantSign = signIndex(natalChart.angles.AS.longitude);
+  const planetsIn = (sign) =>
+    Object.entries(natalChart.planets)
+      .filter(
+        ([name, position]) =>
+          !["AS", "MC"].includes(name) &&
+          signIndex(position.longitude) === sign,
+      )
+      .map(([name]) => name);
+
+  const years = [];
+  for (let age = Math.floor(range.fromAge); age < range.toAge; age++) {
+    const sign = (ascendantSign + age) % 12;
+    const start = dateAtAge(birthDate, age);
+    const end = dateAtAge(birthDate, age + 1);
+    const months = [];
+
+    for (let month = 0; month < 12; month++) {
+      const monthSign = (sign + month) % 12;
+      const period = {
+        month: month + 1,
+        sign: SIGNS[monthSign],
+        house: ((monthSign - ascendantSign + 12) % 12) + 1,
+        lord: SIGN_RULERS[monthSign],
+        start: new Date(start.getTime() + ((end - start) * month) / 12),
+        end: new Date(start.getTime() + ((end - start) * (month + 1)) / 12),
+      };
+      if (overlaps(period, range)) months.push(toISO(period));
+    }
+
+    years.push(
+      toISO({
+        age,
+        sign: SIGNS[sign],
+        house: (age % 12) + 1,
+        lord: SIGN_RULERS[sign],
+        planets: planetsIn(sign),
+        start,
+        end,
+        months,
+      }),
+    );
+  }
+
+  return years;
+}
+
+/**
+ * Firdaria periods and their seven planetary sub-periods. The 75-year cycle
+ * repeats after the nodes.
+ * @returns {Array<Object>} { lord, years, start, end, subperiods }
+ */
+function firdaria(natalChart, birthDate, range) {
+  const sequence = FIRDARIA[isDayChart(natalChart) ? "day" : "night"];
+  const periods = [];
+
+  for (let age = 0, i = 0; age < range.toAge; i++) {
+    const [lord, years] = sequence[i % sequence.length];
+    const period = {
+      lord,
+      years,
+      start: dateAtAge(birthDate, age),
+      end: dateAtAge(birthDate, age + years),
+    };
+
+    if (overlaps(period, range)) {
+      const first = CHALDEAN_ORDER.indexOf(lord);
+      const subperiods = [];
+      if (first !== -1) {
+        for (let j = 0; j < 7; j++) {
+          const subperiod = {
+            lord: CHALDEAN_ORDER[(first + j) % 7],
+            start: dateAtAge(birthDate, age + (years * j) / 7),
+            end: dateAtAge(birthDate, age + (years * (j + 1)) / 7),
+          };
+          if (overlaps(subperiod, range)) {
+            subperiods.push(toISO(subperiod));
+          }
+        }
+      }
+      periods.push(toISO({ ...period, subperiods }));
+    }
+    age += years;
+  }
+
+  return periods;
+}
+
+/**
+ * Periods released from a sign at one level, until endDay: each sign lasts its
+ * minor years in units of the level. After twelve signs the sequence jumps to the
+ * sign opposite the starting one (loosing of the bond).
+ * @returns {Array<Object>} { sign, start, end, loosingOfTheBond } - days from birth;
+ *   the last period may run past endDay
+ */
+function releaseSigns(startSign, startDay, endDay, level) {
+  const periods = [];
+  let sign = startSign;
+  let day = startDay;
+
+  for (let count = 0; day < endDay; count++) {
+    const loosingOfTheBond = count > 0 && count % 12 === 0;
+    if (loosingOfTheBond) sign = (startSign + 6) % 12;
+
+    const length = MINOR_YEARS[sign] * RELEASING_UNITS[level];
+    periods.push({
+      sign,
+      start: day,
+      end: day + length,
+      loosingOfTheBond,
+    });
+    day += length;
+    sign = (sign + 1) % 12;
+  }
+
+  return periods;
+}
+
+/**
+ * Zodiacal releasing from a lot, levels 1 (years) and 2 (months). Periods in
+ * signs angular to the Lot of Fortune are peak periods, the 10th sign from
+ * Fortune being the highest.
+ * @param {number} lotLongitude - Lot of Spirit or Fortune
+ * @param {number} fortuneLongitude - Lot of Fortune, for the peaks
+ * @returns {Array<Object>} { level, sign, lord, start, end, fromFortune, angular,
+ *   peak, loosingOfTheBond, subperiods }
+ */
+function zodiacalReleasing(lotLongitude, fortuneLongitude, birthDate, range) {
+  const fortuneSign = signIndex(fortuneLongitude);
+  const describe = (period, level) => {
+    const fromFortune = ((period.sign - fortuneSign + 12) % 12) + 1;
+    return {
+      level,
+      sign: SIGNS[period.sign],
+      lord: SIGN_RULERS[period.sign],
+      start: new Date(birthDate.getTime() + period.start * DAY_MS),
+      end: new Date(birthDate.getTime() + period.end * DAY_MS),
+      fromFortune,
+      angular: [1, 4, 7, 10].includes(fromFortune),
+      peak: fromFortune === 10,
+      loosingOfTheBond: period.loosingOfTheBond,
+    };
+  };
+
+  return releaseSigns(
+    signIndex(lotLongitude),
+    0,
+    (range.to - birthDate) / DAY_MS,
+    1,
+  )
+    .filter((period) => overlaps(describe(period, 1), range))
+    .map((period) =>
+      toISO({
+        ...describe(period, 1),
+        // sub-perioada care depășește perioada generală este tăiată
+        subperiods: releaseSigns(period.sign, period.start, period.end, 2)
+          .map((subperiod) =>
+            describe(
+              { ...subperiod, end: Math.min(subperiod.end, period.end) },
+              2,
+            ),
+          )
+          .filter((subperiod) => overlaps(subperiod, range))
+          .map(toISO),
+      }),
+    );
+}
+
+/**
+ * Time-lord timeline of a natal chart over an age range: annual and monthly
+ * profections, firdaria and zodiacal releasing from Spirit and Fortune.
+ * @param {Object} natalChart - From AstrologicalCalculator.generateChart
+ * @param {Date} birthDate
+ * @param {Object} options - { fromAge, toAge }
+ * @returns {Object} { sect, lots, profections, firdaria, zodiacalReleasing }
+ */
+function calculateTimeLords(
+  natalChart,
+  birthDate,
+  { fromAge = 0, toAge = 90 } = {},
+) {
+  const range = {
+    fromAge,
+    toAge,
+    from: dateAtAge(birthDate, fromAge),
+    to: dateAtAge(birthDate, toAge),
+  };
+  const { Fortune, Spirit } = calculateLots(
+    { ...natalChart.planets, ...natalChart.angles },
+    isDayChart(natalChart),
+  );
+  const [fortune, spirit] = [Fortune.longitude, Spirit.longitude];
+  const lot = (longitude) => ({
+    longitude: parseFloat(longitude.toFixed(3)),
+    sign: SIGNS[signIndex(longitude)],
+  });
+
+  return {
+    sect: isDayChart(natalChart) ? "day" : "night",
+    lots: { fortune: lot(fortune), spirit: lot(spirit) },
+    profections: annualProfections(natalChart, birthDate, range),
+    firdaria: firdaria(natalChart, birthDate, range),
+    zodiacalReleasing: {
+      spirit: zodiacalReleasing(spirit, fortune, birthDate, range),
+      fortune: zodiacalReleasing(fortune, fortune, birthDate, range),
+    },
+  };
+}
+
+module.exports = {
+  annualProfections,
+  firdaria,
+  zodiacalReleasing,
+  calculateTimeLords,
+};
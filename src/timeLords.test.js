@@ -0,0 +1,108 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { firdaria, zodiacalReleasing } = require("./timeLords");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const birthDate = new Date("1985-06-15T11:30:00Z");
+const range = (fromAge, toAge) => ({
+  fromAge,
+  toAge,
+  from: new Date(birthDate.getTime() + fromAge * 365.25 * DAY_MS),
+  to: new Date(birthDate.getTime() + toAge * 365.25 * DAY_MS),
+});
+const chart = (sunLongitude) => ({
+  planets: { Sun: { longitude: sunLongitude } },
+  angles: { AS: { longitude: 0 } },
+});
+const birthday = (age) =>
+  new Date(Date.UTC(1985 + age, 5, 15, 11, 30)).toISOString();
+
+describe("firdaria", () => {
+  it("should follow the day order from the Sun", () => {
+    // Soarele în casa a 10-a: hartă de zi
+    const periods = firdaria(chart(270), birthDate, range(0, 80));
+
+    assert.deepEqual(
+      periods.map(({ lord, years }) => [lord, years]),
+      [
+        ["Sun", 10],
+        ["Venus", 8],
+        ["Mercury", 13],
+        ["Moon", 9],
+        ["Saturn", 11],
+        ["Jupiter", 12],
+        ["Mars", 7],
+        ["NNode", 3],
+        ["SNode", 2],
+        ["Sun", 10],
+      ],
+    );
+    // perioadele încep la aniversări: 0, 10, 18, 31, 40, 51, 63, 70, 73, 75
+    assert.deepEqual(
+      periods.map((period) => period.start),
+      [0, 10, 18, 31, 40, 51, 63, 70, 73, 75].map(birthday),
+    );
+    assert.equal(periods[8].end, birthday(75));
+  });
+
+  it("should start the night order from the Moon", () => {
+    // Soarele în casa a 4-a: hartă de noapte
+    const [moon, saturn] = firdaria(chart(90), birthDate, range(0, 20));
+
+    assert.equal(moon.lord, "Moon");
+    assert.equal(saturn.lord, "Saturn");
+    assert.equal(saturn.start, birthday(9));
+  });
+
+  it("should divide planetary periods in seven and leave the nodes whole", () => {
+    const periods = firdaria(chart(270), birthDate, range(0, 75));
+    const [sun] = periods;
+
+    assert.deepEqual(
+      sun.subperiods.map((subperiod) => subperiod.lord),
+      ["Sun", "Venus", "Mercury", "Moon", "Saturn", "Jupiter", "Mars"],
+    );
+    assert.equal(sun.subperiods[0].start, birthday(0));
+    assert.equal(sun.subperiods[6].end, birthday(10));
+    assert.deepEqual(
+      periods
+        .filter((period) => period.lord.endsWith("Node"))
+        .map((period) => period.subperiods),
+      [[], []],
+    );
+  });
+});
+
+describe("zodiacalReleasing", () => {
+  const afterDays = (days) =>
+    new Date(birthDate.getTime() + days * DAY_MS).toISOString();
+  // lotul în Capricorn: 27 de ani de 360 de zile, apoi Vărsătorul, 30 de ani
+  const [capricorn, aquarius] = zodiacalReleasing(
+    275,
+    275,
+    birthDate,
+    range(0, 50),
+  );
+
+  it("should release signs for their minor years", () => {
+    assert.equal(capricorn.sign, "Capricorn");
+    assert.equal(capricorn.start, birthDate.toISOString());
+    assert.equal(capricorn.end, afterDays(27 * 360));
+    assert.equal(aquarius.sign, "Aquarius");
+    assert.equal(aquarius.end, afterDays((27 + 30) * 360));
+    assert.equal(capricorn.fromFortune, 1);
+    assert.equal(aquarius.angular, false);
+  });
+
+  it("should loose the bond after twelve sub-periods", () => {
+    // cele 12 semne la nivelul 2: 211 luni de 30 de zile
+    const bond = capricorn.subperiods[12];
+
+    assert.equal(capricorn.subperiods[1].start, afterDays(27 * 30));
+    assert.equal(bond.sign, "Cancer");
+    assert.equal(bond.loosingOfTheBond, true);
+    assert.equal(bond.start, afterDays(211 * 30));
+    // ultima sub-perioadă se oprește la sfârșitul perioadei generale
+    assert.equal(capricorn.subperiods.at(-1).end, capricorn.end);
+  });
+});
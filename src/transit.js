@@ -1,5 +1,28 @@
 const swisseph = require('swisseph');
 const DateTimeUtils = require("./DateTimeUtils");
+const { resolveBodies, ephemerisBodies } = require("./bodies");
+const { resolveZodiac, applyZodiac } = require("./zodiac");
+const { resolveOrbs, transitOrb } = require("./orbs");
+const { getAspects } = require("./aspects");
+const ephemerisSearch = require("./ephemerisSearch");
+const { eclipseAt } = require("./eclipse");
+const { isOutOfBounds } = require("./declinations");
+
+const SYNODIC_MONTH = 29.53058867;
+
+// Fazele principale: elongația Lunii față de Soare
+const PRINCIPAL_PHASES = [
+    { angle: 0, name: 'New Moon', eclipse: 'solar' },
+    { angle: 90, name: 'First Quarter', eclipse: null },
+    { angle: 180, name: 'Full Moon', eclipse: 'lunar' },
+    { angle: 270, name: 'Last Quarter', eclipse: null }
+];
+
+// Cele opt faze, fiecare centrată pe unghiul ei (New Moon: 337.5° - 22.5°)
+const PHASE_NAMES = [
+    'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+    'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+];
 
 /**
  * Professional Transit Calculator using Swiss Ephemeris
@@ -7,71 +30,33 @@ const DateTimeUtils = require("./DateTimeUtils");
  */
 
 class TransitCalculator {
-    constructor() {
+    /**
+     * @param {Object} orbs - Resolved orb profile (see orbs.resolveOrbs)
+     * @param {string} aspectSet - "major", "major+minor" or "all" (see aspects.ASPECT_SETS)
+     * @param {Object} bodies - Resolved body list (see bodies.resolveBodies)
+     * @param {Object} zodiac - Resolved zodiac (see zodiac.resolveZodiac)
+     */
+    constructor(orbs = resolveOrbs(), aspectSet = 'major', bodies = resolveBodies(), zodiac = resolveZodiac()) {
         // Initialize Swiss Ephemeris
         swisseph.swe_set_ephe_path('./ephemeris');
 
+        // Tropical or sidereal longitudes
+        this.zodiac = zodiac;
+        this.ephemerisFlags = swisseph.SEFLG_SWIEPH | zodiac.flags;
+        applyZodiac(zodiac);
+
         // House system (Placidus by default)
         this.houseSystem = 'P';
 
-        // Planet constants
-        this.planets = {
-            Sun: swisseph.SE_SUN,
-            Moon: swisseph.SE_MOON,
-            Mercury: swisseph.SE_MERCURY,
-            Venus: swisseph.SE_VENUS,
-            Mars: swisseph.SE_MARS,
-            Jupiter: swisseph.SE_JUPITER,
-            Saturn: swisseph.SE_SATURN,
-            Uranus: swisseph.SE_URANUS,
-            Neptune: swisseph.SE_NEPTUNE,
-            Pluto: swisseph.SE_PLUTO,
-            NNode: swisseph.SE_TRUE_NODE,
-            Chiron: swisseph.SE_CHIRON,
-            Lilith: swisseph.SE_MEAN_APOG,           // Mean Black Moon Lilith
-            // Vertex: swisseph.SE_VERTEX,
-            // Ceres: swisseph.SE_CERES,                  // Asteroid Ceres
-            // Pallas: swisseph.SE_PALLAS,                // Asteroid Pallas
-            // Juno: swisseph.SE_JUNO,                    // Asteroid Juno
-            // Vesta: swisseph.SE_VESTA,                  // Asteroid Vesta
-        };
+        // Bodies by name, without the Vertex (it has no ephemeris of its own)
+        this.planets = ephemerisBodies(bodies);
 
-        // Transit aspect definitions with different orbs for different planet combinations
-        this.transitAspects = {
-            CONJUNCTION: { angle: 0, name: 'conjunction', symbol: '☌' },
-            OPPOSITION: { angle: 180, name: 'opposition', symbol: '☍' },
-            TRINE: { angle: 120, name: 'trine', symbol: '△' },
-            SQUARE: { angle: 90, name: 'square', symbol: '□' },
-            SEXTILE: { angle: 60, name: 'sextile', symbol: '⚹' },
-            // QUINCUNX: { angle: 150, name: 'Quincunx', symbol: '⚻' },
-            // SEMISEXTILE: { angle: 30, name: 'Semi-sextile', symbol: '⚺' },
-            // SEMISQUARE: { angle: 45, name: 'Semi-square', symbol: '∠' },
-            // SESQUIQUADRATE: { angle: 135, name: 'Sesquiquadrate', symbol: '⚼' }
-        };
+        // Transit aspect definitions; orbs come from this.orbs
+        this.aspectSet = aspectSet;
+        this.transitAspects = getAspects(aspectSet);
 
-        // Transit orbs based on planet combinations
-        this.transitOrbs = {
-            // Outer planet transits (longer lasting) - wider orbs
-            SATURN: { major: 2, minor: 1 },
-            URANUS: { major: 2, minor: 1 },
-            NEPTUNE: { major: 2, minor: 1 },
-            PLUTO: { major: 2, minor: 1 },
-            
-            // Social planets - medium orbs
-            JUPITER: { major: 1.5, minor: 0.5 },
-            
-            // Personal planets - tighter orbs
-            SUN: { major: 1, minor: 0.5 },
-            MOON: { major: 1, minor: 0.5 },
-            MERCURY: { major: 1, minor: 0.5 },
-            VENUS: { major: 1, minor: 0.5 },
-            MARS: { major: 1, minor: 0.5 },
-            
-            // Points
-            NORTH_NODE: { major: 1, minor: 0.5 },
-            CHIRON: { major: 1, minor: 0.5 },
-            LILITH: { major: 1, minor: 0.5 }
-        };
+        // Transit orbs by transiting planet (profile "modern" by default)
+        this.orbs = orbs;
 
         // Major vs minor aspects
         this.majorAspects = ['conjunction', 'opposition', 'trine', 'square', 'sextile'];
@@ -84,10 +69,10 @@ class TransitCalculator {
      * @returns {number} Julian Day Number
      */
     dateToJulianDay(date) {
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const hour = date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        const hour = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
         
         return swisseph.swe_julday(year, month, day, hour, swisseph.SE_GREG_CAL);
     }
@@ -100,12 +85,19 @@ class TransitCalculator {
      */
     calculatePlanetaryPositions(julianDay, houses = null) {
         const positions = {};
-        const flags = swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED;
+        const flags = this.ephemerisFlags | swisseph.SEFLG_SPEED;
+        const obliquity = swisseph.swe_calc_ut(julianDay, swisseph.SE_ECL_NUT, 0).longitude;
 
         for (const [planetName, planetId] of Object.entries(this.planets)) {
 
             try {
                 const result = swisseph.swe_calc_ut(julianDay, planetId, flags);
+                // declinația e ecuatorială, la fel în ambele zodiace
+                const equatorial = swisseph.swe_calc_ut(
+                    julianDay,
+                    planetId,
+                    swisseph.SEFLG_SWIEPH | swisseph.SEFLG_EQUATORIAL
+                );
 
                 if (result.rflag >= 0) {
                     const planetData = {
@@ -116,7 +108,10 @@ class TransitCalculator {
                         // latitudeSpeed: result.latitudeSpeed,
                         // distanceSpeed: result.distanceSpeed,
                         sign: this.getZodiacSign(result.longitude),
-                        degree: this.formatDegree(result.longitude)
+                        degree: this.formatDegree(result.longitude),
+                        rightAscension: parseFloat(equatorial.rectAscension.toFixed(3)),
+                        declination: parseFloat(equatorial.declination.toFixed(3)),
+                        outOfBounds: isOutOfBounds(equatorial.declination, obliquity)
                     };
 
                     // Add house information if houses are provided
@@ -199,7 +194,7 @@ class TransitCalculator {
      */
     calculateHouses(julianDay, latitude, longitude) {
         try {
-            const result = swisseph.swe_houses(julianDay, latitude, longitude, this.houseSystem);
+            const result = swisseph.swe_houses_ex(julianDay, this.zodiac.flags, latitude, longitude, this.houseSystem);
 
             return {
                 houses: result.house.map((cusp, index) => ({
@@ -320,22 +315,22 @@ class TransitCalculator {
     }
 
     /**
-     * Find transit aspect between two positions
+     * Find the closest transit aspect between two positions
      * @param {number} transitLong - Transiting planet longitude
      * @param {number} natalLong - Natal planet longitude
      * @param {string} transitPlanet - Transiting planet name
-     * @param {string} natalPlanet - Natal planet name
      * @returns {Object|null} Aspect data or null
      */
     findTransitAspect(transitLong, natalLong, transitPlanet) {
         const angle = this.calculateAngleBetweenPlanets(transitLong, natalLong);
-        
-        for (const [aspectName, aspectData] of Object.entries(this.transitAspects)) {
-            const orb = this.getTransitOrb(transitPlanet, aspectName);
+        let closest = null;
+
+        for (const [, aspectData] of Object.entries(this.transitAspects)) {
+            const orb = this.getTransitOrb(transitPlanet, aspectData.name);
             const angleDiff = Math.abs(angle - aspectData.angle);
-            
-            if (angleDiff <= orb) {
-                return {
+
+            if (angleDiff <= orb && (!closest || angleDiff < closest.orb)) {
+                closest = {
                     aspect: aspectData,
                     orb: angleDiff,
                     exactness: ((orb - angleDiff) / orb) * 100, // Percentage of exactness
@@ -343,8 +338,8 @@ class TransitCalculator {
                 };
             }
         }
-        
-        return null;
+
+        return closest;
     }
 
     /**
@@ -354,10 +349,7 @@ class TransitCalculator {
      * @returns {number} Orb in degrees
      */
     getTransitOrb(transitPlanet, aspectName) {
-        const planetOrbs = this.transitOrbs[transitPlanet] || { major: 1, minor: 0.5 };
-        const isMajorAspect = this.majorAspects.includes(aspectName);
-        
-        return isMajorAspect ? planetOrbs.major : planetOrbs.minor;
+        return transitOrb(this.orbs, transitPlanet, aspectName);
     }
 
     /**
@@ -462,26 +454,113 @@ class TransitCalculator {
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
      * @param {number} stepDays - Days between calculations
-     * @returns {Array} Transits over time period
+     * @param {Array} exactTransits - Hits from findExactTransits, when already computed
+     * @returns {Array} Transits over time period, each day with the aspects exact that day
      */
-    getTransitsInPeriod(natalPositions, houses, startDate, endDate, stepDays = 1) {
+    getTransitsInPeriod(natalPositions, houses, startDate, endDate, stepDays = 1, exactTransits = null) {
+        const hits = exactTransits || this.findExactTransits(natalPositions, startDate, endDate);
         const transitPeriod = [];
         const currentDate = new Date(startDate);
         
         while (currentDate <= endDate) {
-            const dayTransits = this.calculateTransits(natalPositions, houses, new Date(currentDate));
+            const nextDate = new Date(currentDate);
+            nextDate.setUTCDate(nextDate.getUTCDate() + stepDays);
+
             transitPeriod.push({
                 date: new Date(currentDate),
-                transitPositions: dayTransits.transitPositions,
-                transits: dayTransits.aspects.filter(t => t.orb <= 1) // Only close aspects
+                transitPositions: this.calculatePlanetaryPositions(this.dateToJulianDay(currentDate), houses),
+                // aspectele care devin exacte în intervalul acestei zile
+                transits: hits.filter(hit => hit.date >= currentDate && hit.date < nextDate)
             });
             
-            currentDate.setDate(currentDate.getDate() + stepDays);
+            currentDate.setTime(nextDate.getTime());
         }
         
         return transitPeriod;
     }
 
+    /**
+     * Find every exact transit-to-natal aspect in a period.
+     *
+     * Each transiting planet is sampled once over the period and the moments it
+     * reaches an aspect point of a natal position are refined by bisection (the
+     * findExactMoment idea, on the signed distance to the point). Retrograde loops
+     * give up to three hits of the same aspect; they are numbered as passes and the
+     * station between two passes is reported.
+     *
+     * @param {Object} natalPositions - Natal positions ({ Sun: { longitude, sign }, ... })
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @param {Array<string>} planets - Transiting planets to search (default: all)
+     * @returns {Array} Hits sorted by date:
+     *   { transitingPlanet, natalPlanet, natalSign, aspect, angle, date, transitLongitude,
+     *     transitSign, natalLongitude, orbAllowed, retrograde, pass, passes, station, window: { ingress, egress } }
+     *   orbAllowed is the orb of the aspect for the transiting planet; window is when the
+     *   transit is within it
+     */
+    findExactTransits(natalPositions, startDate, endDate, planets = Object.keys(this.planets)) {
+        const { julianDayFromDate, dateFromJulianDay, sampleTrack, findHits, searchStep } = ephemerisSearch;
+        const startJD = julianDayFromDate(startDate);
+        const endJD = julianDayFromDate(endDate);
+        const toDate = jd => (jd !== null ? dateFromJulianDay(jd) : null);
+        const hits = [];
+
+        for (const planetName of planets) {
+            const planetId = this.planets[planetName];
+            if (planetId === undefined) continue;
+
+            const { step, pad } = searchStep(planetName);
+            const track = sampleTrack(planetId, startJD - pad, endJD + pad, step, this.ephemerisFlags);
+
+            for (const [natalPlanet, natalPos] of Object.entries(natalPositions)) {
+                for (const aspect of Object.values(this.transitAspects)) {
+                    const orb = this.getTransitOrb(planetName, aspect.name);
+                    if (!orb) continue;
+
+                    // conjuncția și opoziția au un singur punct, celelalte aspecte două
+                    const targets = [(natalPos.longitude + aspect.angle) % 360];
+                    if (aspect.angle % 180 !== 0) {
+                        targets.push((natalPos.longitude - aspect.angle + 360) % 360);
+                    }
+
+                    for (const target of targets) {
+                        for (const hit of findHits(track, target, orb)) {
+                            if (hit.jd < startJD || hit.jd > endJD) continue;
+
+                            hits.push({
+                                transitingPlanet: planetName,
+                                natalPlanet: natalPlanet,
+                                natalSign: natalPos.sign,
+                                aspect: aspect.name,
+                                angle: aspect.angle,
+                                date: dateFromJulianDay(hit.jd),
+                                transitLongitude: target,
+                                transitSign: this.getZodiacSign(target),
+                                natalLongitude: natalPos.longitude,
+                                orbAllowed: orb,
+                                retrograde: hit.direction === 'retrograde',
+                                pass: hit.pass,
+                                passes: hit.passes,
+                                station: hit.station ? {
+                                    type: hit.station.type,
+                                    date: dateFromJulianDay(hit.station.jd),
+                                    longitude: hit.station.longitude,
+                                    sign: this.getZodiacSign(hit.station.longitude)
+                                } : null,
+                                window: {
+                                    ingress: toDate(hit.ingressJd),
+                                    egress: toDate(hit.egressJd)
+                                }
+                            });
+                        }
+                    }
+                }
+            }
+        }
+
+        return hits.sort((a, b) => a.date - b.date);
+    }
+
     /**
      * Calculate angle between two planets
      * @param {number} long1 - Longitude of first planet
@@ -531,53 +610,103 @@ class TransitCalculator {
     }
 
     /**
-     * Calculate moon phase for a given date
+     * Moon's elongation from the Sun (0° New Moon, 180° Full Moon)
+     * @param {number} julianDay - Julian Day Number
+     * @returns {Object} { elongation, moonLongitude }
+     */
+    calculateMoonElongation(julianDay) {
+        const flags = this.ephemerisFlags;
+        const sun = swisseph.swe_calc_ut(julianDay, swisseph.SE_SUN, flags);
+        const moon = swisseph.swe_calc_ut(julianDay, swisseph.SE_MOON, flags);
+
+        return {
+            elongation: (moon.longitude - sun.longitude + 360) % 360,
+            moonLongitude: moon.longitude
+        };
+    }
+
+    /**
+     * Illuminated fraction of the Moon's disc, in percent
+     * @param {number} julianDay - Julian Day Number
+     * @returns {number} Illumination (0-100)
+     */
+    calculateMoonIllumination(julianDay) {
+        const pheno = swisseph.swe_pheno_ut(julianDay, swisseph.SE_MOON, swisseph.SEFLG_SWIEPH);
+        return parseFloat((pheno.phase * 100).toFixed(1));
+    }
+
+    /**
+     * Calculate moon phase for a given date from the Sun-Moon elongation
      * @param {Date} date - Date to calculate moon phase for
      * @returns {Object} Moon phase information
      */
     calculateMoonPhase(date) {
-        // Julian day number calculation
-        const jd = (date.getTime() / 86400000) + 2440587.5;
-        
-        // Moon phase calculation (simplified)
-        const moonAge = (jd - 2451549.5) % 29.53058867;
-        
-        let phase;
-        let phaseName;
-        
-        if (moonAge < 1.84566) {
-            phase = "New Moon";
-            phaseName = "New Moon";
-        } else if (moonAge < 5.53699) {
-            phase = "Waxing Crescent";
-            phaseName = "Waxing Crescent";
-        } else if (moonAge < 9.22831) {
-            phase = "First Quarter";
-            phaseName = "First Quarter";
-        } else if (moonAge < 12.91963) {
-            phase = "Waxing Gibbous";
-            phaseName = "Waxing Gibbous";
-        } else if (moonAge < 16.61096) {
-            phase = "Full Moon";
-            phaseName = "Full Moon";
-        } else if (moonAge < 20.30228) {
-            phase = "Waning Gibbous";
-            phaseName = "Waning Gibbous";
-        } else if (moonAge < 23.99361) {
-            phase = "Last Quarter";
-            phaseName = "Last Quarter";
-        } else {
-            phase = "Waning Crescent";
-            phaseName = "Waning Crescent";
-        }
-        
+        const jd = this.dateToJulianDay(date);
+        const { elongation } = this.calculateMoonElongation(jd);
+        const phaseName = PHASE_NAMES[Math.floor(((elongation + 22.5) % 360) / 45)];
+
         return {
-            phase: phase,
+            phase: phaseName,
             phaseName: phaseName,
-            moonAge: moonAge
+            moonAge: (elongation / 360) * SYNODIC_MONTH, // aproximativ, din elongație
+            elongation: parseFloat(elongation.toFixed(3)),
+            illumination: this.calculateMoonIllumination(jd),
+            waxing: elongation < 180
         };
     }
 
+    /**
+     * Find the exact New Moons, First Quarters, Full Moons and Last Quarters in a period
+     *
+     * The elongation is sampled daily (it always grows, about 12° a day) and each
+     * principal phase angle is refined by bisection to the minute.
+     *
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @param {Array} natalHouses - Natal house cusps (optional - adds the natal house)
+     * @returns {Array} Phases sorted by date:
+     *   { phase, angle, date, longitude, sign, degree, house, illumination, eclipse }
+     */
+    findLunarPhases(startDate, endDate, natalHouses = null) {
+        const { julianDayFromDate, dateFromJulianDay, findCrossings } = ephemerisSearch;
+        const startJD = julianDayFromDate(startDate);
+        const endJD = julianDayFromDate(endDate);
+
+        const position = jd => ({ jd, longitude: this.calculateMoonElongation(jd).elongation });
+        const samples = [];
+        for (let jd = startJD; jd < endJD; jd += 1) {
+            samples.push(position(jd));
+        }
+        samples.push(position(endJD));
+        const track = { samples, position };
+
+        const phases = [];
+        for (const principal of PRINCIPAL_PHASES) {
+            for (const crossing of findCrossings(track, principal.angle)) {
+                const { moonLongitude } = this.calculateMoonElongation(crossing.jd);
+                const eclipse = principal.eclipse ? eclipseAt(crossing.jd, principal.eclipse) : null;
+
+                phases.push({
+                    phase: principal.name,
+                    angle: principal.angle,
+                    date: dateFromJulianDay(crossing.jd),
+                    longitude: parseFloat(moonLongitude.toFixed(3)),
+                    sign: this.getZodiacSign(moonLongitude),
+                    degree: this.formatDegree(moonLongitude),
+                    house: natalHouses ? this.determinePlanetHouse(moonLongitude, natalHouses).number : null,
+                    illumination: this.calculateMoonIllumination(crossing.jd),
+                    eclipse: eclipse ? {
+                        kind: eclipse.kind,
+                        type: eclipse.type,
+                        maximum: dateFromJulianDay(eclipse.maximum)
+                    } : null
+                });
+            }
+        }
+
+        return phases.sort((a, b) => a.date - b.date);
+    }
+
     /**
      * Binary search algorithm to find exact moment of an event
      * @param {Date} startDate - Start of search period
@@ -630,8 +759,8 @@ class TransitCalculator {
         const endJD = this.dateToJulianDay(endDate);
 
         // Get positions at start and end
-        const startResult = swisseph.swe_calc_ut(startJD, planetId, swisseph.SEFLG_SWIEPH);
-        const endResult = swisseph.swe_calc_ut(endJD, planetId, swisseph.SEFLG_SWIEPH);
+        const startResult = swisseph.swe_calc_ut(startJD, planetId, this.ephemerisFlags);
+        const endResult = swisseph.swe_calc_ut(endJD, planetId, this.ephemerisFlags);
 
         if (startResult.rflag < 0 || endResult.rflag < 0) return null;
 
@@ -642,7 +771,7 @@ class TransitCalculator {
             // Find exact moment of sign change
             const exactMoment = this.findExactMoment(startDate, endDate, (date) => {
                 const jd = this.dateToJulianDay(date);
-                const result = swisseph.swe_calc_ut(jd, planetId, swisseph.SEFLG_SWIEPH);
+                const result = swisseph.swe_calc_ut(jd, planetId, this.ephemerisFlags);
                 if (result.rflag < 0) return false;
                 const currentSign = this.getZodiacSign(result.longitude);
                 return currentSign === endSign;
@@ -661,29 +790,30 @@ class TransitCalculator {
     }
 
     /**
-     * Check if moon phase changes between two dates
+     * Check if a principal moon phase (New, First Quarter, Full, Last Quarter) is exact between two dates
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
+     * @param {Array} natalHouses - Natal house cusps (optional)
      * @returns {Object|null} Moon phase change information or null
      */
-    checkMoonPhaseChange(startDate, endDate) {
-        const startPhase = this.calculateMoonPhase(startDate);
-        const endPhase = this.calculateMoonPhase(endDate);
+    checkMoonPhaseChange(startDate, endDate, natalHouses = null) {
+        const [exactPhase] = this.findLunarPhases(startDate, endDate, natalHouses);
 
-        if (startPhase.phase !== endPhase.phase) {
-            // Find exact moment of phase change
-            const exactMoment = this.findExactMoment(startDate, endDate, (date) => {
-                const currentPhase = this.calculateMoonPhase(date);
-                return currentPhase.phase === endPhase.phase;
-            });
+        if (exactPhase) {
+            const startPhase = this.calculateMoonPhase(startDate);
 
             return {
                 fromPhase: startPhase.phase,
                 fromPhaseName: startPhase.phaseName,
-                toPhase: endPhase.phase,
-                toPhaseName: endPhase.phaseName,
-                exactTime: exactMoment,
-                formattedTime: exactMoment ? exactMoment.toLocaleString() : null
+                toPhase: exactPhase.phase,
+                toPhaseName: exactPhase.phase,
+                exactTime: exactPhase.date,
+                formattedTime: exactPhase.date.toLocaleString(),
+                sign: exactPhase.sign,
+                degree: exactPhase.degree,
+                house: exactPhase.house,
+                illumination: exactPhase.illumination,
+                eclipse: exactPhase.eclipse
             };
         }
 
@@ -705,8 +835,8 @@ class TransitCalculator {
         const endJD = this.dateToJulianDay(endDate);
 
         // Get speeds at start and end
-        const startResult = swisseph.swe_calc_ut(startJD, planetId, swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED);
-        const endResult = swisseph.swe_calc_ut(endJD, planetId, swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED);
+        const startResult = swisseph.swe_calc_ut(startJD, planetId, this.ephemerisFlags | swisseph.SEFLG_SPEED);
+        const endResult = swisseph.swe_calc_ut(endJD, planetId, this.ephemerisFlags | swisseph.SEFLG_SPEED);
 
         if (startResult.rflag < 0 || endResult.rflag < 0) return null;
 
@@ -717,7 +847,7 @@ class TransitCalculator {
             // Find exact moment of retrograde change
             const exactMoment = this.findExactMoment(startDate, endDate, (date) => {
                 const jd = this.dateToJulianDay(date);
-                const result = swisseph.swe_calc_ut(jd, planetId, swisseph.SEFLG_SWIEPH | swisseph.SEFLG_SPEED);
+                const result = swisseph.swe_calc_ut(jd, planetId, this.ephemerisFlags | swisseph.SEFLG_SPEED);
                 if (result.rflag < 0) return false;
                 const currentRetrograde = result.longitudeSpeed < 0;
                 return currentRetrograde === endRetrograde;
@@ -740,9 +870,10 @@ class TransitCalculator {
      * Find all significant events in a time period
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
+     * @param {Array} natalHouses - Natal house cusps (optional - natal house of the lunar phases)
      * @returns {Object} All significant events
      */
-    findSignificantEvents(startDate, endDate) {
+    findSignificantEvents(startDate, endDate, natalHouses = null) {
         const events = {
             signChanges: [],
             moonPhaseChanges: [],
@@ -760,7 +891,7 @@ class TransitCalculator {
         });
 
         // Check for moon phase changes
-        const moonPhaseChange = this.checkMoonPhaseChange(startDate, endDate);
+        const moonPhaseChange = this.checkMoonPhaseChange(startDate, endDate, natalHouses);
         if (moonPhaseChange) {
             events.moonPhaseChanges.push(moonPhaseChange);
         }
@@ -781,9 +912,10 @@ class TransitCalculator {
      * Create formatted response for upcoming transits with moon phases and exact events
      * @param {Array} upcomingTransits - Array of transit data
      * @param {Object} metaInfo - Meta information about the request
+     * @param {Array} natalHouses - Natal house cusps (optional)
      * @returns {Object} Formatted response with data and meta
      */
-    createUpcomingTransitsResponse(upcomingTransits, metaInfo = {}) {
+    createUpcomingTransitsResponse(upcomingTransits, metaInfo = {}, natalHouses = null) {
         const response = [];
         
         upcomingTransits.forEach((dayData, index) => {
@@ -796,11 +928,13 @@ class TransitCalculator {
 
             // Add transit aspects
             if (dayData.transits && dayData.transits.length > 0) {
-                dayData.transits.forEach(aspect => {
-                    if (aspect.orb < 0.5) { // Only very close aspects
-                        let row = `${aspect.transitingPlanet} in transit ${aspect.aspect} ${aspect.natalPlanet} natal (orb: ${aspect.orb.toFixed(2)}°)`; 
-                        item.aspects.push(row);
+                dayData.transits.forEach(hit => {
+                    let row = `${hit.transitingPlanet} in transit ${hit.aspect} ${hit.natalPlanet} natal exact at ${hit.date.toISOString()}`;
+                    if (hit.passes > 1) {
+                        row += ` (pass ${hit.pass} of ${hit.passes}`;
+                        row += hit.station ? `, after ${hit.station.type} station)` : ')';
                     }
+                    item.aspects.push(row);
                 });    
             }
 
@@ -824,11 +958,12 @@ class TransitCalculator {
             // Add moon phase information
             const moonPhase = this.calculateMoonPhase(dayData.date);
             item.moonPhase = moonPhase.phaseName;
+            item.moonIllumination = moonPhase.illumination;
 
             // Check for significant events on this day
             if (index < upcomingTransits.length - 1) {
                 const nextDay = upcomingTransits[index + 1].date;
-                const events = this.findSignificantEvents(dayData.date, nextDay);
+                const events = this.findSignificantEvents(dayData.date, nextDay, natalHouses);
                 
                 // Add events to the response
                 events.signChanges.forEach(event => {
@@ -836,7 +971,14 @@ class TransitCalculator {
                 });
                 
                 events.moonPhaseChanges.forEach(event => {
-                    item.events.push(`Moon phase changes from ${event.fromPhaseName} to ${event.toPhaseName} at ${event.formattedTime}`);
+                    let row = `${event.toPhaseName} at ${event.formattedTime} in ${event.sign} ${event.degree}`;
+                    if (event.house) {
+                        row += ` in natal house ${event.house}`;
+                    }
+                    if (event.eclipse) {
+                        row += ` (${event.eclipse.type} ${event.eclipse.kind} eclipse)`;
+                    }
+                    item.events.push(row);
                 });
                 
                 events.retrogradeChanges.forEach(event => {
@@ -856,7 +998,7 @@ class TransitCalculator {
                 longitude: metaInfo.longitude || 'Not provided',
                 startDate: metaInfo.startDate || 'Not provided',
                 endDate: metaInfo.endDate || 'Not provided',
-                days: metaInfo.days || 30
+                days: metaInfo.days || 'Not provided'
             },
             settings: {
                 houseSystem: metaInfo.houseSystem || 'P',
@@ -866,7 +1008,7 @@ class TransitCalculator {
                     moonPhaseChanges: true,
                     retrogradeChanges: true
                 },
-                aspectOrbLimit: 0.5
+                aspectDetection: 'exact hits'
             }
         };
         
@@ -0,0 +1,28 @@
+// fusul orar al serverului nu are voie să schimbe momentele calculate
+process.env.TZ = "America/New_York";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const TransitCalculator = require("./transit");
+
+describe("TransitCalculator.dateToJulianDay", () => {
+  const calculator = new TransitCalculator();
+
+  it("should read the date in UTC, not in the server's zone", () => {
+    assert.equal(new Date(2000, 0, 1).getHours(), 0);
+    assert.notEqual(new Date(2000, 0, 1).getUTCHours(), 0);
+
+    // J2000.0: 2000-01-01 12:00 UT
+    assert.equal(
+      calculator.dateToJulianDay(new Date("2000-01-01T12:00:00Z")),
+      2451545,
+    );
+  });
+
+  it("should keep the UTC day when the local day is another one", () => {
+    // 2024-03-10 03:30 UT is still March 9 in New York
+    const jd = calculator.dateToJulianDay(new Date("2024-03-10T03:30:00Z"));
+
+    assert.ok(Math.abs(jd - 2460379.6458333) < 1e-6);
+  });
+});
@@ -0,0 +1,878 @@
+const {
+  InputError,
+  normalizeBirth,
+  parseCoordinate,
+  resolveMoment,
+} = require("./inputNormalizer");
+const { resolveOrbs } = require("./orbs");
+const { resolveBodies } = require("./bodies");
+const { resolveAyanamsa, resolveZodiac } = require("./zodiac");
+const { ASPECT_SETS } = require("./aspects");
+const { PROGRESSION_METHODS } = require("./progressive");
+const { TIME_KEYS, DIRECTION_METHODS } = require("./primaryDirections");
+const { MODULI } = require("./midpoints");
+
+// Sisteme de case acceptate de Swiss Ephemeris (swe_houses)
+const HOUSE_SYSTEMS = "ABCDEFGHIKLMNOPQRSTUVWXY".split("");
+
+// Câmpurile unui bloc birth (vezi normalizeBirth)
+const BIRTH_FIELDS = [
+  "date",
+  "local_datetime",
+  "timezone",
+  "latitude",
+  "longitude",
+  "place",
+  "disambiguation",
+];
+
+// Ora locală ambiguă sau inexistentă (schimbarea orei): vezi resolveLocalDateTime
+const DISAMBIGUATIONS = ["reject", "earlier", "later"];
+
+/**
+ * Field rules.
+ *
+ * Every rule has a `type` plus optional `required`, `default` (value or function
+ * of the validated top-level values and of the sibling fields validated so far)
+ * and type-specific options:
+ *   number / integer: min, max (value or function)
+ *   integer: enum
+ *   string: enum, pattern
+ *   object: fields (nested rules; unknown keys are kept)
+ *   array: items (rule for every element), max (number of elements)
+ *   date: zone - name of an already validated birth field whose timezone is used
+ *         for wall-clock values
+ *   birth: inline - the birth fields sit directly on the parent object; unknown
+ *          keys are rejected (on an inline block only `time`, which would
+ *          otherwise give a chart for midnight); disambiguation is one of
+ *          reject, earlier, later
+ *   orbs: profile name or custom orbs, resolved through orbs.resolveOrbs
+ *   bodies: list of bodies, resolved through bodies.resolveBodies
+ *   ayanamsa: name or custom value, resolved through zodiac.resolveAyanamsa
+ *   zodiac: "tropical" or "sidereal", resolved through zodiac.resolveZodiac with
+ *           the sibling ayanamsa field
+ *
+ * Values are returned normalized: numbers parsed, birth blocks resolved through
+ * normalizeBirth, dates turned into Date objects, defaults filled in.
+ */
+const validators = {
+  string(value, rule, field) {
+    if (typeof value !== "string" || !value.trim()) {
+      throw new InputError(
+        `${field} must be a non-empty string`,
+        field,
+        "INVALID_TYPE",
+      );
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new InputError(
+        `${field} must be one of: ${rule.enum.join(", ")}`,
+        field,
+        "INVALID_VALUE",
+      );
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      throw new InputError(
+        `${field} has an invalid format`,
+        field,
+        "INVALID_VALUE",
+      );
+    }
+    return value.trim();
+  },
+
+  number(value, rule, field) {
+    const number =
+      typeof value === "string" && value.trim() ? Number(value) : value;
+    if (typeof number !== "number" || !isFinite(number)) {
+      throw new InputError(`${field} must be a number`, field, "INVALID_TYPE");
+    }
+    return checkRange(number, rule, field);
+  },
+
+  integer(value, rule, field) {
+    const number = validators.number(value, {}, field);
+    if (!Number.isInteger(number)) {
+      throw new InputError(
+        `${field} must be an integer`,
+        field,
+        "INVALID_TYPE",
+      );
+    }
+    if (rule.enum && !rule.enum.includes(number)) {
+      throw new InputError(
+        `${field} must be one of: ${rule.enum.join(", ")}`,
+        field,
+        "INVALID_VALUE",
+      );
+    }
+    return checkRange(number, rule, field);
+  },
+
+  boolean(value, rule, field) {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === "false") return value === "true";
+    throw new InputError(
+      `${field} must be true or false`,
+      field,
+      "INVALID_TYPE",
+    );
+  },
+
+  houseSystem(value, rule, field) {
+    if (
+      typeof value !== "string" ||
+      !HOUSE_SYSTEMS.includes(value.toUpperCase())
+    ) {
+      throw new InputError(
+        `${field} must be a house system letter (${HOUSE_SYSTEMS.join("")})`,
+        field,
+        "INVALID_HOUSE_SYSTEM",
+      );
+    }
+    return value.toUpperCase();
+  },
+
+  latitude(value, rule, field) {
+    return parseCoordinate(value, field, 90);
+  },
+
+  longitude(value, rule, field) {
+    return parseCoordinate(value, field, 180);
+  },
+
+  date(value, rule, field, context) {
+    const birth = rule.zone ? context.valid[rule.zone] : null;
+    const timezone = birth ? birth.input.timezone : null;
+    return resolveMoment(value, timezone, field, "earlier").date;
+  },
+
+  orbs(value, rule, field) {
+    return resolveOrbs(value, field);
+  },
+
+  bodies(value, rule, field) {
+    return resolveBodies(value, field);
+  },
+
+  ayanamsa(value, rule, field) {
+    return resolveAyanamsa(value, field);
+  },
+
+  zodiac(value, rule, field, context, siblings) {
+    return resolveZodiac(value, siblings.ayanamsa, field);
+  },
+
+  birth(value, rule, field) {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      throw new InputError(`${field} must be an object`, field, "INVALID_TYPE");
+    }
+
+    const prefix = rule.inline ? "" : `${field}.`;
+    if (value.time !== undefined) {
+      throw new InputError(
+        `${prefix}time is not supported: send the local time in ${prefix}local_datetime (e.g. "1990-03-14T08:20") with ${prefix}timezone`,
+        `${prefix}time`,
+        "UNKNOWN_FIELD",
+      );
+    }
+    if (!rule.inline) {
+      const unknown = Object.keys(value).find(
+        (key) => !BIRTH_FIELDS.includes(key),
+      );
+      if (unknown) {
+        throw new InputError(
+          `Unknown parameter: ${prefix}${unknown}`,
+          `${prefix}${unknown}`,
+          "UNKNOWN_FIELD",
+        );
+      }
+    }
+
+    if (value.disambiguation !== undefined) {
+      validators.string(
+        value.disambiguation,
+        { enum: DISAMBIGUATIONS },
+        `${prefix}disambiguation`,
+      );
+    }
+
+    return normalizeBirth(value, rule.inline ? null : field);
+  },
+
+  object(value, rule, field, context) {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      throw new InputError(`${field} must be an object`, field, "INVALID_TYPE");
+    }
+    return {
+      ...value,
+      ...validateFields(rule.fields || {}, value, context, `${field}.`),
+    };
+  },
+
+  array(value, rule, field, context) {
+    if (!Array.isArray(value)) {
+      throw new InputError(`${field} must be an array`, field, "INVALID_TYPE");
+    }
+    if (rule.max !== undefined && value.length > rule.max) {
+      throw new InputError(
+        `${field} must have at most ${rule.max} items`,
+        field,
+        "OUT_OF_RANGE",
+      );
+    }
+    return value.map((item, index) =>
+      validators[rule.items.type](
+        item,
+        rule.items,
+        `${field}[${index}]`,
+        context,
+      ),
+    );
+  },
+};
+
+function checkRange(number, rule, field) {
+  const min = typeof rule.min === "function" ? rule.min() : rule.min;
+  const max = typeof rule.max === "function" ? rule.max() : rule.max;
+  if (
+    (min !== undefined && number < min) ||
+    (max !== undefined && number > max)
+  ) {
+    const bounds =
+      min !== undefined && max !== undefined
+        ? `between ${min} and ${max}`
+        : min !== undefined
+          ? `at least ${min}`
+          : `at most ${max}`;
+    throw new InputError(`${field} must be ${bounds}`, field, "OUT_OF_RANGE");
+  }
+  return number;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function validateFields(fields, source, context, prefix = "") {
+  const result = {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const field = `${prefix}${name}`;
+    const value = rule.inline ? source : source[name];
+
+    if (!rule.inline && isMissing(value)) {
+      if (rule.required) {
+        throw new InputError(
+          `Missing required parameter: ${field}`,
+          field,
+          "MISSING_FIELD",
+        );
+      }
+      const fallback =
+        typeof rule.default === "function"
+          ? rule.default(context.valid, result)
+          : rule.default;
+      result[name] =
+        rule.type === "object" && fallback !== undefined
+          ? validators.object(fallback, rule, field, context)
+          : fallback;
+    } else {
+      result[name] = validators[rule.type](value, rule, field, context, result);
+    }
+
+    // valorile deja validate sunt vizibile regulilor următoare (ex: zone: "birth")
+    if (!prefix) context.valid[name] = result[name];
+  }
+
+  return result;
+}
+
+/**
+ * Validates a request part against a schema.
+ * @param {Object} schema - { source: "body" | "query", fields, check }
+ * @param {Object} input - req.body or req.query
+ * @returns {Object} Normalized values
+ */
+function validateInput(schema, input) {
+  const source = input && typeof input === "object" ? input : {};
+  const context = { valid: {} };
+  const valid = validateFields(schema.fields, source, context);
+  if (schema.check) {
+    schema.check(valid);
+  }
+  return valid;
+}
+
+// Perioada aproximativă (zile) între două reveniri geocentrice, pentru /planetary_return
+const RETURN_PERIODS = {
+  Sun: 365.25,
+  Moon: 27.32,
+  Mercury: 365.25,
+  Venus: 365.25,
+  Mars: 687,
+  Jupiter: 4333,
+  Saturn: 10759,
+  NNode: 6798,
+};
+
+const MAX_RETURNS = 24;
+
+// Un lot definit de utilizator: base + plus - minus, inversat noaptea
+const customLot = {
+  type: "object",
+  fields: {
+    name: { type: "string", required: true, pattern: /^[A-Za-z][\w ]{0,23}$/ },
+    base: { type: "string", default: "AS" },
+    plus: { type: "string", required: true },
+    minus: { type: "string", required: true },
+    reverse: { type: "boolean", default: true },
+  },
+};
+
+const aspectSet = {
+  type: "string",
+  enum: Object.keys(ASPECT_SETS),
+  default: "major",
+};
+
+const chartSettings = {
+  house_system: { type: "houseSystem", default: "W" },
+  orbs: { type: "orbs", default: () => resolveOrbs() },
+  bodies: { type: "bodies", default: () => resolveBodies() },
+  ayanamsa: { type: "ayanamsa", default: () => resolveAyanamsa() },
+  zodiac: {
+    type: "zodiac",
+    default: (valid, { ayanamsa }) => resolveZodiac("tropical", ayanamsa),
+  },
+};
+
+/**
+ * One schema per endpoint. Fields are validated in order, so dates that depend
+ * on the birth timezone come after the birth block.
+ */
+const schemas = {
+  natal: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          aspect_set: aspectSet,
+          target_date: {
+            type: "date",
+            zone: "birth",
+            default: () => new Date(),
+          },
+          transits: { type: "boolean", default: false },
+          aspects_compatibility: { type: "boolean", default: true },
+          custom_lots: {
+            type: "array",
+            items: customLot,
+            max: 12,
+            default: [],
+          },
+          fixed_stars: { type: "boolean", default: false },
+          star_orb: { type: "number", min: 0, max: 5, default: 1 },
+          paran_orb: { type: "number", min: 0, max: 5, default: 1 },
+          // antiscia ca cercuri goale pe roată
+          show_antiscia: { type: "boolean", default: false },
+          // 1 = harta natală; peste 1 se adaugă harta armonică și roata ei
+          harmonic: { type: "integer", min: 1, max: 180, default: 1 },
+        },
+      },
+    },
+  },
+
+  upcoming: {
+    fields: {
+      birth: { type: "birth", inline: true },
+      houseSystem: { type: "houseSystem", default: "W" },
+      orbs: { type: "orbs", default: () => resolveOrbs() },
+      bodies: { type: "bodies", default: () => resolveBodies() },
+      ayanamsa: chartSettings.ayanamsa,
+      zodiac: chartSettings.zodiac,
+      aspect_set: aspectSet,
+      days: { type: "integer", min: 1, max: 365, default: 30 },
+      start_date: { type: "date", zone: "birth", default: () => new Date() },
+      end_date: {
+        type: "date",
+        zone: "birth",
+        // fără end_date: start_date + days
+        default: (valid) =>
+          new Date(
+            valid.start_date.getTime() + valid.days * 24 * 60 * 60 * 1000,
+          ),
+      },
+    },
+    check({ start_date, end_date }) {
+      if (end_date <= start_date) {
+        throw new InputError(
+          "end_date must be after start_date",
+          "end_date",
+          "INVALID_RANGE",
+        );
+      }
+      if (end_date - start_date > 365 * 24 * 60 * 60 * 1000) {
+        throw new InputError(
+          "Date range cannot exceed 365 days",
+          "end_date",
+          "INVALID_RANGE",
+        );
+      }
+    },
+  },
+
+  synastry: {
+    fields: {
+      birth: { type: "birth", required: true },
+      birth2: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          aspect_set: aspectSet,
+          mode: {
+            type: "string",
+            enum: ["synastry", "composite", "davison"],
+            default: "synastry",
+          },
+          // casele hărții compozite
+          composite_houses: {
+            type: "string",
+            enum: ["derived", "reference_place"],
+            default: "derived",
+          },
+          reference_place: {
+            type: "object",
+            fields: {
+              latitude: { type: "latitude", required: true },
+              longitude: { type: "longitude", required: true },
+            },
+          },
+        },
+      },
+    },
+    check({ settings: { mode, composite_houses, reference_place } }) {
+      if (
+        mode === "composite" &&
+        composite_houses === "reference_place" &&
+        !reference_place
+      ) {
+        throw new InputError(
+          "Missing required parameter: settings.reference_place",
+          "settings.reference_place",
+          "MISSING_FIELD",
+        );
+      }
+    },
+  },
+
+  progressed: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          method: {
+            type: "string",
+            enum: [...Object.keys(PROGRESSION_METHODS), "solar_arc"],
+            default: "secondary",
+          },
+          house_method: {
+            type: "string",
+            enum: ["secondary", "solar_arc", "natal"],
+            default: "secondary",
+          },
+          // anii după target_date în care se caută perfectările direcțiilor
+          span_years: { type: "integer", min: 1, max: 100, default: 10 },
+          chart_view: {
+            type: "string",
+            enum: ["natal", "progressed", "biwheel"],
+            default: "biwheel",
+          },
+          target_date: {
+            type: "date",
+            zone: "birth",
+            default: () => new Date(),
+          },
+        },
+      },
+    },
+  },
+
+  progressedTimeline: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          method: {
+            type: "string",
+            enum: Object.keys(PROGRESSION_METHODS),
+            default: "secondary",
+          },
+          // cronologia acoperă anii de la naștere
+          years: { type: "integer", min: 1, max: 120, default: 90 },
+          target_date: {
+            type: "date",
+            zone: "birth",
+            default: () => new Date(),
+          },
+        },
+      },
+    },
+  },
+
+  solarReturn: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        required: true,
+        fields: {
+          ...chartSettings,
+          aspect_set: aspectSet,
+          return_year: {
+            type: "integer",
+            required: true,
+            min: 2024,
+            max: () => new Date().getFullYear() + 50,
+          },
+          current_location: {
+            type: "object",
+            fields: {
+              latitude: { type: "latitude", required: true },
+              longitude: { type: "longitude", required: true },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  planetaryReturn: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        required: true,
+        fields: {
+          ...chartSettings,
+          aspect_set: aspectSet,
+          planet: {
+            type: "string",
+            required: true,
+            enum: Object.keys(RETURN_PERIODS),
+          },
+          start_date: {
+            type: "date",
+            zone: "birth",
+            default: () => new Date(),
+          },
+          // fără end_date: o perioadă de revenire a planetei
+          end_date: {
+            type: "date",
+            zone: "birth",
+            default: (valid, { planet, start_date }) =>
+              new Date(
+                start_date.getTime() +
+                  RETURN_PERIODS[planet] * 24 * 60 * 60 * 1000,
+              ),
+          },
+          current_location: {
+            type: "object",
+            fields: {
+              latitude: { type: "latitude", required: true },
+              longitude: { type: "longitude", required: true },
+            },
+          },
+        },
+      },
+    },
+    check({ settings: { planet, start_date, end_date } }) {
+      if (end_date <= start_date) {
+        throw new InputError(
+          "settings.end_date must be after settings.start_date",
+          "settings.end_date",
+          "INVALID_RANGE",
+        );
+      }
+      const days = (end_date - start_date) / (24 * 60 * 60 * 1000);
+      if (days / RETURN_PERIODS[planet] > MAX_RETURNS) {
+        throw new InputError(
+          `Date range is too long: at most ${MAX_RETURNS} ${planet} returns per request`,
+          "settings.end_date",
+          "INVALID_RANGE",
+        );
+      }
+    },
+  },
+
+  primaryDirections: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          aspect_set: aspectSet,
+          method: {
+            type: "string",
+            enum: DIRECTION_METHODS,
+            default: "placidus",
+          },
+          key: { type: "string", enum: TIME_KEYS, default: "naibod" },
+          direction: {
+            type: "string",
+            enum: ["direct", "converse", "both"],
+            default: "both",
+          },
+          mode: {
+            type: "string",
+            enum: ["zodiacal", "mundo", "both"],
+            default: "both",
+          },
+          from_age: { type: "number", min: 0, max: 120, default: 0 },
+          to_age: { type: "number", min: 0, max: 120, default: 90 },
+        },
+      },
+    },
+    check({ settings: { from_age, to_age } }) {
+      if (to_age <= from_age) {
+        throw new InputError(
+          "settings.to_age must be greater than settings.from_age",
+          "settings.to_age",
+          "INVALID_RANGE",
+        );
+      }
+    },
+  },
+
+  timeLords: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          from_age: { type: "number", min: 0, max: 120, default: 0 },
+          to_age: { type: "number", min: 0, max: 120, default: 90 },
+        },
+      },
+    },
+    check({ settings: { from_age, to_age } }) {
+      if (to_age <= from_age) {
+        throw new InputError(
+          "settings.to_age must be greater than settings.from_age",
+          "settings.to_age",
+          "INVALID_RANGE",
+        );
+      }
+    },
+  },
+
+  harmonics: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          max_harmonic: { type: "integer", min: 2, max: 180, default: 32 },
+        },
+      },
+    },
+  },
+
+  midpoints: {
+    fields: {
+      birth: { type: "birth", required: true },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          ...chartSettings,
+          modulus: { type: "integer", enum: MODULI, default: 90 },
+          // tranzitele și direcțiile de arc solar la această dată
+          target_date: {
+            type: "date",
+            zone: "birth",
+            default: () => new Date(),
+          },
+          // acul discului
+          pointer: { type: "string", default: "MC" },
+        },
+      },
+    },
+    check({ settings: { pointer, bodies } }) {
+      const points = [...Object.keys(bodies), "AS", "MC"];
+      if (!points.includes(pointer)) {
+        throw new InputError(
+          `settings.pointer must be one of: ${points.join(", ")}`,
+          "settings.pointer",
+          "INVALID_VALUE",
+        );
+      }
+    },
+  },
+
+  eclipses: {
+    fields: {
+      birth: { type: "birth" },
+      // vizibilitatea locală; implicit locul nașterii
+      location: {
+        type: "object",
+        default: (valid) =>
+          valid.birth
+            ? {
+                latitude: valid.birth.latitude,
+                longitude: valid.birth.longitude,
+              }
+            : undefined,
+        fields: {
+          latitude: { type: "latitude", required: true },
+          longitude: { type: "longitude", required: true },
+        },
+      },
+      start_date: { type: "date", zone: "birth", default: () => new Date() },
+      end_date: {
+        type: "date",
+        zone: "birth",
+        default: (valid) =>
+          new Date(valid.start_date.getTime() + 365 * 24 * 60 * 60 * 1000),
+      },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          house_system: chartSettings.house_system,
+          aspect_set: aspectSet,
+          bodies: chartSettings.bodies,
+          ayanamsa: chartSettings.ayanamsa,
+          zodiac: chartSettings.zodiac,
+          kind: {
+            type: "string",
+            enum: ["all", "solar", "lunar"],
+            default: "all",
+          },
+          orb: { type: "number", min: 0, max: 15, default: 3 },
+        },
+      },
+    },
+    check({ start_date, end_date }) {
+      if (end_date <= start_date) {
+        throw new InputError(
+          "end_date must be after start_date",
+          "end_date",
+          "INVALID_RANGE",
+        );
+      }
+      if (end_date - start_date > 20 * 366 * 24 * 60 * 60 * 1000) {
+        throw new InputError(
+          "Date range cannot exceed 20 years",
+          "end_date",
+          "INVALID_RANGE",
+        );
+      }
+    },
+  },
+
+  declinations: {
+    fields: {
+      // declinațiile natale apar pe grafic ca linii punctate
+      birth: { type: "birth" },
+      start_date: { type: "date", zone: "birth", default: () => new Date() },
+      end_date: {
+        type: "date",
+        zone: "birth",
+        default: (valid) =>
+          new Date(valid.start_date.getTime() + 365 * 24 * 60 * 60 * 1000),
+      },
+      settings: {
+        type: "object",
+        default: {},
+        fields: {
+          bodies: chartSettings.bodies,
+          orbs: chartSettings.orbs,
+          // implicit intervalul împărțit în ~1000 de puncte, minim 6 ore
+          step_days: { type: "number", min: 0.1, max: 30 },
+        },
+      },
+    },
+    check({ start_date, end_date }) {
+      if (end_date <= start_date) {
+        throw new InputError(
+          "end_date must be after start_date",
+          "end_date",
+          "INVALID_RANGE",
+        );
+      }
+      if (end_date - start_date > 5 * 366 * 24 * 60 * 60 * 1000) {
+        throw new InputError(
+          "Date range cannot exceed 5 years",
+          "end_date",
+          "INVALID_RANGE",
+        );
+      }
+    },
+  },
+
+  places: {
+    source: "query",
+    fields: {
+      q: { type: "string", required: true },
+      limit: { type: "integer", min: 1, max: 50, default: 10 },
+      country: { type: "string", pattern: /^[A-Za-z]{2}$/ },
+    },
+  },
+};
+
+/**
+ * Formats any error as { error: { code, field, message } }.
+ * Input errors keep their status (400, 422 with candidates); the rest are 500.
+ */
+function sendError(res, err) {
+  const status = err.status || 500;
+  const error = {
+    code: err.code && status < 500 ? err.code : "INTERNAL_ERROR",
+    field: err.field || null,
+    message: err.message,
+  };
+  if (err.candidates) error.candidates = err.candidates;
+  return res.status(status).json({ error });
+}
+
+/**
+ * Express middleware: validates the request against a schema and stores the
+ * normalized values in req.valid. Invalid requests never reach the route.
+ * @param {Object} schema - One of `schemas`.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    try {
+      req.valid = validateInput(schema, req[schema.source || "body"]);
+    } catch (err) {
+      return sendError(res, err);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  HOUSE_SYSTEMS,
+  schemas,
+  validate,
+  validateInput,
+  sendError,
+};
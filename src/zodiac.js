@@ -0,0 +1,117 @@
+const swisseph = require("swisseph");
+const { InputError } = require("./inputNormalizer");
+
+const J2000 = 2451545;
+
+// Ayanamsele predefinite din Swiss Ephemeris
+const AYANAMSAS = {
+  lahiri: swisseph.SE_SIDM_LAHIRI,
+  fagan_bradley: swisseph.SE_SIDM_FAGAN_BRADLEY,
+  krishnamurti: swisseph.SE_SIDM_KRISHNAMURTI,
+  raman: swisseph.SE_SIDM_RAMAN,
+};
+
+const ZODIACS = ["tropical", "sidereal"];
+
+/**
+ * Resolves settings.ayanamsa: the name of a predefined ayanamsa or a number,
+ * the custom ayanamsa in degrees at J2000 (it then precesses like the others).
+ * @param {string|number} ayanamsa
+ * @param {string} field - Request field name, used in error messages.
+ * @returns {Object} { name, mode, value } - value only for "custom"
+ */
+function resolveAyanamsa(ayanamsa = "lahiri", field = "settings.ayanamsa") {
+  if (typeof ayanamsa === "number") {
+    if (!isFinite(ayanamsa) || ayanamsa < 0 || ayanamsa > 60) {
+      throw new InputError(
+        `${field} must be between 0 and 60 degrees`,
+        field,
+        "OUT_OF_RANGE",
+      );
+    }
+    return { name: "custom", mode: swisseph.SE_SIDM_USER, value: ayanamsa };
+  }
+  if (!Object.prototype.hasOwnProperty.call(AYANAMSAS, ayanamsa)) {
+    throw new InputError(
+      `${field} must be a number (custom, degrees at J2000) or one of: ${Object.keys(AYANAMSAS).join(", ")}`,
+      field,
+      "INVALID_VALUE",
+    );
+  }
+  return { name: ayanamsa, mode: AYANAMSAS[ayanamsa], value: null };
+}
+
+/**
+ * Resolves settings.zodiac with the settings.ayanamsa already resolved.
+ * @param {string} type - "tropical" or "sidereal"
+ * @param {Object} ayanamsa - From resolveAyanamsa, used by the sidereal zodiac
+ * @param {string} field - Request field name, used in error messages.
+ * @returns {Object} { type, ayanamsa, flags } - flags to add to the ephemeris flags
+ */
+function resolveZodiac(
+  type = "tropical",
+  ayanamsa = resolveAyanamsa(),
+  field = "settings.zodiac",
+) {
+  if (!ZODIACS.includes(type)) {
+    throw new InputError(
+      `${field} must be one of: ${ZODIACS.join(", ")}`,
+      field,
+      "INVALID_VALUE",
+    );
+  }
+  if (type === "tropical") {
+    return { type, ayanamsa: null, flags: 0 };
+  }
+  return { type, ayanamsa, flags: swisseph.SEFLG_SIDEREAL };
+}
+
+/**
+ * Selects the ayanamsa of a sidereal zodiac in Swiss Ephemeris. The mode is
+ * global: calculators call it before their sidereal calculations.
+ * @param {Object} zodiac - From resolveZodiac
+ */
+function applyZodiac(zodiac) {
+  if (zodiac.type !== "sidereal") return;
+  const { mode, value } = zodiac.ayanamsa;
+  swisseph.swe_set_sid_mode(mode, value === null ? 0 : J2000, value || 0);
+}
+
+/**
+ * Ayanamsa at a moment: the distance from the tropical to the sidereal zodiac,
+ * 0 for the tropical zodiac.
+ * @param {Object} zodiac - From resolveZodiac
+ * @param {number} julianDay - Julian Day Number (UT)
+ * @returns {number} Degrees
+ */
+function ayanamsaAt(zodiac, julianDay) {
+  if (zodiac.type !== "sidereal") return 0;
+  applyZodiac(zodiac);
+  return swisseph.swe_get_ayanamsa_ex_ut(julianDay, swisseph.SEFLG_SWIEPH)
+    .ayanamsa;
+}
+
+/**
+ * The zodiac of a chart, for meta.
+ * @returns {Object} { type, ayanamsa, ayanamsa_value } - ayanamsa_value at the moment
+ */
+function describeZodiac(zodiac, julianDay) {
+  if (zodiac.type !== "sidereal") {
+    return { type: zodiac.type, ayanamsa: null, ayanamsa_value: null };
+  }
+  return {
+    type: zodiac.type,
+    ayanamsa: zodiac.ayanamsa.name,
+    ayanamsa_value: parseFloat(ayanamsaAt(zodiac, julianDay).toFixed(6)),
+  };
+}
+
+module.exports = {
+  AYANAMSAS,
+  ZODIACS,
+  resolveAyanamsa,
+  resolveZodiac,
+  applyZodiac,
+  ayanamsaAt,
+  describeZodiac,
+};
@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const swisseph = require("swisseph");
+const {
+  resolveAyanamsa,
+  resolveZodiac,
+  applyZodiac,
+  ayanamsaAt,
+  describeZodiac,
+} = require("./zodiac");
+
+swisseph.swe_set_ephe_path("./ephemeris");
+
+const J2000 = 2451545;
+const sidereal = (ayanamsa) =>
+  resolveZodiac("sidereal", resolveAyanamsa(ayanamsa));
+const near = (actual, expected, tolerance = 0.01) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`,
+  );
+
+describe("ayanamsaAt", () => {
+  it("should give Lahiri at J2000", () => {
+    // 23°51' (23.857° fără nutație)
+    near(ayanamsaAt(sidereal("lahiri"), J2000), 23.857);
+  });
+
+  it("should precess a custom ayanamsa from its J2000 value", () => {
+    near(ayanamsaAt(sidereal(24), J2000), 24);
+    // precesia: ~1.397° pe secol
+    near(
+      ayanamsaAt(sidereal(24), J2000 + 36525) - ayanamsaAt(sidereal(24), J2000),
+      1.397,
+    );
+  });
+
+  it("should be 0 for the tropical zodiac", () => {
+    assert.equal(ayanamsaAt(resolveZodiac("tropical"), J2000), 0);
+    assert.equal(
+      describeZodiac(resolveZodiac("tropical"), J2000).ayanamsa,
+      null,
+    );
+  });
+});
+
+describe("applyZodiac", () => {
+  it("should offset sidereal longitudes by the ayanamsa", () => {
+    const zodiac = sidereal("lahiri");
+    const sun = (flags) =>
+      swisseph.swe_calc_ut(
+        J2000,
+        swisseph.SE_SUN,
+        swisseph.SEFLG_SWIEPH | flags,
+      ).longitude;
+
+    applyZodiac(zodiac);
+    near(sun(0) - sun(zodiac.flags), ayanamsaAt(zodiac, J2000), 1e-6);
+  });
+});
+
+describe("resolveAyanamsa", () => {
+  it("should reject unknown names and out-of-range degrees", () => {
+    assert.throws(() => resolveAyanamsa("vedic"), { code: "INVALID_VALUE" });
+    assert.throws(() => resolveAyanamsa(61), { code: "OUT_OF_RANGE" });
+  });
+});